@@ -2,16 +2,23 @@
  * Extended History — background.js v3.3
  * Time tracking: purely event-driven per-tab, domain-bucketed by day.
  */
-importScripts('eh-idb.js');
+importScripts('eh-idb.js', 'eh-query.js', 'eh-index.js', 'eh-trail.js', 'eh-archive.js', 'eh-canon.js', 'eh-vault.js');
 const IDB_STORAGE_KEY = 'eh_use_idb';
 const HISTORY_KEY  = 'eh_history';
 const TODAY_HISTORY_KEY = 'eh_today_history';  // Separate storage for today's history
 const TIME_KEY     = 'eh_time';
+const IDLE_TIME_KEY = 'eh_time_idle'; // Same shape as TIME_KEY: time a page was in front but the user was idle
+const AUDIBLE_TIME_KEY = 'eh_time_audible'; // Same shape: time a tab was playing sound, in front or not
 const SETTINGS_KEY = 'eh_settings';
 const SESSIONS_KEY = 'eh_sessions';
 const BACKFILL_KEY = 'eh_backfilled';
 const CURRENT_SESSION_KEY = 'eh_current_session'; // Single current session (overwritten)
-const IGNORE_LIST_KEY = 'eh_ignore_list'; // List of URL patterns to ignore
+const IGNORE_LIST_KEY = 'eh_ignore_list'; // List of URL patterns to ignore (until a master password is set)
+const IGNORE_SEALED_KEY  = 'eh_ignore_sealed';  // Sealed pattern lists once a master password is set
+const IGNORE_SESSION_KEY = 'eh_ignore_session'; // chrome.storage.session: { list, unlocked } decrypted copy
+const IGNORE_PW_KEY      = 'eh_ignore_pw_hash'; // Unsalted SHA-256 from before 4.1.3 — replaced on first unlock
+const IGNORE_LOCKOUT_KEY = 'eh_ignore_lockout'; // { fails, until } wrong-password backoff
+const IGNORE_CHECKED_KEY = 'eh_ignore_checked'; // Last time the list was unlocked (cleanup starts there)
 const SYNC_INTERVAL_KEY = 'eh_sync_interval'; // Minutes between today→history flushes
 const CONTEXT_MENU_PARENT_ID        = 'eh_options';
 const CONTEXT_MENU_IGNORE_DOMAIN_ID = 'eh_ignore_domain';
@@ -32,8 +39,18 @@ const DEFAULT_SETTINGS = {
   ignoreListEnabled: true, // Toggle for ignore list
   syncInterval: 30,        // Minutes between flushing today's Chrome history → local storage (0 = every visit)
   timeTrackingEnabled: true, // Whether to track time spent per domain
+  idleMinutes: 2,            // No input for this long pauses time tracking (0 = never)
   autoStoreEnabled: false,   // Auto-store tabs idle for too long
   autoStoreHours: 6,         // Hours of no focus before a tab is auto-stored
+  archiveAfterDays: 0,       // Move entries older than this into compressed monthly blocks (0 = never)
+  retentionRules: [],        // Per-rule overrides of retentionDays — see retentionPlanner()
+  canonicalizeUrls: false,   // Strip tracking params, collapse mobile/AMP hosts… (see eh-canon.js)
+  canonStripParams: [],      // Extra query parameters to strip ('name' or 'prefix*')
+  canonHostAliases: [],      // [{ from, to }] host rewrites
+  vaultIdleMinutes: 15,      // Re-lock encrypted history after this long unused (0 = when the browser closes)
+  backupSchedule: 'off',     // 'off' | 'daily' | 'weekly' full backup into the downloads folder
+  backupKeep: 7,             // Backups kept before the oldest is deleted
+  backupFolder: 'Extended History Backups', // Subfolder of the downloads folder
 };
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -44,6 +61,52 @@ function isTrackable(url) {
   if (!url) return false;
   return !['chrome://','chrome-extension://','about:','data:','javascript:','moz-extension://','edge://','brave://'].some(p => url.startsWith(p));
 }
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+// ── Entry identity and de-duplication ────────────────────────────────────────
+// A visit gets the same id whichever path stores it (live, flush, backfill,
+// import, per-visit recording): a hash of the normalized URL plus the visit
+// time, plus Chrome's visitId when known. Today's live entries therefore keep
+// their ids across refreshes and after being flushed to storage.
+function entryId(url, visitTime, visitId) {
+  return `e_${fnv1a(url).toString(36)}_${Math.round(visitTime).toString(36)}${visitId ? '_' + visitId : ''}`;
+}
+
+// Visit time encoded in an entryId(), or null for ids that predate them
+function entryIdTime(id) {
+  const m = /^e_[0-9a-z]+_([0-9a-z]+)/.exec(id || '');
+  return m ? parseInt(m[1], 36) : null;
+}
+
+// Rows without a visitId (older versions, imports, per-visit mode) can only be
+// matched loosely: same URL within the same 5-second bucket
+function dedupBucket(e) {
+  return `${e.url}|${Math.floor(e.visitTime / 5000)}`;
+}
+
+// The single duplicate check used by every ingestion path. Returns the entries
+// of `incoming` that are not already in `existing` (nor repeated in
+// `incoming`): a duplicate has the same id, the same Chrome visitId, or the
+// same URL bucket where one side has no visitId.
+function dedupeVisits(existing, incoming) {
+  const ids = new Set(), visitIds = new Set(), buckets = new Set(), looseBuckets = new Set();
+  const remember = e => {
+    ids.add(e.id);
+    buckets.add(dedupBucket(e));
+    if (e.visitId) visitIds.add(e.visitId); else looseBuckets.add(dedupBucket(e));
+  };
+  existing.forEach(remember);
+  return incoming.filter(e => {
+    const key = dedupBucket(e);
+    const dup = ids.has(e.id) || (e.visitId ? visitIds.has(e.visitId) || looseBuckets.has(key) : buckets.has(key));
+    if (!dup) remember(e);
+    return !dup;
+  });
+}
 
 // ── Ignore List ──────────────────────────────────────────────────────────────
 function normalizeIgnorePattern(pattern) {
@@ -96,15 +159,25 @@ function hostMatchesPattern(urlHost, patternHost, allowSubdomains = true) {
   return allowSubdomains ? u.endsWith('.' + p) : false;
 }
 
-async function getIgnoreList() {
-  const r = await chrome.storage.local.get(IGNORE_LIST_KEY);
-  const list = r[IGNORE_LIST_KEY] || [];
-  return list
-    .map(normalizeIgnorePattern)
-    .filter(Boolean);
+// Once a master password is set, patterns are only stored sealed by
+// IgnoreVault (eh-vault.js — the key comes from the password through a salted,
+// slow KDF). Matching uses the decrypted copy in chrome.storage.session, which
+// lasts for the browser session: after a restart the list applies again once
+// it is unlocked on the Ignore List page (the toolbar badge and the popup say
+// so meanwhile), and that unlock cleans up whatever was visited meanwhile. Patterns added while locked (context menu) are sealed
+// with the public key alone and merged into the list on the next unlock.
+const IgnoreVault = EhVault.create('eh_ignore_vault', 'eh_ignore_vault_unlocked');
+
+async function ignoreSession() {
+  const r = await chrome.storage.session.get(IGNORE_SESSION_KEY);
+  return r[IGNORE_SESSION_KEY] || { list: [], unlocked: false };
 }
 
-async function setIgnoreList(list) {
+async function sealIgnoreList(list) {
+  return EhVault.toJson(await IgnoreVault.seal(new TextEncoder().encode(JSON.stringify(list))));
+}
+
+function normalizeIgnoreList(list) {
   const seen = new Set();
   const normalized = [];
   for (const pattern of (list || [])) {
@@ -113,7 +186,111 @@ async function setIgnoreList(list) {
     seen.add(clean);
     normalized.push(clean);
   }
-  await chrome.storage.local.set({ [IGNORE_LIST_KEY]: normalized });
+  return normalized;
+}
+
+async function getIgnoreList() {
+  const r = await chrome.storage.local.get([IGNORE_LIST_KEY, IGNORE_SEALED_KEY]);
+  const list = r[IGNORE_SEALED_KEY] ? (await ignoreSession()).list : (r[IGNORE_LIST_KEY] || []);
+  return list
+    .map(normalizeIgnorePattern)
+    .filter(Boolean);
+}
+
+async function setIgnoreList(list) {
+  const normalized = normalizeIgnoreList(list);
+  const r = await chrome.storage.local.get(IGNORE_SEALED_KEY);
+  if (!r[IGNORE_SEALED_KEY]) {
+    await chrome.storage.local.set({ [IGNORE_LIST_KEY]: normalized });
+    return;
+  }
+  if (!(await ignoreSession()).unlocked) throw new Error('Ignore list is locked');
+  await chrome.storage.local.set({ [IGNORE_SEALED_KEY]: [await sealIgnoreList(normalized)] });
+  await chrome.storage.session.set({ [IGNORE_SESSION_KEY]: { list: normalized, unlocked: true } });
+}
+
+// New master password: the list is sealed under it and the old form removed
+async function protectIgnoreList(password, list) {
+  const normalized = normalizeIgnoreList(list);
+  await IgnoreVault.remove();
+  await IgnoreVault.setup(password);
+  await IgnoreVault.lock();   // sealing only needs the public key
+  await chrome.storage.local.set({ [IGNORE_SEALED_KEY]: [await sealIgnoreList(normalized)], [IGNORE_CHECKED_KEY]: Date.now() });
+  await chrome.storage.local.remove([IGNORE_LIST_KEY, IGNORE_PW_KEY, IGNORE_LOCKOUT_KEY]);
+  await chrome.storage.session.set({ [IGNORE_SESSION_KEY]: { list: normalized, unlocked: true } });
+}
+
+async function legacyIgnoreHash(password) {
+  const buf = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('EH_IGNORE:' + password));
+  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Wrong passwords: three free tries, then 30 s doubling up to an hour
+function ignoreBackoff(fails) {
+  return fails < 3 ? 0 : Math.min(3600000, 30000 * 2 ** (fails - 3));
+}
+
+async function ignoreLockStatus() {
+  const r = await chrome.storage.local.get([IGNORE_SEALED_KEY, IGNORE_PW_KEY, IGNORE_LOCKOUT_KEY]);
+  const until = r[IGNORE_LOCKOUT_KEY]?.until || 0;
+  return {
+    protected: !!(r[IGNORE_SEALED_KEY] || r[IGNORE_PW_KEY]),
+    unlocked:  (await ignoreSession()).unlocked,
+    inactive:  await ignoreListInactive(),
+    retryAt:   until > Date.now() ? until : null,
+  };
+}
+
+// Sealed and not unlocked since the browser started: nothing is being ignored
+async function ignoreListInactive() {
+  const r = await chrome.storage.local.get(IGNORE_SEALED_KEY);
+  return !!r[IGNORE_SEALED_KEY] && !(await ignoreSession()).unlocked && await isIgnoreListEnabled();
+}
+
+// { success } or { success: false, retryAt } — retryAt set while backing off
+async function unlockIgnoreList(password) {
+  const r = await chrome.storage.local.get([IGNORE_SEALED_KEY, IGNORE_PW_KEY, IGNORE_LIST_KEY, IGNORE_LOCKOUT_KEY, IGNORE_CHECKED_KEY]);
+  const lockout = r[IGNORE_LOCKOUT_KEY] || { fails: 0, until: 0 };
+  if (Date.now() < lockout.until) return { success: false, retryAt: lockout.until };
+
+  let list = null;
+  if (r[IGNORE_SEALED_KEY]) {
+    if (await IgnoreVault.unlock(password)) {
+      list = [];
+      for (const rec of r[IGNORE_SEALED_KEY]) {
+        list.push(...JSON.parse(new TextDecoder().decode(await IgnoreVault.open(EhVault.fromJson(rec)))));
+      }
+      await IgnoreVault.lock();
+    }
+  } else if (r[IGNORE_PW_KEY] && await legacyIgnoreHash(password) === r[IGNORE_PW_KEY]) {
+    list = r[IGNORE_LIST_KEY] || [];
+  }
+
+  if (!list) {
+    const fails = lockout.fails + 1;
+    const until = Date.now() + ignoreBackoff(fails);
+    await chrome.storage.local.set({ [IGNORE_LOCKOUT_KEY]: { fails, until } });
+    return { success: false, retryAt: until > Date.now() ? until : null };
+  }
+
+  const wasUnlocked = (await ignoreSession()).unlocked;
+  if (r[IGNORE_SEALED_KEY]) {
+    await chrome.storage.session.set({ [IGNORE_SESSION_KEY]: { list: normalizeIgnoreList(list), unlocked: true } });
+    await setIgnoreList(list);   // one sealed record again, additions merged in
+    await chrome.storage.local.set({ [IGNORE_CHECKED_KEY]: Date.now() });
+    await chrome.storage.local.remove(IGNORE_LOCKOUT_KEY);
+  } else {
+    await protectIgnoreList(password, list);
+  }
+  // Visits made while the list was locked slipped through — remove them now
+  if (!wasUnlocked) cleanIgnoredSince(r[IGNORE_CHECKED_KEY] || 0).catch(e => console.warn('[EH] ignore cleanup failed:', e.message));
+  return { success: true };
+}
+
+async function resetIgnoreList() {
+  await IgnoreVault.remove();
+  await chrome.storage.local.remove([IGNORE_SEALED_KEY, IGNORE_LIST_KEY, IGNORE_PW_KEY, IGNORE_LOCKOUT_KEY, IGNORE_CHECKED_KEY]);
+  await chrome.storage.session.remove(IGNORE_SESSION_KEY);
 }
 // Check if ignore list is enabled
 async function isIgnoreListEnabled() {
@@ -164,6 +341,15 @@ async function addIgnorePattern(pattern) {
   const list = await getIgnoreList();
   if (list.includes(clean)) return { success: false, error: 'Pattern already exists' };
 
+  // Locked: seal the new pattern on its own and start matching it right away
+  const r = await chrome.storage.local.get(IGNORE_SEALED_KEY);
+  const session = await ignoreSession();
+  if (r[IGNORE_SEALED_KEY] && !session.unlocked) {
+    await chrome.storage.local.set({ [IGNORE_SEALED_KEY]: [...r[IGNORE_SEALED_KEY], await sealIgnoreList([clean])] });
+    await chrome.storage.session.set({ [IGNORE_SESSION_KEY]: { list: [...session.list, clean], unlocked: false } });
+    return { success: true, pattern: clean };
+  }
+
   list.push(clean);
   await setIgnoreList(list);
   return { success: true, pattern: clean };
@@ -205,76 +391,121 @@ async function cleanupIgnoredUrlFromNativeHistory(url) {
 
 // Clean all ignored URLs from history
 async function cleanIgnoredFromHistory() {
-  const enabled = await isIgnoreListEnabled();
-  if (!enabled) return { removed: 0 };
-  const ignoreList = await getIgnoreList();
-  if (!ignoreList.length) return { removed: 0 };
+  return mutateHistory(async () => {
+    const enabled = await isIgnoreListEnabled();
+    if (!enabled) return { removed: 0 };
+    const ignoreList = await getIgnoreList();
+    if (!ignoreList.length) return { removed: 0 };
   
-  let entries = await getAll();
+    const entries = await getAll();
+    const ignored = e => ignoreList.some(pattern => matchesIgnorePattern(e.url, pattern, e.title));
   
-  // Filter out ignored entries
-  const toKeep = [];
-  const toDelete = [];
-  for (const e of entries) {
-    if (ignoreList.some(pattern => matchesIgnorePattern(e.url, pattern, e.title))) {
-      toDelete.push(e);
-    } else {
-      toKeep.push(e);
-    }
-  }
+    // Collect ignored entries — only these rows are removed from storage
+    const toDelete = entries.filter(ignored);
+    // Sealed months wait while locked — CLEAN_IGNORED_HISTORY after unlocking reaches them
+    toDelete.push(...await rewriteArchive(null, null, e => !ignored(e), { skipLocked: true }));
   
-  if (toDelete.length) {
-    await setAll(toKeep);
-    await updateTodayHistory();
+    if (toDelete.length) {
+      await applyHistoryChanges({ remove: toDelete.map(e => e.id) }, entries);
+      await updateTodayHistory();
     
-    // Also remove from Chrome native history
-    for (const e of toDelete) {
-      try { await chrome.history.deleteUrl({ url: e.url }); } catch {}
+      // Also remove from Chrome native history
+      for (const e of toDelete) {
+        try { await chrome.history.deleteUrl({ url: e.url }); } catch {}
+      }
+      await EhTrail.forget({ urls: [...new Set(toDelete.map(e => e.url))] }).catch(() => {});
     }
-  }
   
-  return { removed: toDelete.length };
+    return { removed: toDelete.length };
+  });
+}
+
+// Stored history, plus Chrome's own from `since` on — for visits made while the list was locked
+async function cleanIgnoredSince(since) {
+  if (!await isIgnoreListEnabled()) return;
+  await cleanIgnoredFromHistory();
+  const ignoreList = await getIgnoreList();
+  const items = await chrome.history.search({ text: '', startTime: since, maxResults: 100000 });
+  const urls  = new Set();
+  for (const item of items) {
+    if (!item.url || !ignoreList.some(pattern => matchesIgnorePattern(item.url, pattern, item.title))) continue;
+    await deleteUrlFromNativeHistory(item.url);
+    urls.add(normalizeUrl(item.url));
+  }
+  // Their trail was recorded too, today's visits not being in stored history yet
+  if (urls.size) await EhTrail.forget({ urls: [...urls] }).catch(() => {});
+}
+
+// A sealed list that is still locked doesn't apply — the toolbar icon says so
+// (the popup shows why). Follows the storage keys, so every path that locks,
+// unlocks, protects or resets the list updates it.
+async function refreshIgnoreBadge() {
+  const locked = await ignoreListInactive();
+  await chrome.action.setBadgeBackgroundColor({ color: '#e05252' });
+  await chrome.action.setBadgeText({ text: locked ? '!' : '' });
+  await chrome.action.setTitle({ title: locked ? 'Extended History — ignore list locked, ignored sites are being recorded' : chrome.runtime.getManifest().action.default_title });
 }
 
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (IGNORE_SEALED_KEY in changes || IGNORE_SESSION_KEY in changes || (area === 'local' && SETTINGS_KEY in changes)) {
+    refreshIgnoreBadge().catch(() => {});
+  }
+});
+refreshIgnoreBadge().catch(() => {});
+
 // ── Time tracking ─────────────────────────────────────────────────────────────
 //
 // Tracks the currently active tab in the focused window.
 // SW restarts from scratch after idle — self-heals within 30s via alarm.
+// While the user is idle (see Idle detection) the running stretch counts into
+// IDLE_TIME_KEY instead of TIME_KEY: "active" time vs "open" time (both).
 
 let activeTabId    = null;
 let activeDomain   = null;
 let segmentStart   = null;
+let idleStart      = null; // like segmentStart, while the user is idle
+let domainSince    = null; // when activeDomain came to the front
 let windowFocused  = true; // corrected by resumeActiveTab
 let _timeTrackingEnabled = true; // cached in-memory, updated on SAVE_SETTINGS
 let _autoStoreEnabled = false;   // cached in-memory, updated on SAVE_SETTINGS
 let _autoStoreHours   = 6;       // cached in-memory, updated on SAVE_SETTINGS
 
-async function commitSegment() {
-  if (!activeDomain || !segmentStart || !windowFocused) {
-    segmentStart = null;
-    return;
-  }
-  if (!_timeTrackingEnabled) { segmentStart = null; return; }
-  const now = Date.now();
-  const ms  = now - segmentStart;
-  segmentStart = null; // clear immediately to prevent double-commit
+async function commitSegment(end = Date.now()) {
+  const start = segmentStart, idle = idleStart;
+  segmentStart = idleStart = null; // clear immediately to prevent double-commit
+  if (!activeDomain || !windowFocused || !_timeTrackingEnabled) return;
+  if (start) await addStretch(TIME_KEY, start, end);
+  if (idle)  await addStretch(IDLE_TIME_KEY, idle, end);
+}
 
+async function addStretch(key, start, end, domain = activeDomain) {
+  const ms = end - start;
   if (ms < 1000 || ms > 7_200_000) return;
 
   // Cap at today's elapsed time (don't bleed across midnight)
-  const midnight = new Date(); midnight.setHours(0, 0, 0, 0);
-  const sinceDay = now - midnight.getTime();
-  const capped   = Math.min(ms, sinceDay);
+  const midnight = new Date(end); midnight.setHours(0, 0, 0, 0);
+  const capped   = Math.min(ms, end - midnight.getTime());
   if (capped < 1000) return;
 
-  await addTime(activeDomain, capped);
+  await addTime(domain, capped, key);
+}
+
+// Commit what has run so far and carry on in the same state (tick, FLUSH_TIME)
+async function flushSegment() {
+  const idle = !!idleStart;
+  await commitSegment();
+  if (idle) idleStart = Date.now(); else segmentStart = Date.now();
 }
 
 function startSegment(tabId, domain) {
   activeTabId  = tabId;
   activeDomain = domain;
-  // segmentStart stays null if tracking is disabled; commitSegment checks too
-  segmentStart = Date.now();
+  domainSince  = Date.now();
+  // segmentStart stays null if tracking is disabled; commitSegment checks too.
+  // Neither runs while the screen is locked.
+  segmentStart = _idleState === 'active' ? Date.now() : null;
+  idleStart    = _idleState === 'idle'   ? Date.now() : null;
+  refreshAudible().catch(() => {});
 }
 
 // Called on startup/install to pick up wherever we are
@@ -291,14 +522,127 @@ async function resumeActiveTab() {
   } catch {}
 }
 
-async function addTime(domain, ms) {
+async function addTime(domain, ms, key = TIME_KEY) {
   if (!domain) return;
-  const r   = await chrome.storage.local.get(TIME_KEY);
-  const map = r[TIME_KEY] || {};
+  const r   = await chrome.storage.local.get(key);
+  const map = r[key] || {};
   const day = todayKey();
   if (!map[domain]) map[domain] = {};
-  map[domain][day] = (map[domain][day] || 0) + ms;
-  await chrome.storage.local.set({ [TIME_KEY]: map });
+  map[domain][day] = Math.max((map[domain][day] || 0) + ms, 0);
+  await chrome.storage.local.set({ [key]: map });
+}
+
+// ── Idle detection ────────────────────────────────────────────────────────────
+//
+// chrome.idle reports 'idle' once there has been no input for idleMinutes, so
+// by then that much has already gone by as active — and the tick may have
+// committed part of it. It is cut back to where input stopped and moved over
+// to idle time. 'locked' stops both clocks; 'active' starts the active one.
+
+let _idleMinutes = DEFAULT_SETTINGS.idleMinutes; // cached, 0 = off
+let _idleState   = 'active';
+
+// Settings → chrome.idle; on SW start, after SAVE_SETTINGS and profile import
+async function setupIdleDetection(minutes) {
+  _idleMinutes = minutes;
+  if (!chrome.idle) return;
+  if (minutes > 0) chrome.idle.setDetectionInterval(Math.max(15, minutes * 60));
+  await onIdleStateChanged(minutes > 0 ? await chrome.idle.queryState(Math.max(15, minutes * 60)) : 'active');
+}
+
+async function onIdleStateChanged(state) {
+  if (!_idleMinutes) state = 'active';
+  if (state === _idleState) return;
+  const prev = _idleState;
+  _idleState = state;
+  if (!_timeTrackingEnabled) { refreshAudible().catch(() => {}); return; }
+
+  if (prev === 'active' && state === 'idle' && activeDomain && windowFocused && segmentStart) {
+    const now      = Date.now();
+    const midnight = new Date(); midnight.setHours(0, 0, 0, 0);
+    const cut      = Math.min(now, Math.max(now - _idleMinutes * 60000, domainSince || now, midnight.getTime()));
+    const start    = segmentStart;
+    segmentStart = null;
+    if (start < cut) await addStretch(TIME_KEY, start, cut);
+    else if (start > cut) {
+      // Already committed as active by the tick — same domain, same day
+      await addTime(activeDomain, -(start - cut));
+      await addTime(activeDomain, start - cut, IDLE_TIME_KEY);
+    }
+    // cut → start is idle time now; the running stretch takes over from there
+    idleStart = Math.max(start, cut);
+    // A tab playing sound in front was listened to since input stopped
+    await refreshAudible(cut);
+    return;
+  }
+  refreshAudible().catch(() => {});
+  await commitSegment();
+  if (state === 'active') await resumeActiveTab();
+  else if (state === 'idle' && activeDomain && windowFocused) idleStart = Date.now();
+}
+
+if (chrome.idle) chrome.idle.onStateChanged.addListener(state => { onIdleStateChanged(state).catch(() => {}); });
+getSettings().then(s => setupIdleDetection(s.idleMinutes)).catch(() => {});
+
+// ── Listening / watching time ─────────────────────────────────────────────────
+//
+// A tab playing sound (audible and not muted) accrues AUDIBLE_TIME_KEY for its
+// domain while it isn't the tab counting active time: in a background tab or
+// window, or in front while the user is idle or the screen is locked. So
+// active + listening never counts the same minute twice and can be stacked.
+
+const _heardTabs   = new Map(); // tabId → domain, every tab playing sound
+const _audibleTabs = new Map(); // tabId → { domain, start }, those accruing now
+
+function isHeard(tab) {
+  return !!tab.audible && !tab.mutedInfo?.muted && isTrackable(tab.url);
+}
+
+// The tab accruing active time, if any
+function frontTab() {
+  return windowFocused && activeDomain && _idleState === 'active' ? activeTabId : null;
+}
+
+// Brings _audibleTabs in line with _heardTabs and the front tab — call after
+// either changes. The bookkeeping is synchronous; only the writes are awaited.
+function refreshAudible(now = Date.now()) {
+  const front = frontTab();
+  const ended = [];
+  for (const [tabId, a] of [..._audibleTabs]) {
+    if (_heardTabs.get(tabId) === a.domain && tabId !== front && _timeTrackingEnabled) continue;
+    _audibleTabs.delete(tabId);
+    ended.push(a);
+  }
+  if (_timeTrackingEnabled) {
+    for (const [tabId, domain] of _heardTabs) {
+      if (tabId !== front && !_audibleTabs.has(tabId)) _audibleTabs.set(tabId, { domain, start: now });
+    }
+  }
+  return (async () => {
+    for (const a of ended) await addStretch(AUDIBLE_TIME_KEY, a.start, now, a.domain);
+  })();
+}
+
+// After audible, muted or the URL changed on a tab
+function syncAudible(tab) {
+  if (isHeard(tab)) _heardTabs.set(tab.id, domainOf(tab.url));
+  else _heardTabs.delete(tab.id);
+  return refreshAudible();
+}
+
+// Tick: commit what has played so far and carry on; picks up tabs that were
+// already playing when the SW started and drops ones whose events were missed
+async function flushAudible() {
+  const now  = Date.now();
+  const done = [..._audibleTabs.values()].map(a => ({ ...a }));
+  for (const a of _audibleTabs.values()) a.start = now;
+  for (const a of done) await addStretch(AUDIBLE_TIME_KEY, a.start, now, a.domain);
+  const tabs = await chrome.tabs.query({ audible: true }).catch(() => null);
+  if (tabs) {
+    _heardTabs.clear();
+    for (const tab of tabs) if (isHeard(tab)) _heardTabs.set(tab.id, domainOf(tab.url));
+  }
+  await refreshAudible();
 }
 
 // Safety-net alarm every 30s:
@@ -308,13 +652,87 @@ async function addTime(domain, ms) {
 chrome.alarms.create('eh_tick', { periodInMinutes: 0.5 });
 // Flush alarm: fire every minute; actual flush only runs when syncInterval has elapsed
 chrome.alarms.create('eh_flush', { periodInMinutes: 1 });
+// Backup alarm: hourly check whether the scheduled backup is due
+chrome.alarms.create('eh_backup', { periodInMinutes: 60 });
 
 const AUTO_SAVE_KEY = 'eh_auto_save_interval'; // minutes, 0 = disabled
 let _lastAutoSave   = 0; // timestamp of last auto-save
 let _lastSessionSave = 0; // timestamp of last session save
 
+// ── Per-visit records from Chrome history ────────────────────────────────────
+// chrome.history.search returns one item per URL with only its lastVisitTime.
+// Each item is expanded with chrome.history.getVisits into one entry per visit,
+// carrying Chrome's visitId, referringVisitId and transition type ("typed",
+// "link", "reload", "auto_bookmark", …). Visits of the same page share `url`
+// and Chrome's URL row id (`urlId`), which is what links them together.
+const VISIT_BATCH = 25; // getVisits calls in flight at once
+
+// url → { lastVisitTime, visitCount, visits } — today's visits are re-read on
+// every SEARCH, so unchanged URLs skip the getVisits round-trip
+const _visitCache = new Map();
+
+async function getVisitsCached(item) {
+  const hit = _visitCache.get(item.url);
+  if (hit && hit.lastVisitTime === item.lastVisitTime && hit.visitCount === item.visitCount) return hit.visits;
+  let visits;
+  try { visits = await chrome.history.getVisits({ url: item.url }); } catch { visits = []; }
+  if (_visitCache.size > 5000) _visitCache.clear();
+  _visitCache.set(item.url, { lastVisitTime: item.lastVisitTime, visitCount: item.visitCount, visits });
+  return visits;
+}
+
+async function chromeVisitEntries(items, { startTime = 0, source }) {
+  const entries = [];
+  for (let i = 0; i < items.length; i += VISIT_BATCH) {
+    const batch  = items.slice(i, i + VISIT_BATCH);
+    const visits = await Promise.all(batch.map(getVisitsCached));
+    batch.forEach((item, n) => {
+      const own = visits[n].filter(v => v.visitTime >= startTime &&
+        v.transition !== 'auto_subframe' && v.transition !== 'manual_subframe');
+      // Visits can be missing (expired or still being written) — keep the URL row
+      if (!own.length) own.push({ visitTime: item.lastVisitTime || Date.now() });
+      for (const v of own) {
+        const url = normalizeUrl(item.url);
+        entries.push({
+          id:        entryId(url, v.visitTime, v.visitId),
+          url,
+          rawUrl:    item.url,
+          title:     item.title || '',
+          visitTime: v.visitTime,
+          domain:    domainOf(item.url),
+          tabId:     null,
+          source,
+          ...(v.visitId ? {
+            visitId:          v.visitId,
+            urlId:            v.id,
+            referringVisitId: v.referringVisitId && v.referringVisitId !== '0' ? v.referringVisitId : null,
+            transition:       v.transition,
+          } : {}),
+        });
+      }
+    });
+  }
+  return entries;
+}
+
+// Full backfill from Chrome history (first install and the RE_BACKFILL button).
+// Chrome still has the visits that were archived or folded away as duplicates,
+// so both are checked besides the hot store.
+async function backfillFromChrome() {
+  return mutateHistory(async () => {
+    const items   = await chrome.history.search({ text: '', startTime: 0, maxResults: 100000 });
+    const entries = await chromeVisitEntries(items.filter(i => isTrackable(i.url)), { source: 'backfill' });
+    const r        = await chrome.storage.local.get(DUP_DROPPED_KEY);
+    const dropped  = new Set(r[DUP_DROPPED_KEY] || []);
+    const existing = await getAll();
+    const { fresh, parked } = await dedupeArchived(dedupeVisits(existing, entries.filter(e => !dropped.has(e.id))));
+    if (fresh.length) await applyHistoryChanges({ put: fresh }, existing);
+    return fresh.length + parked;
+  });
+}
+
 // ── Today's history: read live from Chrome API (no per-visit storage writes) ──
-// Returns entries in the same shape as eh_history entries.
+// Returns entries in the same shape as eh_history entries, one per visit.
 // For the popup and history page we query Chrome's native history for today —
 // this is always up-to-date with zero extra storage writes while browsing.
 async function getTodayFromChromeApi() {
@@ -332,22 +750,9 @@ async function getTodayFromChromeApi() {
     const ignoreEnabled = await isIgnoreListEnabled();
     const ignoreList = ignoreEnabled ? await getIgnoreList() : [];
 
-    const entries = [];
-    for (const item of items) {
-      if (!item.url || !isTrackable(item.url)) continue;
-      if (ignoreList.some(p => matchesIgnorePattern(item.url, p, item.title))) continue;
-      entries.push({
-        id: `live_${item.lastVisitTime}_${Math.random().toString(36).slice(2, 6)}`,
-        url: normalizeUrl(item.url),
-        rawUrl: item.url,
-        title: item.title || '',
-        visitTime: item.lastVisitTime || Date.now(),
-        domain: domainOf(item.url),
-        tabId: null,
-        source: 'live',
-      });
-    }
-    return entries;
+    const kept = items.filter(item => item.url && isTrackable(item.url) &&
+      !ignoreList.some(p => matchesIgnorePattern(item.url, p, item.title)));
+    return await chromeVisitEntries(kept, { startTime, source: 'live' });
   } catch {
     return [];
   }
@@ -363,38 +768,35 @@ async function updateTodayHistory() {
 // ── Periodic flush: merge today's Chrome history into eh_history ──────────────
 // Runs every `syncInterval` minutes (default 30). Pulls all of today's visits
 // from the Chrome history API and merges them into local storage, deduplicating
-// by (normalizedUrl, 5-second bucket). This replaces per-visit storage writes.
+// by Chrome visitId (or normalizedUrl + 5-second bucket for older rows).
+// This replaces per-visit storage writes.
 let _lastFlush = 0;
 
 async function flushTodayToHistory() {
-  const settings = await getSettings();
-  const now = Date.now();
-  const cutoff = now - settings.retentionDays * 86400000;
-
-  const todayEntries = await getTodayFromChromeApi();
-  if (!todayEntries.length) return;
-
-  let existing = await getAll();
-  const existingSet = new Set(existing.map(e => `${e.url}|${Math.floor(e.visitTime / 5000)}`));
-
-  let added = 0;
-  for (const e of todayEntries) {
-    const key = `${e.url}|${Math.floor(e.visitTime / 5000)}`;
-    if (existingSet.has(key)) continue;
-    existingSet.add(key);
-    existing.push({ ...e, id: `flush_${e.visitTime}_${Math.random().toString(36).slice(2, 6)}`, source: 'flush' });
-    added++;
-  }
-
-  if (!added) return;
-
-  // Apply retention/max cap then save
-  existing = existing.filter(e => e.visitTime >= cutoff);
-  if (existing.length > settings.maxEntries) existing = existing.slice(existing.length - settings.maxEntries);
-  existing.sort((a, b) => b.visitTime - a.visitTime);
-  await setAll(existing);
-  _lastFlush = now;
-  //console.log(`[EH] Flushed ${added} new entries from today into history`);
+  return mutateHistory(async () => {
+    const settings = await getSettings();
+    const now = Date.now();
+
+    const todayEntries = await getTodayFromChromeApi();
+    if (!todayEntries.length) return;
+
+    const existing = await getAll();
+    const fresh = dedupeVisits(existing, todayEntries).map(e => ({ ...e, source: 'flush' }));
+
+    if (!fresh.length) return;
+
+    // Apply retention/max cap — only the new rows and the pruned ids are written
+    const prune  = new Set(idsToPrune([...existing, ...fresh], settings, now));
+    const pruned = existing.filter(e => prune.has(e.id));
+    await applyHistoryChanges({
+      put:    fresh.filter(e => !prune.has(e.id)),
+      remove: pruned.map(e => e.id),
+    }, existing);
+    await forgetTrail(pruned);
+    _lastFlush = now;
+    await EhTrail.forget({ end: now - settings.retentionDays * 86400000 }).catch(() => {});
+    //console.log(`[EH] Flushed ${added} new entries from today into history`);
+  });
 }
 
 async function getSyncInterval() {
@@ -414,16 +816,23 @@ chrome.alarms.onAlarm.addListener(async alarm => {
     if (intervalMins > 0 && Date.now() - _lastFlush >= intervalMins * 60 * 1000) {
       await flushTodayToHistory().catch(() => {});
     }
+    await applyRetentionRules().catch(e => console.warn('[EH] retention pass failed:', e.message));
+    await archiveOldHistory().catch(e => console.warn('[EH] archive pass failed:', e.message));
+    return;
+  }
+  if (alarm.name === 'eh_backup') {
+    await runBackup().catch(e => console.warn('[EH] backup failed:', e.message));
     return;
   }
   if (alarm.name !== 'eh_tick') return;
+  if (await EhVault.lockIfIdle((await getSettings()).vaultIdleMinutes).catch(() => false)) broadcastVaultState();
   if (_timeTrackingEnabled) {
-    if (activeDomain && segmentStart && windowFocused) {
-      await commitSegment();
-      segmentStart = Date.now();
-    } else if (!segmentStart) {
+    if (activeDomain && (segmentStart || idleStart) && windowFocused) {
+      await flushSegment();
+    } else if (!segmentStart && !idleStart && _idleState !== 'locked') {
       await resumeActiveTab();
     }
+    await flushAudible();
   }
   
   // Save current session every 30s (overwrite same storage)
@@ -458,24 +867,38 @@ async function doAutoSaveSession() {
   const tsData   = await chrome.storage.local.get('eh_tab_storage');
   const tsEntries = tsData['eh_tab_storage'] || [];
   const htmlBody = buildSessionHtml(label, openTabs, tsEntries);
+
+  try {
+    await withHistoryPage(async tabId => {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'AUTO_SAVE_DOWNLOAD',
+        html: htmlBody,
+        filename: 'extended-history-session.html',
+      });
+      _lastAutoSave = Date.now();
+    });
+  } catch (e) {
+    console.warn('[EH] auto-save failed:', e.message);
+  }
+}
+
+// Downloads need a page (blob URLs don't exist in the worker): runs fn(tabId)
+// against the history page, opening it in a background tab if it isn't open
+// and closing that tab again afterwards.
+async function withHistoryPage(fn) {
   const extPageUrl = chrome.runtime.getURL('history.html');
 
   // Check if the history page is already open
   let tabId = null;
   let didOpen = false;
-  try {
-    const existing = await chrome.tabs.query({ url: extPageUrl });
-    if (existing.length > 0) {
-      tabId = existing[0].id;
-    } else {
-      // Open it hidden in the background
-      const t = await chrome.tabs.create({ url: extPageUrl, active: false });
-      tabId = t.id;
-      didOpen = true;
-    }
-  } catch (e) {
-    console.warn('[EH] auto-save: could not get tab:', e.message);
-    return;
+  const existing = await chrome.tabs.query({ url: extPageUrl });
+  if (existing.length > 0) {
+    tabId = existing[0].id;
+  } else {
+    // Open it hidden in the background
+    const t = await chrome.tabs.create({ url: extPageUrl, active: false });
+    tabId = t.id;
+    didOpen = true;
   }
 
   // Wait for the page to signal it's ready (it sends READY ping on load),
@@ -494,21 +917,14 @@ async function doAutoSaveSession() {
   });
 
   try {
-    await chrome.tabs.sendMessage(tabId, {
-      type: 'AUTO_SAVE_DOWNLOAD',
-      html: htmlBody,
-      filename: 'extended-history-session.html',
-    });
-    _lastAutoSave = Date.now();
-  } catch (e) {
-    console.warn('[EH] auto-save: send failed:', e.message);
-  }
-
-  // Close the tab we opened (leave user's existing tab alone)
-  if (didOpen) {
-    setTimeout(async () => {
-      try { await chrome.tabs.remove(tabId); } catch {}
-    }, 3000);
+    return await fn(tabId);
+  } finally {
+    // Close the tab we opened (leave user's existing tab alone)
+    if (didOpen) {
+      setTimeout(async () => {
+        try { await chrome.tabs.remove(tabId); } catch {}
+      }, 3000);
+    }
   }
 }
 
@@ -650,6 +1066,7 @@ function buildSessionHtml(label, tabs, tsEntries) {
 chrome.tabs.onActivated.addListener(async ({ tabId, windowId }) => {
   if (_timeTrackingEnabled) await commitSegment();
   activeTabId = null; activeDomain = null;
+  refreshAudible().catch(() => {});
   if (!windowFocused || !_timeTrackingEnabled && !_autoStoreEnabled) return;
 
   try {
@@ -667,12 +1084,14 @@ chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
   // Reset the idle timer whenever any tab navigates to a new URL — this covers
   // background tabs (e.g. link opened in new tab) that are never the activeTabId.
   if (info.url && isTrackable(info.url)) await resetTabLastFocused(info.url);
+  if (_timeTrackingEnabled && ('audible' in info || info.mutedInfo || info.url)) await syncAudible(tab);
 
   if (tabId !== activeTabId) return;
   if (!info.url) return;
   if (!isTrackable(info.url)) {
     if (_timeTrackingEnabled) await commitSegment();
     activeDomain = null;
+    refreshAudible().catch(() => {});
     return;
   }
   if (_timeTrackingEnabled) await commitSegment();
@@ -681,9 +1100,12 @@ chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
 
 // ── Tab closed ───────────────────────────────────────────────────────────────
 chrome.tabs.onRemoved.addListener(async tabId => {
-  if (tabId !== activeTabId) return;
-  if (_timeTrackingEnabled) await commitSegment();
-  activeTabId = null; activeDomain = null;
+  _heardTabs.delete(tabId);
+  if (tabId === activeTabId) {
+    if (_timeTrackingEnabled) await commitSegment();
+    activeTabId = null; activeDomain = null;
+  }
+  await refreshAudible();
 });
 
 // ── Window focus changes (alt-tab away / back) ────────────────────────────────
@@ -692,6 +1114,7 @@ chrome.windows.onFocusChanged.addListener(async wid => {
     windowFocused = false;
     if (_timeTrackingEnabled) await commitSegment();
     activeTabId = null; activeDomain = null;
+    refreshAudible().catch(() => {});
   } else {
     windowFocused = true;
     if (!_timeTrackingEnabled) return;
@@ -710,7 +1133,7 @@ const LEGACY_KEYS = [
 ['recall_sessions',   SESSIONS_KEY],
 ['recall_backfilled', BACKFILL_KEY],
 ];
-async function migrateStorage() {
+async function migrateLegacyKeys() {
   const m = await chrome.storage.local.get('eh_migration_done');
   if (m.eh_migration_done) return;
   const existing = await chrome.storage.local.get(LEGACY_KEYS.map(([k]) => k));
@@ -726,6 +1149,150 @@ async function migrateStorage() {
   await chrome.storage.local.set({ eh_migration_done: true });
 }
 
+// Entries written by old versions can lack domain/rawUrl or carry a non-string title
+function normalizeEntryShape(e) {
+  let changed = false;
+  if (typeof e.title !== 'string') { e.title = e.title ? String(e.title) : ''; changed = true; }
+  if (!e.domain) { e.domain = domainOf(e.url); changed = true; }
+  if (!e.rawUrl) { e.rawUrl = e.url; changed = true; }
+  return changed;
+}
+
+async function migrateEntryShape(ctx) {
+  if (!await _useIdb()) {
+    // Local storage is one array — nothing to resume, it is rewritten in one go
+    const entries = await getAll();
+    let changed = 0;
+    for (const e of entries) if (normalizeEntryShape(e)) changed++;
+    if (changed) await setAll(entries);
+    await ctx.checkpoint(null, entries.length, entries.length);
+    return;
+  }
+  const total = await EhIdb.count();
+  let { cursor, done } = ctx;
+  for (;;) {
+    const rows = await EhIdb.page(cursor, SCHEMA_CHUNK);
+    if (!rows.length) break;
+    const changed = rows.filter(normalizeEntryShape);
+    if (changed.length) await EhIdb.putMany(changed);
+    cursor = rows[rows.length - 1].id;
+    done  += rows.length;
+    await ctx.checkpoint(cursor, done, total);
+  }
+}
+
+// Re-keys entries saved with the old random/prefixed ids (`bf_…`, `flush_…`,
+// `imp_…`, `<time>_<rand>`) to entryId(). Rows that already have their stable id
+// are left alone, so the step can re-run from any checkpoint; two rows that map
+// to the same id are the same visit and collapse into one.
+async function migrateEntryIds(ctx) {
+  const rekey = e => ({ ...e, id: entryId(e.url, e.visitTime, e.visitId) });
+  if (!await _useIdb()) {
+    const entries = await getAll();
+    const byId = new Map();
+    for (const e of entries) { const n = rekey(e); if (!byId.has(n.id)) byId.set(n.id, n); }
+    if (byId.size !== entries.length || entries.some(e => !byId.has(e.id))) await setAll([...byId.values()]);
+    await ctx.checkpoint(null, entries.length, entries.length);
+  } else {
+    const total = await EhIdb.count();
+    let { cursor, done } = ctx;
+    for (;;) {
+      const rows = await EhIdb.page(cursor, SCHEMA_CHUNK);
+      if (!rows.length) break;
+      const stale = rows.filter(e => rekey(e).id !== e.id);
+      // Write the new rows before dropping the old ones — a worker killed in
+      // between leaves both, and the re-run folds them together again
+      if (stale.length) {
+        await EhIdb.putMany(stale.map(rekey));
+        await EhIdb.deleteByIds(stale.map(e => e.id));
+      }
+      cursor = rows[rows.length - 1].id;
+      done  += rows.length;
+      await ctx.checkpoint(cursor, done, total);
+    }
+  }
+  // Postings point at the old ids
+  await EhIndex.invalidate().catch(() => {});
+}
+
+// ── Schema versioning ────────────────────────────────────────────────────────
+// eh_schema.version is the last migration step that completed. Steps run in
+// order on install/update and browser startup. A long step processes its data
+// in chunks and calls ctx.checkpoint(cursor, done, total) after each one; the
+// cursor is persisted, so if the service worker is killed the step resumes
+// from it the next time the worker starts instead of starting over. Steps must
+// therefore be safe to re-run from their last checkpoint.
+// Progress is broadcast to open pages as SCHEMA_PROGRESS messages and can be
+// polled with GET_SCHEMA_STATUS.
+//
+// To change the storage layout, append a step — never edit or reorder old ones.
+const SCHEMA_KEY   = 'eh_schema';  // { version, running: { version, label, cursor, done, total, error } | null }
+const SCHEMA_CHUNK = 1000;
+const SCHEMA_MIGRATIONS = [
+  { version: 1, label: 'Rename legacy storage keys', run: migrateLegacyKeys },
+  { version: 2, label: 'Normalize stored entries',   run: migrateEntryShape },
+  { version: 3, label: 'Assign stable entry ids',    run: migrateEntryIds },
+];
+const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+let _schemaRun = null;
+
+async function getSchemaState() {
+  const r = await chrome.storage.local.get(SCHEMA_KEY);
+  return r[SCHEMA_KEY] || { version: 0, running: null };
+}
+
+async function saveSchemaState(state) {
+  await chrome.storage.local.set({ [SCHEMA_KEY]: state });
+  chrome.runtime.sendMessage({ type: 'SCHEMA_PROGRESS', latest: SCHEMA_VERSION, ...state }).catch(() => {});
+}
+
+// Single-flight: every caller shares the run already in progress
+function runSchemaMigrations() {
+  if (!_schemaRun) {
+    _schemaRun = runSchemaSteps().finally(() => { _schemaRun = null; });
+  }
+  return _schemaRun;
+}
+
+async function runSchemaSteps() {
+  const state = await getSchemaState();
+  for (const step of SCHEMA_MIGRATIONS) {
+    if (step.version <= state.version) continue;
+    const prev = state.running && state.running.version === step.version ? state.running : null;
+    state.running = {
+      version: step.version, label: step.label,
+      cursor: prev ? prev.cursor : null, done: prev ? prev.done : 0, total: prev ? prev.total : 0,
+      error: null,
+    };
+    await saveSchemaState(state);
+    const ctx = {
+      cursor: state.running.cursor,
+      done:   state.running.done,
+      async checkpoint(cursor, done, total) {
+        Object.assign(state.running, { cursor, done, total });
+        await saveSchemaState(state);
+      },
+    };
+    try {
+      // On the write queue, so no history write interleaves with a step
+      await mutateHistory(() => step.run(ctx));
+    } catch (e) {
+      // Left in `running` with its cursor — the next start retries from there
+      state.running.error = e.message;
+      await saveSchemaState(state);
+      throw e;
+    }
+    state.version = step.version;
+    state.running = null;
+    await saveSchemaState(state);
+  }
+}
+
+// A worker killed mid-step is restarted by the next event or alarm — pick up
+// where the interrupted step left off
+getSchemaState().then(s => { if (s.running) runSchemaMigrations().catch(e => console.error('[EH] schema migration', e)); });
+
 // ── Session tracking ─────────────────────────────────────────────────────────
 let sessionId    = null;
 let sessionTabs  = {};
@@ -905,10 +1472,9 @@ chrome.tabs.onCreated.addListener(async tab => {
   sessionTabs[tab.id] = { url: tab.url||'', title: tab.title||'', domain: domainOf(tab.url||''), windowId: tab.windowId||null, opened: Date.now(), closed: null };
   debouncedSaveSession();
 });
-// ── Title backfill queue — serializes concurrent storage writes ───────────────
-let _titleQueue = Promise.resolve();
-function queuedBackfillTitle(url, title) {
-  _titleQueue = _titleQueue.then(() => backfillTitle(url, title)).catch(() => {});
+// ── Title backfill — runs on the shared history write queue ──────────────────
+function queuedBackfillTitle(url, title, isRetry = false) {
+  mutateHistory(() => backfillTitle(url, title, isRetry)).catch(() => {});
 }
 
 // Per-tab debounce timers for title-only updates.
@@ -1053,7 +1619,10 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 // ── Startup / Install ────────────────────────────────────────────────────────
 chrome.runtime.onStartup.addListener(async () => {
   ensureContextMenus();
-  await migrateStorage();
+  // New browser session, new tab ids — previous tab → page links are meaningless
+  _trailTabs = { pages: {}, openers: {} };
+  await chrome.storage.local.set({ [TRAIL_TABS_KEY]: _trailTabs });
+  await runSchemaMigrations().catch(e => console.error('[EH] schema migration', e));
   const _s0 = await getSettings();
   _timeTrackingEnabled = _s0.timeTrackingEnabled !== false;
   _autoStoreEnabled    = _s0.autoStoreEnabled !== false;
@@ -1064,11 +1633,12 @@ chrome.runtime.onStartup.addListener(async () => {
   await finishSession();
   await beginSession();
   await resumeActiveTab();
+  ensureSearchIndex();
 });
 
 chrome.runtime.onInstalled.addListener(async ({ reason }) => {
   ensureContextMenus();
-  await migrateStorage();
+  await runSchemaMigrations().catch(e => console.error('[EH] schema migration', e));
   if (reason === 'install') {
     chrome.tabs.create({ url: chrome.runtime.getURL('tutorial.html') });
   }
@@ -1079,25 +1649,19 @@ chrome.runtime.onInstalled.addListener(async ({ reason }) => {
   await beginSession();
   await resumeActiveTab();
   
-  // Always backfill Chrome history on install/update to ensure we have all history
-  // This runs on first install, updates, and reinstalls
+  // Backfill Chrome history once, on install (or an update from a version that
+  // never finished one) — after that the flush keeps up, and a backfill on
+  // every update would only bring back what was cleaned up since
   try {
-    const items   = await chrome.history.search({ text:'', startTime:0, maxResults:100000 });
-    const entries = items.filter(i=>isTrackable(i.url)).map(i=>({
-      id:`bf_${i.lastVisitTime}_${Math.random().toString(36).slice(2,6)}`,
-      url:normalizeUrl(i.url), rawUrl:i.url, title:i.title||'',
-      visitTime:i.lastVisitTime||Date.now(), domain:domainOf(i.url), tabId:null, source:'backfill',
-    }));
-    const existing    = await getAll();
-    const existingSet = new Set(existing.map(e=>`${e.url}|${Math.floor(e.visitTime/5000)}`));
-    const newOnes     = entries.filter(e=>!existingSet.has(`${e.url}|${Math.floor(e.visitTime/5000)}`));
-    if (newOnes.length) {
-      await setAll([...existing,...newOnes].sort((a,b)=>b.visitTime-a.visitTime));
-      await updateTodayHistory();
+    const r = await chrome.storage.local.get(BACKFILL_KEY);
+    if (reason === 'install' || !r[BACKFILL_KEY]) {
+      const added = await backfillFromChrome();
+      if (added) await updateTodayHistory();
+      await chrome.storage.local.set({ [BACKFILL_KEY]:true });
+      //console.log(`[EH] Backfilled ${added} entries`);
     }
-    await chrome.storage.local.set({ [BACKFILL_KEY]:true });
-    //console.log(`[EH] Backfilled ${newOnes.length} entries`);
   } catch(e) { console.error('[EH] backfill',e); }
+  ensureSearchIndex();
 });
 
 // ── History storage — switches between localStorage and IndexedDB ─────────────
@@ -1111,105 +1675,1508 @@ async function getAll() {
   return r[HISTORY_KEY] || [];
 }
 async function setAll(entries) {
+  await backendIdle();
   if (await _useIdb()) return EhIdb.setAll(entries);
   await chrome.storage.local.set({ [HISTORY_KEY]: entries });
 }
-async function getSettings() { const r=await chrome.storage.local.get(SETTINGS_KEY); return {...DEFAULT_SETTINGS,...(r[SETTINGS_KEY]||{})}; }
-async function saveSettings(newSettings) {
-  const current = await getSettings();
-  const merged = { ...current, ...newSettings };
-  await chrome.storage.local.set({ [SETTINGS_KEY]: merged });
-  
-  // NEW: If ignore list was just enabled/disabled, clean history immediately if enabled
-  if (newSettings.hasOwnProperty('ignoreListEnabled')) {
-    if (newSettings.ignoreListEnabled) {
-      // Just enabled - clean ignored URLs from history
-      await cleanIgnoredFromHistory();
-    }
-    // If disabled, we don't need to do anything - URLs will just be allowed
+
+// ── Backend migration (Local Storage ⇄ IndexedDB) ────────────────────────────
+// Copies history to the other backend in chunks, persisting a checkpoint after
+// each one so a killed service worker resumes instead of starting over. The
+// backend flag only flips after the copy is verified (entry count plus an
+// order-independent checksum); a failed verification rolls the copy back and
+// leaves the current backend untouched. The source is only removed after the
+// flip. History writes wait while a migration runs (see backendIdle).
+//
+// Local Storage keeps history under one key, so the copy towards it is staged
+// in numbered chunk keys and assembled in a single write together with the
+// flag flip.
+const BACKEND_MIGRATION_KEY = 'eh_backend_migration'; // { target, phase, cursor, done, total, sum, chunks, error }
+const BACKEND_STAGE_PREFIX  = 'eh_migrate_stage_';
+const BACKEND_CHUNK = 2000;
+
+let _backendRun = null;
+
+async function backendIdle() {
+  if (!_backendRun) {
+    // The worker may have restarted mid-copy — finish that before writing
+    const r  = await chrome.storage.local.get(BACKEND_MIGRATION_KEY);
+    const st = r[BACKEND_MIGRATION_KEY];
+    if (st && !st.error) migrateBackend(st.target).catch(() => {});
   }
+  if (_backendRun) await _backendRun.catch(() => {});
 }
-// ── Title back-fill from Chrome history ──────────────────────────────────────
-// Chrome's own history DB has the correct title for every URL it has seen.
-// We query it and write the result into any recent entry that still lacks a title.
-// Write title for the most recent entry matching this URL within the last 2 minutes.
-// Always overwrites — if tabs.onUpdated fires twice, the second (final) title wins.
-// If no entry exists yet (title fired before recordVisit), retry once after 1.5s.
-async function backfillTitle(url, title, _isRetry = false) {
-  if (!url || !title || !isTrackable(url)) return;
-  if (title === 'New Tab' || title === 'Loading…' || title === 'Loading...') return;
-  const norm = normalizeUrl(url);
-  const entries = await getAll();
-  const now = Date.now();
-  let bestIdx = -1, bestTime = 0;
-  for (let i = 0; i < entries.length; i++) {
-    const e = entries[i];
-    if (e.url !== norm) continue;
-    if ((now - e.visitTime) > 300000) continue; // 5 min window (was 2 min)
-    if (e.visitTime > bestTime) { bestTime = e.visitTime; bestIdx = i; }
-  }
-  if (bestIdx === -1) {
-    // Entry not recorded yet — retry once after 1.5s (covers fast title updates like Google Search)
-    if (!_isRetry) setTimeout(() => backfillTitle(url, title, true), 1500);
-    return;
+
+// FNV-1a over the fields that identify an entry; summed, so order doesn't matter
+function entryChecksum(entries, sum = 0) {
+  for (const e of entries) {
+    sum = (sum + fnv1a(`${e.id}|${e.url}|${e.visitTime}|${e.title || ''}`)) >>> 0;
   }
-  entries[bestIdx].title = title;
-  await setAll(entries);
+  return sum;
 }
 
-function normalizeUrl(url) { try { const u=new URL(url); u.hash=''; return u.toString().replace(/\/$/,''); } catch { return url; } }
+async function saveBackendMigration(state) {
+  await chrome.storage.local.set({ [BACKEND_MIGRATION_KEY]: state });
+  chrome.runtime.sendMessage({ type: 'BACKEND_MIGRATION_PROGRESS', ...state }).catch(() => {});
+}
 
-async function recordVisit(url, title, tabId) {
-  if (!isTrackable(url)) return;
-  if (await shouldIgnoreUrl(url, title)) return;
-  const settings = await getSettings();
-  const now      = Date.now();
-  const syncInterval = typeof settings.syncInterval === 'number' ? settings.syncInterval : 30;
+function migrateBackend(target) {
+  if (!_backendRun) {
+    _backendRun = runBackendMigration(target).finally(() => { _backendRun = null; });
+  }
+  return _backendRun;
+}
 
-  // ── Deferred mode (syncInterval > 0): today's visits are served live from
-  //    the Chrome history API and flushed in bulk on a timer. No per-visit write.
-  if (syncInterval > 0) {
-    // Still backfill title into existing entries if we have one within 5 min
-    if (title) {
-      const cutoff5 = now - 5000;
-      const norm = normalizeUrl(url);
-      const entries = await getAll();
-      const idx = entries.findLastIndex(e => e.url === norm && e.visitTime >= cutoff5);
-      if (idx !== -1 && !entries[idx].title) {
-        entries[idx].title = title;
-        await setAll(entries);
-      }
+async function runBackendMigration(target) {
+  const r = await chrome.storage.local.get([BACKEND_MIGRATION_KEY, IDB_STORAGE_KEY]);
+  let state = r[BACKEND_MIGRATION_KEY];
+  if (state && target && state.target !== target) {
+    throw new Error(`A migration to ${state.target === 'idb' ? 'IndexedDB' : 'Local Storage'} is still unfinished`);
+  }
+  if (!state) {
+    const current = r[IDB_STORAGE_KEY] === true ? 'idb' : 'local';
+    if (target === current) return { migrated: 0 };
+    state = { target, phase: 'copy', cursor: null, done: 0, total: 0, sum: 0, chunks: 0, error: null };
+    // A fresh copy starts from an empty target
+    if (target === 'idb') await EhIdb.clear();
+    await saveBackendMigration(state);
+  }
+  state.error = null;
+  try {
+    if (state.phase === 'copy')    await (state.target === 'idb' ? copyToIdb(state) : copyToLocal(state));
+    if (state.phase === 'verify')  await verifyBackendCopy(state);
+    if (state.phase === 'cleanup') {
+      if (state.target === 'idb') await chrome.storage.local.remove(HISTORY_KEY);
+      else                        await EhIdb.clear();
     }
-    return;
+  } catch (e) {
+    state.error = e.message;
+    await saveBackendMigration(state);
+    throw e;
   }
-
-  // ── Legacy mode (syncInterval === 0): write every visit immediately ──────
-  const cutoff   = now - settings.retentionDays * 86400000;
-  let entries    = await getAll();
-  const norm     = normalizeUrl(url);
-  const dup      = entries.findIndex(e=>e.url===norm && (now-e.visitTime)<5000);
-  if (dup !== -1) { if (title && !entries[dup].title) { entries[dup].title=title; await setAll(entries); } return; }
-  entries.push({ id:`${now}_${Math.random().toString(36).slice(2,6)}`, url:norm, rawUrl:url, title:title||'', visitTime:now, domain:domainOf(url), tabId:tabId||null });
-  entries = entries.filter(e=>e.visitTime>=cutoff);
-  if (entries.length>settings.maxEntries) entries=entries.slice(entries.length-settings.maxEntries);
-  await setAll(entries);
+  const migrated = state.total;
+  await chrome.storage.local.remove(BACKEND_MIGRATION_KEY);
+  chrome.runtime.sendMessage({ type: 'BACKEND_MIGRATION_PROGRESS', target: state.target, phase: 'done', done: migrated, total: migrated }).catch(() => {});
+  return { migrated };
 }
 
-chrome.webNavigation.onCommitted.addListener(async details => {
-  if (details.frameId!==0||!isTrackable(details.url)) return;
-  if (['auto_subframe','manual_subframe'].includes(details.transitionType)) return;
-  let title='';
-  const url = details.url;
-  // Check ignore list FIRST - before Chrome commits to history
-  if (await shouldIgnoreUrl(url)) {
-    await cleanupIgnoredUrlFromNativeHistory(url);
-    return; // Don't record in extension
+async function copyToIdb(state) {
+  const r = await chrome.storage.local.get(HISTORY_KEY);
+  const source = r[HISTORY_KEY] || [];
+  state.total = source.length;
+  let i = state.cursor || 0;
+  while (i < source.length) {
+    const chunk = source.slice(i, i + BACKEND_CHUNK);
+    await EhIdb.putMany(chunk);
+    i += chunk.length;
+    Object.assign(state, { cursor: i, done: i, sum: entryChecksum(chunk, state.sum) });
+    await saveBackendMigration(state);
   }
-  try { const tab=await chrome.tabs.get(details.tabId); title=tab?.title||''; } catch {}
-  await recordVisit(details.url, title, details.tabId);
-});
+  state.phase = 'verify';
+  await saveBackendMigration(state);
+}
 
-chrome.webNavigation.onCompleted.addListener(async details => {
+async function copyToLocal(state) {
+  if (!state.total) state.total = await EhIdb.count();
+  for (;;) {
+    const chunk = await EhIdb.page(state.cursor, BACKEND_CHUNK);
+    if (!chunk.length) break;
+    await chrome.storage.local.set({ [BACKEND_STAGE_PREFIX + state.chunks]: chunk });
+    Object.assign(state, {
+      cursor: chunk[chunk.length - 1].id, chunks: state.chunks + 1,
+      done: state.done + chunk.length, sum: entryChecksum(chunk, state.sum),
+    });
+    await saveBackendMigration(state);
+  }
+  state.phase = 'verify';
+  await saveBackendMigration(state);
+}
+
+// Entry count and checksum of everything in IndexedDB, read page by page
+async function scanIdb() {
+  let count = 0, sum = 0;
+  for (let after = null;;) {
+    const chunk = await EhIdb.page(after, BACKEND_CHUNK);
+    if (!chunk.length) break;
+    count += chunk.length; sum = entryChecksum(chunk, sum);
+    after = chunk[chunk.length - 1].id;
+  }
+  return { count, sum };
+}
+
+async function verifyBackendCopy(state) {
+  let count, sum, want = state.sum, staged = null, stageKeys = [];
+  if (state.target === 'idb') {
+    ({ count, sum } = await scanIdb());
+  } else {
+    stageKeys = Array.from({ length: state.chunks }, (_, n) => BACKEND_STAGE_PREFIX + n);
+    const r = await chrome.storage.local.get(stageKeys);
+    staged = stageKeys.flatMap(k => r[k] || []);
+    count = staged.length; sum = entryChecksum(staged);
+    // state.sum was summed over these same chunks — check them against a
+    // fresh pass over the source instead
+    want = (await scanIdb()).sum;
+  }
+
+  if (count !== state.total || sum !== want) {
+    // Roll back: drop the copy, keep using the current backend
+    if (state.target === 'idb') await EhIdb.clear();
+    else await chrome.storage.local.remove(stageKeys);
+    await chrome.storage.local.remove(BACKEND_MIGRATION_KEY);
+    throw new Error(`Verification failed (${count} of ${state.total} entries, checksum ${sum === want ? 'ok' : 'mismatch'}) — migration rolled back`);
+  }
+
+  state.phase = 'cleanup';
+  if (state.target === 'idb') {
+    await chrome.storage.local.set({ [IDB_STORAGE_KEY]: true, [BACKEND_MIGRATION_KEY]: state });
+  } else {
+    staged.sort((a, b) => b.visitTime - a.visitTime);
+    await chrome.storage.local.set({ [HISTORY_KEY]: staged, [IDB_STORAGE_KEY]: false, [BACKEND_MIGRATION_KEY]: state });
+    await chrome.storage.local.remove(stageKeys);
+  }
+  chrome.runtime.sendMessage({ type: 'BACKEND_MIGRATION_PROGRESS', ...state }).catch(() => {});
+}
+
+// Resume a migration interrupted by a worker restart
+chrome.storage.local.get(BACKEND_MIGRATION_KEY).then(r => {
+  const st = r[BACKEND_MIGRATION_KEY];
+  if (st && !st.error) migrateBackend(st.target).catch(e => console.error('[EH] backend migration', e));
+});
+
+// Incremental history writes. IndexedDB only touches the rows involved;
+// chrome.storage.local keeps history under a single key, so there the changes
+// are merged into `snapshot` (or a fresh read) and written back once.
+async function applyHistoryChanges({ put = [], remove = [] }, snapshot = null) {
+  if (!put.length && !remove.length) return;
+  await backendIdle();
+  if (await _useIdb()) {
+    if (remove.length) await EhIdb.deleteByIds(remove);
+    if (put.length)    await EhIdb.putMany(put);
+  } else {
+    const drop = new Set([...remove, ...put.map(e => e.id)]);
+    const base = snapshot || await getAll();
+    const next = base.filter(e => !drop.has(e.id)).concat(put);
+    next.sort((a, b) => b.visitTime - a.visitTime);
+    await setAll(next);
+  }
+  await syncSearchIndex({ put, remove });
+}
+
+async function updateEntryTitle(id, title, snapshot = null) {
+  await backendIdle();
+  let entry = snapshot ? snapshot.find(e => e.id === id) : null;
+  if (await _useIdb()) {
+    if (!await EhIdb.updateTitle(id, title)) return false;
+    if (!entry) [entry] = await EhIdb.getByIds([id]);
+  } else {
+    const entries = snapshot || await getAll();
+    entry = entries.find(e => e.id === id);
+    if (!entry) return false;
+    entry.title = title;
+    await setAll(entries);
+  }
+  if (entry) await syncSearchIndex({ put: [{ ...entry, title }] });
+  return true;
+}
+
+// Fetch stored entries by id, in the order given (missing ids are skipped)
+async function getEntriesByIds(ids) {
+  if (await _useIdb()) return EhIdb.getByIds(ids);
+  const byId = new Map((await getAll()).map(e => [e.id, e]));
+  return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+// ── History write queue ──────────────────────────────────────────────────────
+// Every read-modify-write of stored history runs through mutateHistory(), one
+// at a time, so a flush that read the store before a delete can't write the
+// deleted rows back. Anything that reads history to decide what to write must
+// do that read inside the queued function. Queued functions must not queue
+// further work and wait for it — that would deadlock.
+//
+// Deletes additionally go through journaled(): the operation is persisted to
+// eh_write_journal before it runs and dropped once it finished, so a service
+// worker killed half-way replays it on the next start. Journaled operations
+// are looked up by name in JOURNAL_OPS and must be safe to run twice.
+const JOURNAL_KEY = 'eh_write_journal'; // [{ seq, op, args, at }]
+let _historyQueue = Promise.resolve();
+
+function mutateHistory(fn) {
+  const run = _historyQueue.then(fn);
+  _historyQueue = run.catch(() => {});
+  return run;
+}
+
+const JOURNAL_OPS = {
+  deleteEntries:  args => deleteEntries(args),
+  deleteMatching: args => deleteMatching(args),
+  deleteRange:    args => deleteRange(args),
+  clearAll:       ()   => clearAllHistory(),
+  clearStored:    ()   => clearStoredHistory(),
+  resolveDuplicates: args => resolveDuplicates(args),
+};
+
+async function journalUpdate(fn) {
+  const r = await chrome.storage.local.get(JOURNAL_KEY);
+  await chrome.storage.local.set({ [JOURNAL_KEY]: fn(r[JOURNAL_KEY] || []) });
+}
+
+function journaled(op, args) {
+  return mutateHistory(async () => {
+    const seq = `${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+    await journalUpdate(j => [...j, { seq, op, args, at: Date.now() }]);
+    try {
+      return await JOURNAL_OPS[op](args);
+    } finally {
+      await journalUpdate(j => j.filter(x => x.seq !== seq));
+    }
+  });
+}
+
+// Replays whatever a killed worker left in the journal. Queued at startup, so
+// it runs before any write triggered by the event that woke the worker.
+mutateHistory(async () => {
+  const r = await chrome.storage.local.get(JOURNAL_KEY);
+  for (const { seq, op, args } of r[JOURNAL_KEY] || []) {
+    try { if (JOURNAL_OPS[op]) await JOURNAL_OPS[op](args); }
+    catch (e) { console.warn('[EH] journal replay failed:', op, e.message); }
+    await journalUpdate(j => j.filter(x => x.seq !== seq));
+  }
+});
+
+// ── Deletes (run via journaled()) ────────────────────────────────────────────
+async function deleteEntries({ ids, urls = [] }) {
+  const s = new Set(ids);
+
+  // 1. Remove from local storage
+  const all = await getAll();
+  const removed = all.filter(e => s.has(e.id));
+  await applyHistoryChanges({ remove: removed.map(e => e.id) }, all);
+  // Archived rows: the ids carry their visit times, so only those months are
+  // opened. Ids round the time to the millisecond — widen by one either side
+  // so a fractional visitTime at the edge still falls inside the range
+  let first = Infinity, last = -Infinity;
+  for (const t of ids.map(entryIdTime)) if (t != null) { first = Math.min(first, t); last = Math.max(last, t); }
+  if (first <= last) removed.push(...await rewriteArchive(first - 1, last + 1, e => !s.has(e.id)));
+
+  // 2. Delete from Chrome history — every URL variant we know about:
+  //    - urls passed directly from the UI (covers today's live entries)
+  //    - url + rawUrl from local storage entries
+  const urlsToDelete = new Set([
+    ...urls,
+    ...removed.flatMap(e => [e.url, e.rawUrl]),
+  ].filter(Boolean));
+  for (const url of urlsToDelete) {
+    try { await chrome.history.deleteUrl({ url }); } catch {}
+  }
+  await EhTrail.forget({ urls: [...urlsToDelete] }).catch(() => {});
+  return { success: true };
+}
+
+async function deleteMatching({ query = '', mode = 'all', ...range }) {
+  const q = EhQuery.compile(query, mode);
+  const matchesQuery = q ? q.test : null;
+  const { startDate, endDate } = narrowRange(range.startDate, range.endDate, q);
+
+  function matchesFilter(e) {
+    const ms=!startDate||e.visitTime>=startDate; const me=!endDate||e.visitTime<=endDate;
+    return ms&&me&&(!matchesQuery||matchesQuery(e));
+  }
+
+  // 1. Remove matching entries from local storage
+  let toDelete;
+  if (await _useIdb()) {
+    // Cursor over the visitTime range deletes in place — nothing else is loaded
+    await backendIdle();
+    toDelete = await EhIdb.deleteWhere({ start: startDate, end: endDate, filter: matchesQuery });
+    await syncSearchIndex({ remove: toDelete.map(e => e.id) });
+  } else {
+    const allStored = await getAll();
+    toDelete = allStored.filter(matchesFilter);
+    await applyHistoryChanges({ remove: toDelete.map(e => e.id) }, allStored);
+  }
+  toDelete.push(...await rewriteArchive(startDate, endDate, e => !matchesFilter(e)));
+
+  // 2. Also match today's live entries from Chrome API
+  const todayLive = await getTodayFromChromeApi();
+  const toDeleteToday = todayLive.filter(matchesFilter);
+
+  // 3. Delete every URL variant from Chrome history (covers both past + today)
+  const urlsToDelete = new Set(
+    [...toDelete, ...toDeleteToday].flatMap(e => [e.url, e.rawUrl]).filter(Boolean)
+  );
+  for (const url of urlsToDelete) {
+    try { await chrome.history.deleteUrl({ url }); } catch {}
+  }
+  await EhTrail.forget({ urls: [...urlsToDelete] }).catch(() => {});
+  return { success: true, deleted: toDelete.length + toDeleteToday.length };
+}
+
+async function deleteRange({ startTime, endTime }) {
+  // Delete from extension storage
+  const entries = await getAll();
+  const inRange = entries.filter(e => e.visitTime >= startTime && e.visitTime <= endTime);
+  await applyHistoryChanges({ remove: inRange.map(e => e.id) }, entries);
+  inRange.push(...await rewriteArchive(startTime, endTime, e => e.visitTime < startTime || e.visitTime > endTime));
+  // Delete from Chrome native history
+  try { await chrome.history.deleteRange({ startTime, endTime }); } catch {}
+  await EhTrail.forget({ start: startTime, end: endTime }).catch(() => {});
+  return { success: true, deleted: inRange.length };
+}
+
+// The extension's own copy only — Chrome's history stays (profile import "replace")
+async function clearStoredHistory() {
+  await setAll([]);
+  await EhArchive.clear();
+  await EhIndex.clear().catch(() => EhIndex.invalidate());
+  await EhTrail.clear().catch(() => {});
+  return { success: true };
+}
+
+async function clearAllHistory() {
+  await clearStoredHistory();
+  try { await chrome.history.deleteAll(); } catch {}
+  return { success: true };
+}
+
+// ── Re-canonicalization ──────────────────────────────────────────────────────
+// Rewrites stored and archived entries to the current canonical URL (derived
+// from rawUrl, the URL as visited) and merges visits that turn out to be the
+// same one. Only rows whose URL changed can be merged away. Safe to re-run:
+// a second pass finds nothing to change. Progress goes out as RECANON_PROGRESS.
+function recanonicalized(e) {
+  const url = normalizeUrl(e.rawUrl || e.url);
+  if (url === e.url) return null;
+  return { ...e, url, domain: domainOf(url), id: entryId(url, e.visitTime, e.visitId) };
+}
+
+// Filter for an oldest-first walk: true for a visit that duplicates one kept
+// earlier in the same 5-second bucket (dedupeVisits rules), among `urls` only
+function duplicateVisitFilter(urls) {
+  let bucket = null, kept = [];
+  return e => {
+    if (!urls.has(e.url)) return false;
+    const b = Math.floor(e.visitTime / 5000);
+    if (b !== bucket) { bucket = b; kept = []; }
+    if (!dedupeVisits(kept, [e]).length) return true;
+    kept.push(e);
+    return false;
+  };
+}
+
+async function recanonicalizeHistory() {
+  return mutateHistory(async () => {
+    await backendIdle();
+    const progress = (done, total) => chrome.runtime.sendMessage({ type: 'RECANON_PROGRESS', done, total }).catch(() => {});
+    const touched = new Set();
+    let changed = 0, merged = 0;
+
+    if (await _useIdb()) {
+      const total = await EhIdb.count();
+      let cursor = null, done = 0;
+      for (;;) {
+        const rows = await EhIdb.page(cursor, SCHEMA_CHUNK);
+        if (!rows.length) break;
+        cursor = rows[rows.length - 1].id;
+        done  += rows.length;
+        const put = [], stale = [];
+        for (const e of rows) {
+          const n = recanonicalized(e);
+          if (n) { put.push(n); stale.push(e.id); touched.add(n.url); }
+        }
+        if (put.length) {
+          // New rows first — a killed worker leaves duplicates, not gaps
+          const newIds = new Set(put.map(e => e.id));
+          await EhIdb.putMany(put);
+          await EhIdb.deleteByIds(stale.filter(id => !newIds.has(id)));
+          await syncSearchIndex({ put, remove: stale });
+          changed += put.length;
+        }
+        progress(done, total);
+      }
+      if (touched.size) {
+        const removed = await EhIdb.deleteWhere({ filter: duplicateVisitFilter(touched) });
+        await syncSearchIndex({ remove: removed.map(e => e.id) });
+        merged += removed.length;
+      }
+    } else {
+      const entries = await getAll();
+      const put = [], remove = [];
+      const rows = entries.map(e => {
+        const n = recanonicalized(e);
+        if (!n) return e;
+        put.push(n); remove.push(e.id); touched.add(n.url);
+        return n;
+      });
+      const isDup = duplicateVisitFilter(touched);
+      // By row, not id — a rewritten row can take the id of the row it duplicates
+      const dups  = new Set(rows.sort((a, b) => a.visitTime - b.visitTime).filter(isDup));
+      const live  = new Set(rows.filter(e => !dups.has(e)).map(e => e.id));
+      await applyHistoryChanges({
+        put:    put.filter(e => !dups.has(e)),
+        remove: [...remove, ...[...dups].map(e => e.id)].filter(id => !live.has(id)),
+      }, entries);
+      changed += put.length;
+      merged  += dups.size;
+      progress(entries.length, entries.length);
+    }
+
+    // Archived months are rewritten one block at a time
+    for (const m of await EhArchive.months()) {
+      const rows = await EhArchive.read(m.month);
+      const urls = new Set();
+      const next = rows.map(e => { const n = recanonicalized(e); if (n) { urls.add(n.url); changed++; } return n || e; });
+      if (!urls.size) continue;
+      const isDup = duplicateVisitFilter(urls);
+      const kept  = next.sort((a, b) => a.visitTime - b.visitTime).filter(e => !isDup(e));
+      merged += next.length - kept.length;
+      await EhArchive.write(m.month, kept);
+    }
+    return { changed, merged };
+  });
+}
+
+// ── Duplicate cleanup ────────────────────────────────────────────────────────
+// FIND_DUPLICATES groups stored visits that are the same page seen over and
+// over — the same canonical URL, or the same title on the same domain — where
+// each visit follows the previous one within `windowMs` (0 = any time apart).
+// Today's live rows and archived months are left out; today's are cleaned up
+// once flushed. RESOLVE_DUPLICATES applies the choice made per group in the
+// review panel: keep the newest visit, keep the first, or merge them into the
+// newest (best title kept, visit count summed into `visits`).
+const DUP_GROUP_LIMIT = 1000;   // groups sent to the panel; totals cover all
+
+async function findDuplicates({ by = 'url', windowMs = 600000 } = {}) {
+  const keyOf = by === 'title'
+    ? e => { const t = (e.title || '').trim().toLowerCase(); return t ? `${e.domain}|${t}` : null; }
+    : e => e.url;
+  const open = new Map(), groups = [];
+  const close = g => { if (g.entries.length > 1) groups.push(g); };
+  let seen = 0;
+  const visit = e => {
+    const key = keyOf(e);
+    if (!key) return;
+    const g = open.get(key);
+    if (g && (!windowMs || e.visitTime - g.last <= windowMs)) { g.entries.push(e); g.last = e.visitTime; }
+    else { if (g) close(g); open.set(key, { key, last: e.visitTime, entries: [e] }); }
+    // Groups that can no longer grow are closed now and then, so the map stays small
+    if (windowMs && ++seen % 20000 === 0) {
+      for (const [k, og] of open) if (e.visitTime - og.last > windowMs) { close(og); open.delete(k); }
+    }
+  };
+  if (await _useIdb()) await EhIdb.scan({}, visit);
+  else (await getAll()).sort((a, b) => a.visitTime - b.visitTime).forEach(visit);
+  for (const g of open.values()) close(g);
+
+  groups.sort((a, b) => b.last - a.last);
+  return {
+    totalGroups:     groups.length,
+    totalDuplicates: groups.reduce((n, g) => n + g.entries.length - 1, 0),
+    groups: groups.slice(0, DUP_GROUP_LIMIT).map(g => ({
+      key: g.key,
+      entries: g.entries.map(e => ({ id: e.id, url: e.url, title: e.title, domain: e.domain, visitTime: e.visitTime, ...(e.visits ? { visits: e.visits } : {}) })),
+    })),
+  };
+}
+
+// choices: [{ ids, keep: 'newest' | 'first' | 'merge' }]. Runs via journaled();
+// a replay finds the dropped rows gone and leaves those groups alone.
+// Visits removed by resolveDuplicates stay in Chrome's history; their ids keep
+// a backfill from bringing them back. Chrome keeps about 90 days, so older ids go.
+const DUP_DROPPED_KEY  = 'eh_dup_dropped'; // entry ids
+const DUP_DROPPED_DAYS = 100;
+
+async function rememberDroppedDuplicates(ids) {
+  const r       = await chrome.storage.local.get(DUP_DROPPED_KEY);
+  const horizon = Date.now() - DUP_DROPPED_DAYS * 86400000;
+  const keep    = [...new Set([...(r[DUP_DROPPED_KEY] || []), ...ids])].filter(id => entryIdTime(id) >= horizon);
+  await chrome.storage.local.set({ [DUP_DROPPED_KEY]: keep });
+}
+
+async function resolveDuplicates({ choices = [] }) {
+  const byId = new Map((await getEntriesByIds(choices.flatMap(c => c.ids))).map(e => [e.id, e]));
+  const put = [], remove = [];
+  for (const { ids, keep } of choices) {
+    const rows = ids.map(id => byId.get(id)).filter(Boolean).sort((a, b) => a.visitTime - b.visitTime);
+    if (rows.length < 2) continue;
+    const keeper = keep === 'first' ? rows[0] : rows[rows.length - 1];
+    if (keep === 'merge') {
+      const titled = rows.filter(e => e.title).pop();
+      put.push({
+        ...keeper,
+        title:  keeper.title || (titled ? titled.title : ''),
+        visits: rows.reduce((n, e) => n + (e.visits || 1), 0),
+      });
+    }
+    remove.push(...rows.filter(e => e !== keeper).map(e => e.id));
+  }
+  await applyHistoryChanges({ put, remove });
+  if (remove.length) await rememberDroppedDuplicates(remove);
+  return { success: true, removed: remove.length };
+}
+
+// ── Retention rules ──────────────────────────────────────────────────────────
+// settings.retentionRules refine the global retentionDays. Each rule is
+//   { id, query, action: 'keep' | 'collapse', days }
+// where `query` uses the search syntax (eh-query.js; empty matches everything):
+//   keep      matching visits are kept `days` days (0 = forever) instead of
+//             retentionDays — the first matching keep rule wins
+//   collapse  past `days` days, matching visits are thinned to the first visit
+//             of each URL per day
+// Expiry applies wherever history is pruned (idsToPrune on flush and per-visit
+// writes); collapsing and archived months are handled by applyRetentionRules()
+// from the eh_flush alarm, at most every RETENTION_EVERY. maxEntries still caps
+// the total afterwards.
+const RETENTION_LAST_KEY = 'eh_retention_last';
+const RETENTION_EVERY    = 3600000;
+
+function retentionPlanner(settings, now = Date.now()) {
+  const keep = [], collapse = [];
+  for (const rule of settings.retentionRules || []) {
+    let q;
+    try { q = EhQuery.compile(rule.query || '', 'all'); } catch { continue; } // the editor rejects these; skip if one slips through
+    const days = Math.max(0, Number(rule.days) || 0);
+    const r = { id: rule.id, test: q ? q.test : () => true, cutoff: days ? now - days * 86400000 : -Infinity };
+    if (rule.action === 'collapse') { if (days) collapse.push(r); }
+    else keep.push(r);
+  }
+  const fallback = now - settings.retentionDays * 86400000;
+  // Nothing newer than this can expire or be collapsed
+  const horizon = Math.max(fallback, ...keep.map(r => r.cutoff), ...collapse.map(r => r.cutoff));
+
+  // Why `e` is past its retention — a rule id, 'global' — or null
+  function expired(e) {
+    const r = keep.find(r => r.test(e));
+    if (r) return e.visitTime < r.cutoff ? r.id : null;
+    return e.visitTime < fallback ? 'global' : null;
+  }
+
+  // expired() plus collapsing; must see entries oldest first
+  let day = null, seen = null;
+  function drop(e) {
+    const why = expired(e);
+    if (why) return why;
+    const r = collapse.find(r => r.test(e));
+    if (!r || e.visitTime >= r.cutoff) return null;
+    const d = new Date(e.visitTime).toLocaleDateString('en-CA');
+    if (d !== day) { day = d; seen = new Set(); }
+    if (seen.has(e.url)) return r.id;
+    seen.add(e.url);
+    return null;
+  }
+
+  return { horizon, expired, drop };
+}
+
+// One pass of the rules over stored and archived history. With dryRun nothing
+// is written and the report says what would go: { total, byRule: { id: n }, samples }.
+// `settings` lets the editor preview rules it has not saved yet.
+async function applyRetentionRules({ dryRun = false, force = false, settings = null } = {}) {
+  if (!dryRun && !force) {
+    const r = await chrome.storage.local.get(RETENTION_LAST_KEY);
+    if (Date.now() - (r[RETENTION_LAST_KEY] || 0) < RETENTION_EVERY) return null;
+  }
+  const run = async () => {
+    settings = settings || await getSettings();
+    const report = { total: 0, byRule: {}, samples: [] };
+    const gone   = [];
+    const note = (e, why) => {
+      if (!dryRun) gone.push(e);
+      report.total++;
+      report.byRule[why] = (report.byRule[why] || 0) + 1;
+      if (report.samples.length < 100) report.samples.push({ url: e.url, title: e.title, visitTime: e.visitTime, why });
+    };
+
+    // Archived months first — oldest rows, in order
+    let plan = retentionPlanner(settings);
+    for (const m of (await readableMonths(null, plan.horizon)).reverse()) {
+      const kept = [];
+      const rows = (await EhArchive.read(m.month)).sort((a, b) => a.visitTime - b.visitTime);
+      for (const e of rows) { const why = plan.drop(e); if (why) note(e, why); else kept.push(e); }
+      if (!dryRun && kept.length < rows.length) await EhArchive.write(m.month, kept);
+    }
+
+    // A day can straddle the archive boundary — the hot store starts its own groups
+    plan = retentionPlanner(settings);
+    const judge = e => { const why = plan.drop(e); if (why) note(e, why); return !!why; };
+    if (await _useIdb()) {
+      if (dryRun) await EhIdb.scan({ end: plan.horizon }, judge);
+      else {
+        await backendIdle();
+        const removed = await EhIdb.deleteWhere({ end: plan.horizon, filter: judge });
+        await syncSearchIndex({ remove: removed.map(e => e.id) });
+      }
+    } else {
+      const entries = await getAll();
+      const sorted  = entries.filter(e => e.visitTime < plan.horizon).sort((a, b) => a.visitTime - b.visitTime);
+      const remove  = sorted.filter(judge).map(e => e.id);
+      if (!dryRun) await applyHistoryChanges({ remove }, entries);
+    }
+    if (!dryRun) {
+      await forgetTrail(gone);
+      await chrome.storage.local.set({ [RETENTION_LAST_KEY]: Date.now() });
+    }
+    return report;
+  };
+  // Previews only read — no need to wait behind queued writes
+  return dryRun ? run() : mutateHistory(run);
+}
+
+// ── Archive tier ─────────────────────────────────────────────────────────────
+// With archiveAfterDays set, entries older than that leave the hot store for
+// gzip-compressed monthly blocks (see eh-archive.js) and drop out of the search
+// index. SEARCH reads them after the hot store runs out, inflating only the
+// months its date range touches. Archived rows still follow the retention
+// rules and every delete. The pass runs from the eh_flush alarm at most every
+// ARCHIVE_EVERY (ARCHIVE_EVERY_ENCRYPTED with encryption at rest, which
+// archives everything before today), inside the write queue; a pass cut short by a killed worker
+// is harmless — blocks are written before the hot rows are removed, and
+// dedupeVisits() drops what a re-run finds already archived.
+const ARCHIVE_LAST_KEY = 'eh_archive_last';
+const ARCHIVE_EVERY    = 6 * 3600000;
+const ARCHIVE_EVERY_ENCRYPTED = 5 * 60000;
+const ARCHIVE_CHUNK    = 5000;
+
+// Rewrites the archived months overlapping [start, end] (null = open-ended),
+// keeping the entries `keep` accepts. Returns the entries dropped. Sealed
+// months reject while the vault is locked, unless `skipLocked` leaves them be.
+async function rewriteArchive(start, end, keep, { skipLocked = false } = {}) {
+  const dropped = [];
+  for (const m of skipLocked ? await readableMonths(start, end) : await EhArchive.months(start, end)) {
+    const kept = [], gone = [];
+    for (const e of await EhArchive.read(m.month)) (keep(e) ? kept : gone).push(e);
+    if (!gone.length) continue;
+    await EhArchive.write(m.month, kept);
+    dropped.push(...gone);
+  }
+  return dropped;
+}
+
+async function archiveEntries(entries) {
+  const byMonth = new Map();
+  for (const e of entries) {
+    const key = EhArchive.monthOf(e.visitTime);
+    if (!byMonth.has(key)) byMonth.set(key, []);
+    byMonth.get(key).push(e);
+  }
+  const locked = await archiveLocked();
+  for (const [month, list] of byMonth) {
+    // A sealed month can't be read back while locked — park the rows in a segment
+    if (locked) { await EhArchive.append(month, list); continue; }
+    const existing = await EhArchive.read(month);
+    const fresh = dedupeVisits(existing, list);
+    if (fresh.length) await EhArchive.write(month, existing.concat(fresh));
+  }
+}
+
+async function archiveOldHistory({ force = false } = {}) {
+  const r = await chrome.storage.local.get(ARCHIVE_LAST_KEY);
+  const encrypted = await EhVault.isEnabled();
+  if (!force && Date.now() - (r[ARCHIVE_LAST_KEY] || 0) < (encrypted ? ARCHIVE_EVERY_ENCRYPTED : ARCHIVE_EVERY)) return 0;
+  // Re-runs find archived rows by id — wait until every entry has its stable one
+  if ((await getSchemaState()).version < SCHEMA_VERSION) return 0;
+  return mutateHistory(async () => {
+    const settings = await getSettings();
+    const now = Date.now();
+    let moved = 0;
+    if (encrypted || settings.archiveAfterDays > 0) {
+      await backendIdle();
+      const cutoff = encrypted ? new Date(now).setHours(0, 0, 0, 0) : now - settings.archiveAfterDays * 86400000;
+      const useIdb = await _useIdb();
+      for (;;) {
+        const snapshot = useIdb ? null : await getAll();
+        const batch = useIdb
+          ? (await EhIdb.query({ end: cutoff - 1, limit: ARCHIVE_CHUNK })).entries
+          : snapshot.filter(e => e.visitTime < cutoff);
+        if (!batch.length) break;
+        await archiveEntries(batch);
+        await applyHistoryChanges({ remove: batch.map(e => e.id) }, snapshot);
+        moved += batch.length;
+        if (!useIdb) break;
+      }
+      // The trail keeps URLs too — past days only exist sealed
+      if (encrypted) await EhTrail.forget({ end: cutoff - 1 }).catch(() => {});
+    }
+    await chrome.storage.local.set({ [ARCHIVE_LAST_KEY]: now });
+    return moved;
+  });
+}
+
+// Archived matches, newest first. Blocks are inflated one month at a time and
+// only until the page is full, so `total` is exact only when `hasMore` is false.
+// `locked` is set when sealed months were left out.
+async function searchArchive({ start, end, q, sort, offset = 0, limit = Infinity }) {
+  const want  = offset + limit;
+  const found = [];
+  // Relevance results are one row per URL — keep the newest archived visit
+  const seen  = sort === 'relevance' ? new Set() : null;
+  const isLocked = await archiveLocked();
+  let locked = false;
+  for (const m of await EhArchive.months(start, end)) {
+    if (found.length > want) break;
+    if (isLocked && m.sealed) { locked = true; continue; }
+    for (const e of await EhArchive.read(m.month)) {
+      if ((start && e.visitTime < start) || (end && e.visitTime > end) || (q && !q.test(e))) continue;
+      if (seen) { if (seen.has(e.url)) continue; seen.add(e.url); }
+      found.push(e);
+    }
+  }
+  return { total: found.length, hasMore: found.length > want, entries: found.slice(offset, want), locked };
+}
+
+async function getArchivedEntries() {
+  const out = [];
+  for (const m of await EhArchive.months()) out.push(...await EhArchive.read(m.month));
+  return out;
+}
+
+// ── Encryption at rest ───────────────────────────────────────────────────────
+// Opt-in, see eh-vault.js. Once set up, everything before today goes to the
+// archive whatever archiveAfterDays says, archive blocks are sealed, and the
+// trail forgets past days — so past history only exists encrypted. Today's
+// rows and Chrome's own history are left alone, which keeps address-bar
+// suggestions working. Sealing needs no passphrase, so archiving carries on
+// while locked, into segments that resealArchive() merges after unlock.
+// Reading a sealed month needs the unlocked vault: SEARCH leaves them out and
+// reports `locked`, EXPORT and deletes reaching them fail. The vault re-locks
+// after vaultIdleMinutes without real input on an extension page (VAULT_ACTIVITY).
+let _vaultUnsealing = false;   // set while VAULT_DISABLE writes blocks back unsealed
+
+EhArchive.configure({
+  seal: async bytes => (!_vaultUnsealing && await EhVault.isEnabled()) ? EhVault.seal(bytes) : null,
+  open: block => EhVault.open(block),
+});
+
+async function vaultStatus() {
+  const enabled = await EhVault.isEnabled();
+  return { enabled, unlocked: enabled && await EhVault.isUnlocked() };
+}
+
+async function archiveLocked() {
+  const st = await vaultStatus();
+  return st.enabled && !st.unlocked;
+}
+
+function broadcastVaultState() {
+  vaultStatus().then(st => chrome.runtime.sendMessage({ type: 'VAULT_STATE', ...st })).catch(() => {});
+}
+
+// Archived months that can be read right now — sealed ones drop out while locked
+async function readableMonths(start, end) {
+  const all = await EhArchive.months(start, end);
+  return (await archiveLocked()) ? all.filter(m => !m.sealed) : all;
+}
+
+// Brings every block in line with the vault: merges segments into their month
+// and rewrites blocks sealed (or unsealed) the wrong way. Needs the vault
+// unlocked; run inside the write queue. A killed worker leaves a segment to
+// merge again, never a gap — the month is written before the segment goes.
+async function resealArchive() {
+  const sealing = !_vaultUnsealing && await EhVault.isEnabled();
+  for (const m of await EhArchive.months()) {
+    const month = EhArchive.baseOf(m.month);
+    if (month !== m.month) {
+      const base = await EhArchive.read(month);
+      await EhArchive.write(month, base.concat(dedupeVisits(base, await EhArchive.read(m.month))));
+      await EhArchive.write(m.month, []);
+    } else if (!!m.sealed !== sealing) {
+      await EhArchive.write(month, await EhArchive.read(month));
+    }
+  }
+}
+
+function checkVaultPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < 8) throw new Error('Use a passphrase of at least 8 characters');
+}
+
+// ── Scheduled backups ────────────────────────────────────────────────────────
+// A full export (history, time data, sessions, tab storage, settings, ignore
+// list) saved with chrome.downloads into backupFolder, daily or weekly. The
+// history page writes the file (see withHistoryPage) and the newest backupKeep
+// downloads are kept — older ones are deleted from disk. Encrypted backups are
+// sealed the way locked history is (BackupVault, eh-vault.js): each file gets
+// a fresh key, wrapped with the public key, and carries the private key only
+// encrypted under the backup password. So they run unattended, yet nothing
+// kept on this machine opens them without that password. While encrypted
+// history is locked no full export is possible: the run is skipped, recorded
+// as an error and tried again on the next hourly check.
+const BACKUP_STATE_KEY = 'eh_backup_state'; // { lastAt, lastError, files: [{ id, filename, at, bytes }] }
+const BACKUP_VAULT_KEY = 'eh_backup_vault'; // BackupVault's key pair, absent for plain JSON
+const BACKUP_PERIODS   = { daily: 86400000, weekly: 7 * 86400000 };
+const BackupVault = EhVault.create(BACKUP_VAULT_KEY, 'eh_backup_vault_unlocked');
+let _backupRunning = false;
+
+// Relative path below the downloads folder — chrome.downloads rejects '..' and absolute paths
+function backupFolderPath(folder) {
+  return String(folder || '')
+    .split(/[\\/]+/)
+    .map(part => part.replace(/[<>:"|?*\x00-\x1f]/g, '_').trim())
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+}
+
+async function backupState() {
+  const r = await chrome.storage.local.get(BACKUP_STATE_KEY);
+  return { lastAt: 0, lastError: null, files: [], ...(r[BACKUP_STATE_KEY] || {}) };
+}
+
+async function backupStatus() {
+  const [state, settings, encrypted] = await Promise.all([backupState(), getSettings(), BackupVault.isEnabled()]);
+  const period = BACKUP_PERIODS[settings.backupSchedule];
+  return {
+    ...state,
+    encrypted,
+    running:   _backupRunning,
+    nextAt:    period ? Math.max(Date.now(), state.lastAt + period) : null,
+  };
+}
+
+// Key for one backup file: random, sealed for BackupVault and stored in the
+// file's header together with the password-encrypted private key (EhCrypt.encrypt)
+async function backupFileKey() {
+  const r     = await chrome.storage.local.get(BACKUP_VAULT_KEY);
+  const vault = r[BACKUP_VAULT_KEY];
+  if (!vault) return null;
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  return {
+    key: btoa(String.fromCharCode(...raw)),
+    kdf: vault.kdf,
+    privateKey: vault.privateKey,
+    sealedKey: EhVault.toJson(await BackupVault.seal(raw)),
+  };
+}
+
+async function setBackupPassword(password) {
+  await BackupVault.remove();
+  if (!password) return;
+  checkVaultPassphrase(password);
+  await BackupVault.setup(password);
+  // Sealing needs the public key only
+  await BackupVault.lock();
+}
+
+async function runBackup({ force = false } = {}) {
+  const settings = await getSettings();
+  const period   = BACKUP_PERIODS[settings.backupSchedule];
+  const state    = await backupState();
+  if (_backupRunning || (!force && (!period || Date.now() - state.lastAt < period))) return null;
+  _backupRunning = true;
+  try {
+    if (!chrome.downloads) throw new Error('Allow downloads for Extended History to save backups');
+    if (await archiveLocked()) throw new EhVault.LockedError('History is locked — unlock it to back up');
+    const key   = await backupFileKey();
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[T:]/g, '-');
+    const name  = [backupFolderPath(settings.backupFolder), `extended-history-backup_${stamp}`].filter(Boolean).join('/');
+    const file  = await withHistoryPage(async tabId => {
+      const res = await chrome.tabs.sendMessage(tabId, { type: 'BACKUP_RUN', name, key });
+      if (!res || res.error) throw new Error(res?.error || 'History page did not answer');
+      return res;
+    });
+    const files = state.files.concat({ ...file, at: Date.now() });
+    const keep  = Math.max(1, settings.backupKeep || 1);
+    for (const old of files.splice(0, Math.max(0, files.length - keep))) {
+      await chrome.downloads.removeFile(old.id).catch(() => {});   // already moved or deleted by hand
+      await chrome.downloads.erase({ id: old.id }).catch(() => {});
+    }
+    await chrome.storage.local.set({ [BACKUP_STATE_KEY]: { lastAt: Date.now(), lastError: null, files } });
+    return file;
+  } catch (e) {
+    await chrome.storage.local.set({ [BACKUP_STATE_KEY]: { ...state, lastError: e.message } });
+    throw e;
+  } finally {
+    _backupRunning = false;
+  }
+}
+
+// ── Profile bundle ───────────────────────────────────────────────────────────
+// Everything needed to move to another machine, one section per kind of data.
+// EXPORT { sections } writes the chosen ones (scheduled backups take all);
+// IMPORT_PROFILE restores the chosen ones, each merged into what is here or
+// replacing it. Exports from before 4.1.3 read as bundles of history,
+// timeData and sessions. `entries` stays a top-level array, so reading mode
+// opens a bundle like any other export.
+const PROFILE_SECTIONS = ['history', 'timeData', 'sessions', 'tabStorage', 'settings', 'ignoreList', 'wallpaper'];
+const WALLPAPER_KEY    = 'eh_wallpaper';   // written by history.js
+
+async function exportProfile(sections = PROFILE_SECTIONS) {
+  const want = new Set(sections);
+  const r    = await chrome.storage.local.get([TIME_KEY, IDLE_TIME_KEY, AUDIBLE_TIME_KEY, TAB_STORAGE_KEY, IGNORE_SEALED_KEY, 'eh_ignore_vault', WALLPAPER_KEY]);
+  const data = { format: 'eh-profile', version: 1, exportedAt: new Date().toISOString(), sections: PROFILE_SECTIONS.filter(s => want.has(s)) };
+  if (want.has('history')) {
+    data.entries      = (await getAll()).concat(await getArchivedEntries());
+    data.totalEntries = data.entries.length;
+  }
+  if (want.has('timeData')) {
+    data.timeData     = r[TIME_KEY] || {};
+    data.idleTimeData    = r[IDLE_TIME_KEY] || {};
+    data.audibleTimeData = r[AUDIBLE_TIME_KEY] || {};
+  }
+  if (want.has('sessions'))   data.sessions   = await getSessions();
+  if (want.has('tabStorage')) data.tabStorage = r[TAB_STORAGE_KEY] || [];
+  if (want.has('settings')) {
+    data.settings         = await getSettings();
+    data.maxSessions      = await getMaxSessions();
+    data.autoSaveInterval = await getAutoSaveInterval();
+  }
+  if (want.has('ignoreList')) {
+    // A password-protected list goes out sealed, as stored
+    if (r[IGNORE_SEALED_KEY]) data.ignoreListSealed = { vault: r.eh_ignore_vault, records: r[IGNORE_SEALED_KEY] };
+    else data.ignoreList = await getIgnoreList();
+  }
+  if (want.has('wallpaper') && r[WALLPAPER_KEY]) data.wallpaper = r[WALLPAPER_KEY];
+  return data;
+}
+
+// Whether an imported visit passes the import dialog's filter:
+// { start, end, include: [host], exclude: [host], ignoreList: [pattern] }, all optional.
+// Hosts match their subdomains too.
+function importFilter({ start, end, include = [], exclude = [], ignoreList = [] }) {
+  const onHost = (e, hosts) => { try { const h = new URL(e.url).hostname; return hosts.some(p => hostMatchesPattern(h, p)); } catch { return false; } };
+  return e => (!start || e.visitTime >= start) && (!end || e.visitTime <= end)
+    && (!include.length || onHost(e, include)) && !onHost(e, exclude)
+    && !ignoreList.some(pattern => matchesIgnorePattern(e.url, pattern, e.title));
+}
+
+// Merges visits from an export file into the store, those passing `filter`
+// (see importFilter; applyIgnore adds the ignore list to it).
+// → { added, duplicates, skipped }  skipped: filtered out, too old or not trackable
+async function importEntries(imported, filter = {}) {
+  const keep = importFilter({ ...filter, ignoreList: filter.applyIgnore ? await getIgnoreList() : [] });
+  return mutateHistory(async()=>{
+    const existing=await getAll(); const settings=await getSettings();
+    const cutoff=Date.now()-settings.retentionDays*86400000;
+    const candidates=[];
+    for(const e of imported){
+      if(!e.url||!isTrackable(e.url)) continue;
+      if(e.visitTime&&e.visitTime<cutoff) continue;
+      if(!keep(e)) continue;
+      const norm=normalizeUrl(e.url); const visitTime=e.visitTime||Date.now();
+      candidates.push({id:entryId(norm,visitTime),url:norm,rawUrl:e.url,title:e.title||'',visitTime,domain:domainOf(e.url),tabId:null,source:'import',...(e.transition?{transition:e.transition}:{})});
+    }
+    const { fresh, parked } = await dedupeArchived(dedupeVisits(existing,candidates));
+    await applyHistoryChanges({put:fresh},existing);
+    const added = fresh.length + parked;
+    return { added, duplicates: candidates.length - added, skipped: imported.length - candidates.length };
+  });
+}
+
+// Drops the entries already archived in the month they fall in (segments
+// included). A sealed month can't be read while locked: what falls there goes
+// to a segment, as the archive pass would send it, and is deduped when
+// resealArchive() merges it after unlock. Today's rows are never archived
+// while encrypted, so those stay in the hot store. Run inside the write queue.
+async function dedupeArchived(entries) {
+  const metas = entries.length ? await EhArchive.months() : [];
+  if (!metas.length) return { fresh: entries, parked: 0 };
+  const byMonth = new Map();
+  for (const m of metas) {
+    const month = EhArchive.baseOf(m.month);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(m);
+  }
+  const locked = await archiveLocked();
+  const today = new Date().setHours(0, 0, 0, 0);
+  const hot = [], pending = new Map();
+  for (const e of entries) {
+    const month = EhArchive.monthOf(e.visitTime);
+    if (!byMonth.has(month)) { hot.push(e); continue; }
+    if (!pending.has(month)) pending.set(month, []);
+    pending.get(month).push(e);
+  }
+  let parked = 0;
+  for (const [month, list] of pending) {
+    const blocks = byMonth.get(month);
+    if (locked && blocks.some(m => m.sealed)) {
+      const old = list.filter(e => e.visitTime < today);
+      if (old.length) await EhArchive.append(month, old);
+      parked += old.length;
+      hot.push(...list.filter(e => e.visitTime >= today));
+      continue;
+    }
+    const archived = [];
+    for (const m of blocks) archived.push(...await EhArchive.read(m.month));
+    hot.push(...dedupeVisits(archived, list));
+  }
+  return { fresh: hot, parked };
+}
+
+// The patterns of a sealed list from a file, opened with the password it was
+// sealed under. Its vault is put down under a scratch key just for this.
+async function openSealedIgnoreList({ vault, records }, password) {
+  const scratch = EhVault.create('eh_ignore_import_vault', 'eh_ignore_import_unlocked');
+  await chrome.storage.local.set({ eh_ignore_import_vault: vault });
+  try {
+    if (!password || !await scratch.unlock(password)) throw new Error('Wrong password for the ignore list in this file');
+    const list = [];
+    for (const rec of records) list.push(...JSON.parse(new TextDecoder().decode(await scratch.open(EhVault.fromJson(rec)))));
+    return list;
+  } finally {
+    await scratch.remove();
+  }
+}
+
+// Replacing with a sealed list keeps it sealed: its vault and records are
+// taken over as they are, and the list applies once unlocked with its password
+async function adoptSealedIgnoreList({ vault, records }) {
+  await IgnoreVault.remove();
+  await chrome.storage.local.set({ eh_ignore_vault: vault, [IGNORE_SEALED_KEY]: records, [IGNORE_CHECKED_KEY]: Date.now() });
+  await chrome.storage.local.remove([IGNORE_LIST_KEY, IGNORE_PW_KEY, IGNORE_LOCKOUT_KEY]);
+  await chrome.storage.session.remove(IGNORE_SESSION_KEY);
+}
+
+const PROFILE_IMPORTERS = {
+  async history(data, mode, { historyFilter }) {
+    const entries = Array.isArray(data) ? data : data.entries;
+    if (mode === 'replace') await journaled('clearStored', {});
+    const counts = await importEntries(entries, historyFilter);
+    await updateTodayHistory();
+    return counts;
+  },
+  async timeData({ timeData, idleTimeData = {}, audibleTimeData = {} }, mode) {
+    const r = await chrome.storage.local.get([TIME_KEY, IDLE_TIME_KEY, AUDIBLE_TIME_KEY]);
+    for (const [key, src] of [[TIME_KEY, timeData], [IDLE_TIME_KEY, idleTimeData], [AUDIBLE_TIME_KEY, audibleTimeData]]) {
+      const map = mode === 'replace' ? {} : (r[key] || {});
+      // The larger figure per domain and day — restoring a backup onto the
+      // machine it came from must not count the same time twice
+      for (const [domain, days] of Object.entries(src)) {
+        map[domain] = map[domain] || {};
+        for (const [day, ms] of Object.entries(days)) map[domain][day] = Math.max(map[domain][day] || 0, ms);
+      }
+      r[key] = map;
+    }
+    await chrome.storage.local.set(r);
+    return Object.keys(timeData).length;
+  },
+  async sessions({ sessions }, mode) {
+    const byId = new Map((mode === 'replace' ? [] : await getSessions()).map(s => [s.id ?? s.start, s]));
+    for (const s of sessions) byId.set(s.id ?? s.start, s);
+    await saveSessions([...byId.values()].sort((a, b) => a.start - b.start));
+    return sessions.length;
+  },
+  async tabStorage({ tabStorage }, mode) {
+    const stored = mode === 'replace' ? [] : await getTabStorage();
+    const urls   = new Set(stored.map(e => e.url));
+    const added  = tabStorage.filter(e => e.url && !urls.has(e.url));
+    await chrome.storage.local.set({ [TAB_STORAGE_KEY]: stored.concat(added) });
+    return added.length;
+  },
+  async settings({ settings, maxSessions, autoSaveInterval }, mode) {
+    const cur  = await getSettings();
+    const next = { ...(mode === 'replace' ? DEFAULT_SETTINGS : cur), ...settings };
+    await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+    applySettings(next, cur);
+    if (maxSessions) await chrome.storage.local.set({ eh_max_sessions: Math.max(1, Math.min(20, parseInt(maxSessions) || MAX_SESSIONS_DEFAULT)) });
+    if (autoSaveInterval != null) {
+      await chrome.storage.local.set({ [AUTO_SAVE_KEY]: Math.max(0, Math.min(1440, parseInt(autoSaveInterval) || 0)) });
+      _lastAutoSave = 0;
+    }
+    return Object.keys(settings).length;
+  },
+  async ignoreList({ ignoreList, ignoreListSealed }, mode, { ignorePassword }) {
+    if (ignoreListSealed && mode === 'replace') {
+      await adoptSealedIgnoreList(ignoreListSealed);
+      return ignoreListSealed.records.length;
+    }
+    const list = ignoreListSealed ? await openSealedIgnoreList(ignoreListSealed, ignorePassword) : ignoreList;
+    await setIgnoreList(mode === 'replace' ? list : (await getIgnoreList()).concat(list));
+    if (await isIgnoreListEnabled()) cleanIgnoredFromHistory().catch(e => console.warn('[EH] ignore cleanup failed:', e.message));
+    return list.length;
+  },
+  async wallpaper({ wallpaper }, mode) {
+    const r = await chrome.storage.local.get(WALLPAPER_KEY);
+    if (mode !== 'replace' && r[WALLPAPER_KEY]?.enabled) return 0;
+    await chrome.storage.local.set({ [WALLPAPER_KEY]: wallpaper });
+    return 1;
+  },
+};
+
+// Sections a file holds — a bare array is history alone
+function profileSections(data) {
+  if (Array.isArray(data)) return ['history'];
+  const has = {
+    history:    Array.isArray(data.entries),
+    timeData:   !!data.timeData,
+    sessions:   Array.isArray(data.sessions),
+    tabStorage: Array.isArray(data.tabStorage),
+    settings:   !!data.settings,
+    ignoreList: Array.isArray(data.ignoreList) || !!data.ignoreListSealed,
+    wallpaper:  !!data.wallpaper,
+  };
+  return PROFILE_SECTIONS.filter(s => has[s]);
+}
+
+// plan: { section: 'merge' | 'replace' } for the sections to restore. Each runs
+// on its own: { section: count } for those done (history: importEntries()
+// counts), errors[section] for the rest.
+async function importProfile(data, plan, opts = {}) {
+  const done = {}, errors = {};
+  for (const section of profileSections(data)) {
+    if (!plan[section]) continue;
+    try { done[section] = await PROFILE_IMPORTERS[section](data, plan[section], opts); }
+    catch (e) { errors[section] = e.message; }
+  }
+  return { done, errors };
+}
+
+// ── Search index upkeep ──────────────────────────────────────────────────────
+// Every storage write above funnels its changes here. A failed index write
+// only marks the index stale — it is rebuilt on the next startup, and SEARCH
+// falls back to scanning until then.
+async function syncSearchIndex({ put = [], remove = [] }) {
+  try {
+    const stale = [...remove, ...put.map(e => e.id)];
+    if (stale.length) await EhIndex.remove(stale);
+    if (put.length)   await EhIndex.add(put);
+  } catch (e) {
+    console.warn('[EH] search index update failed:', e.message);
+    await EhIndex.invalidate().catch(() => {});
+  }
+}
+
+let _indexBuild = null;
+function ensureSearchIndex() {
+  if (_indexBuild) return _indexBuild;
+  _indexBuild = (async () => {
+    if (await EhIndex.isBuilt()) return;
+    await EhIndex.rebuild(getAll);
+  })().catch(e => console.warn('[EH] search index build failed:', e.message))
+      .finally(() => { _indexBuild = null; });
+  return _indexBuild;
+}
+
+// Ids that fall outside their retention (retentionDays or a keep rule) or
+// maxEntries — oldest go first.
+function idsToPrune(entries, settings, now = Date.now()) {
+  const plan = retentionPlanner(settings, now);
+  const drop = [], kept = [];
+  for (const e of entries) (plan.expired(e) ? drop : kept).push(e);
+  if (kept.length > settings.maxEntries) {
+    kept.sort((a, b) => b.visitTime - a.visitTime);
+    drop.push(...kept.slice(settings.maxEntries));
+  }
+  return drop.map(e => e.id);
+}
+async function getSettings() { const r=await chrome.storage.local.get(SETTINGS_KEY); return {...DEFAULT_SETTINGS,...(r[SETTINGS_KEY]||{})}; }
+// After stored settings changed from cur to next (SAVE_SETTINGS, profile import)
+function applySettings(next, cur) {
+  refreshCanonicalizer(next);
+  // Update in-memory cache so event listeners pick it up immediately
+  if (next.timeTrackingEnabled !== undefined) _timeTrackingEnabled = next.timeTrackingEnabled !== false;
+  if (!_timeTrackingEnabled) refreshAudible().catch(() => {});
+  if (next.autoStoreEnabled !== undefined)    _autoStoreEnabled    = next.autoStoreEnabled !== false;
+  if (next.autoStoreHours   !== undefined)    _autoStoreHours      = typeof next.autoStoreHours === 'number' ? next.autoStoreHours : 6;
+  if (next.idleMinutes !== cur.idleMinutes)   setupIdleDetection(next.idleMinutes).catch(() => {});
+  // A new archive age takes effect now rather than at the next scheduled pass
+  if (next.archiveAfterDays !== cur.archiveAfterDays) archiveOldHistory({ force: true }).catch(e => console.warn('[EH] archive pass failed:', e.message));
+  if (JSON.stringify(next.retentionRules) !== JSON.stringify(cur.retentionRules)) applyRetentionRules({ force: true }).catch(e => console.warn('[EH] retention pass failed:', e.message));
+}
+async function saveSettings(newSettings) {
+  const current = await getSettings();
+  const merged = { ...current, ...newSettings };
+  await chrome.storage.local.set({ [SETTINGS_KEY]: merged });
+  refreshCanonicalizer(merged);
+  
+  // NEW: If ignore list was just enabled/disabled, clean history immediately if enabled
+  if (newSettings.hasOwnProperty('ignoreListEnabled')) {
+    if (newSettings.ignoreListEnabled) {
+      // Just enabled - clean ignored URLs from history
+      await cleanIgnoredFromHistory();
+    }
+    // If disabled, we don't need to do anything - URLs will just be allowed
+  }
+}
+// ── Title back-fill from Chrome history ──────────────────────────────────────
+// Chrome's own history DB has the correct title for every URL it has seen.
+// We query it and write the result into any recent entry that still lacks a title.
+// Write title for the most recent entry matching this URL within the last 2 minutes.
+// Always overwrites — if tabs.onUpdated fires twice, the second (final) title wins.
+// If no entry exists yet (title fired before recordVisit), retry once after 1.5s.
+async function backfillTitle(url, title, _isRetry = false) {
+  if (!url || !title || !isTrackable(url)) return;
+  if (title === 'New Tab' || title === 'Loading…' || title === 'Loading...') return;
+  const norm = normalizeUrl(url);
+  const entries = await getAll();
+  const now = Date.now();
+  let best = null;
+  for (const e of entries) {
+    if (e.url !== norm) continue;
+    if ((now - e.visitTime) > 300000) continue; // 5 min window (was 2 min)
+    if (!best || e.visitTime > best.visitTime) best = e;
+  }
+  if (!best) {
+    // Entry not recorded yet — retry once after 1.5s (covers fast title updates like Google Search)
+    if (!_isRetry) setTimeout(() => queuedBackfillTitle(url, title, true), 1500);
+    return;
+  }
+  if (best.title === title) return;
+  await updateEntryTitle(best.id, title, entries);
+}
+
+// Intersects the UI date filter with a query's before:/after: terms
+function narrowRange(startDate, endDate, q) {
+  if (q && q.start != null) startDate = Math.max(startDate || 0, q.start);
+  if (q && q.end   != null) endDate   = Math.min(endDate || Infinity, q.end);
+  return { startDate, endDate };
+}
+
+// One page of stored history, newest first. On IndexedDB this is a cursor walk
+// that stops once the page is full, so with a query `total` is a lower bound
+// while `hasMore` is true (and `hasMore` tells the UI to keep paging). Once
+// `hasMore` is false, `total` is exact on every path.
+// `q` is a compiled EhQuery (null for no query).
+async function searchStored({ start, end, q, sort = 'time', offset = 0, limit = Infinity }) {
+  if (q && q.words.length && await EhIndex.isBuilt()) {
+    const r = await searchIndexed({ start, end, q, sort, offset, limit });
+    if (r) return r;
+  }
+  if (await _useIdb()) {
+    let domains = null;
+    if (q && q.domain) {
+      // Resolve the query to concrete domains via the unique-key cursor, then
+      // read each one through the [domain, visitTime] index
+      domains = (await EhIdb.domains()).filter(q.domain);
+      if (!domains.length) return { total: 0, hasMore: false, entries: [] };
+      if (domains.length > 50) domains = null; // too many streams — one time-ordered scan is cheaper
+    }
+    const r = await EhIdb.query({ start, end, domains, filter: q ? q.test : null, offset, limit });
+    const total = q
+      ? (r.hasMore ? offset + r.entries.length + 1 : r.matched)
+      : await EhIdb.countRange(start, end);
+    return { total, hasMore: r.hasMore, entries: r.entries };
+  }
+  let entries = await getAll();
+  entries = entries.filter(e => (!start || e.visitTime >= start) && (!end || e.visitTime <= end) && (!q || q.test(e)));
+  entries.sort((a, b) => b.visitTime - a.visitTime);
+  return { total: entries.length, hasMore: offset + limit < entries.length, entries: entries.slice(offset, offset + limit) };
+}
+
+// Token-index path for SEARCH. Candidates come from the index; they only need
+// re-checking against the entries when some word could not be looked up
+// (too short, a stop word) or the query has more than plain words.
+async function searchIndexed({ start, end, q, sort, offset, limit }) {
+  const hits = await EhIndex.lookup(q.words, { start, end });
+  if (!hits) return null;
+  const ordered = sort === 'relevance'
+    ? EhIndex.rank(hits).map(h => h.id)
+    : [...hits].sort((a, b) => b[1].t - a[1].t).map(([id]) => id);
+
+  if (q.exact && q.words.every(EhIndex.isIndexable)) {
+    const entries = await getEntriesByIds(ordered.slice(offset, offset + limit));
+    return { total: ordered.length, hasMore: offset + limit < ordered.length, entries };
+  }
+  const page = [];
+  let i = 0;
+  while (i < ordered.length && page.length <= offset + limit) {
+    const rows = await getEntriesByIds(ordered.slice(i, i + 500));
+    i += 500;
+    for (const e of rows) if (q.test(e)) page.push(e);
+  }
+  const hasMore = page.length > offset + limit || i < ordered.length;
+  return { total: page.length, hasMore, entries: page.slice(offset, offset + limit) };
+}
+
+// Every match of a search, for exporting it. SEARCH pages by offset, and each
+// page past the hot store would inflate the archived months again — this reads
+// each source once. `locked` as for SEARCH: sealed months were left out.
+async function exportSearch({ query = '', mode = 'all', sort = 'time', ...range }) {
+  const q = EhQuery.compile(query, mode);
+  const { startDate, endDate } = narrowRange(range.startDate, range.endDate, q);
+  const todayMs = new Date().setHours(0, 0, 0, 0);
+  const today = (!endDate || endDate >= todayMs)
+    ? (await getTodayFromChromeApi())
+        .filter(e => (!startDate || e.visitTime >= startDate) && (!endDate || e.visitTime <= endDate) && (!q || q.test(e)))
+        .sort((a, b) => b.visitTime - a.visitTime)
+    : [];
+  const pastEnd  = Math.min(endDate || Infinity, todayMs - 1);
+  const past     = await searchStored({ start: startDate, end: pastEnd, q, sort });
+  const archived = await searchArchive({ start: startDate, end: pastEnd, q, sort });
+  const todayUrls = sort === 'relevance' ? new Set(today.map(e => e.url)) : null;
+  const rest = [...past.entries, ...archived.entries];
+  return { entries: [...today, ...(todayUrls ? rest.filter(e => !todayUrls.has(e.url)) : rest)], locked: archived.locked };
+}
+
+// Canonical form of a URL as stored — see eh-canon.js. Opt-in: rebuilt from
+// settings at startup and whenever they are saved; until then only the
+// fragment and trailing slash go, as before.
+let _canonicalize = EhCanon.compile({ enabled: false });
+function refreshCanonicalizer(settings) {
+  _canonicalize = EhCanon.compile({
+    enabled:     settings.canonicalizeUrls === true,
+    stripParams: settings.canonStripParams || [],
+    hostAliases: settings.canonHostAliases || [],
+  });
+}
+getSettings().then(refreshCanonicalizer).catch(() => {});
+function normalizeUrl(url) { return _canonicalize(url); }
+
+async function recordVisit(url, title, tabId, transition) {
+  if (!isTrackable(url)) return;
+  if (await shouldIgnoreUrl(url, title)) return;
+  const settings = await getSettings();
+  const now      = Date.now();
+  const syncInterval = typeof settings.syncInterval === 'number' ? settings.syncInterval : 30;
+  return mutateHistory(async () => {
+    // ── Deferred mode (syncInterval > 0): today's visits are served live from
+    //    the Chrome history API and flushed in bulk on a timer. No per-visit write.
+    if (syncInterval > 0) {
+      // Still backfill title into existing entries if we have one within 5 min
+      if (title) {
+        const cutoff5 = now - 5000;
+        const norm = normalizeUrl(url);
+        const entries = await getAll();
+        const idx = entries.findLastIndex(e => e.url === norm && e.visitTime >= cutoff5);
+        if (idx !== -1 && !entries[idx].title) await updateEntryTitle(entries[idx].id, title, entries);
+      }
+      return;
+    }
+
+    // ── Legacy mode (syncInterval === 0): write every visit immediately ──────
+    const entries  = await getAll();
+    const norm     = normalizeUrl(url);
+    const entry    = { id:entryId(norm, now), url:norm, rawUrl:url, title:title||'', visitTime:now, domain:domainOf(url), tabId:tabId||null, ...(transition?{transition}:{}) };
+    if (!dedupeVisits(entries, [entry]).length) {
+      const dup = entries.find(e => dedupBucket(e) === dedupBucket(entry));
+      if (dup && title && !dup.title) await updateEntryTitle(dup.id, title, entries);
+      return;
+    }
+    const prune    = idsToPrune([...entries, entry], settings, now);
+    await applyHistoryChanges({ put:[entry], remove:prune }, entries);
+    const pruned   = new Set(prune);
+    await forgetTrail(entries.filter(e => pruned.has(e.id)));
+  });
+}
+
+// ── Navigation trail ─────────────────────────────────────────────────────────
+// Remembers the last page committed in each tab and which tab opened it, so
+// every new visit can point back at the page it came from (see eh-trail.js).
+// Tab ids only live for one browser session; the map is reset on startup.
+const TRAIL_TABS_KEY = 'eh_trail_tabs'; // { pages: { tabId: { key, url } }, openers: { tabId: openerTabId } }
+let _trailTabs  = null;
+let _trailQueue = Promise.resolve();
+let _saveTrailTimer = null;
+
+async function loadTrailTabs() {
+  if (!_trailTabs) {
+    const r = await chrome.storage.local.get(TRAIL_TABS_KEY);
+    _trailTabs = r[TRAIL_TABS_KEY] || { pages: {}, openers: {} };
+  }
+  return _trailTabs;
+}
+// Debounced like the session save — navigation bursts coalesce into one write
+function saveTrailTabsSoon() {
+  clearTimeout(_saveTrailTimer);
+  _saveTrailTimer = setTimeout(() => chrome.storage.local.set({ [TRAIL_TABS_KEY]: _trailTabs }), 1000);
+}
+// Serialized so concurrent navigations never read a stale tab map
+function withTrailTabs(fn) {
+  _trailQueue = _trailQueue
+    .then(async () => { await fn(await loadTrailTabs()); saveTrailTabsSoon(); })
+    .catch(e => console.warn('[EH] trail:', e.message));
+  return _trailQueue;
+}
+
+function recordTrail(tabId, url, time, transition) {
+  return withTrailTabs(async state => {
+    const norm = normalizeUrl(url);
+    const prev = state.pages[tabId] || null;
+    // pushState/replaceState to the same page is not a new step
+    if (prev && prev.url === norm && transition !== 'reload') return;
+    let from = prev ? prev.key : null, via = prev ? 'tab' : null;
+    const opener = state.openers[tabId];
+    if (!prev && opener != null && state.pages[opener]) {
+      from = state.pages[opener].key;
+      via  = 'opener';
+    }
+    delete state.openers[tabId];
+    const t   = Math.round(time || Date.now());
+    const key = `${norm}|${t}`;
+    await EhTrail.add({ key, url: norm, t, tab: tabId, from, via, tr: transition || null });
+    state.pages[tabId] = { key, url: norm };
+  });
+}
+
+chrome.webNavigation.onCreatedNavigationTarget.addListener(details => {
+  withTrailTabs(state => { state.openers[details.tabId] = details.sourceTabId; });
+});
+chrome.tabs.onCreated.addListener(tab => {
+  if (tab.openerTabId == null) return;
+  withTrailTabs(state => { if (state.openers[tab.id] == null) state.openers[tab.id] = tab.openerTabId; });
+});
+chrome.tabs.onRemoved.addListener(tabId => {
+  withTrailTabs(state => { delete state.pages[tabId]; delete state.openers[tabId]; });
+});
+
+// Visits that left history by retention, caps or the ignore list take their
+// trail records with them
+function forgetTrail(entries) {
+  if (!entries.length) return Promise.resolve();
+  return EhTrail.forget({ visits: entries.map(e => ({ url: e.url, t: e.visitTime })) }).catch(() => {});
+}
+
+// Trail around one visit: the chain of pages leading to it (oldest first)
+// and a tree of the pages reached from it, with titles from stored history.
+async function buildTrail(url, visitTime) {
+  const hit = await EhTrail.near(normalizeUrl(url), visitTime);
+  if (!hit) return { found: false };
+
+  const ancestors = [];
+  const seen = new Set([hit.key]);
+  for (let cur = hit; cur.from && ancestors.length < 30 && !seen.has(cur.from);) {
+    seen.add(cur.from);
+    const parent = await EhTrail.get(cur.from);
+    if (!parent) break;
+    ancestors.unshift(parent);
+    cur = parent;
+  }
+
+  let budget = 200;
+  async function expand(rec, depth) {
+    const node = { url: rec.url, t: rec.t, via: rec.via, tr: rec.tr, children: [] };
+    if (depth >= 8) return node;
+    for (const child of await EhTrail.children(rec.key)) {
+      if (budget-- <= 0 || seen.has(child.key)) continue;
+      seen.add(child.key);
+      node.children.push(await expand(child, depth + 1));
+    }
+    return node;
+  }
+  const root = await expand(hit, 0);
+  const chain = ancestors.map(a => ({ url: a.url, t: a.t, via: a.via, tr: a.tr }));
+
+  // Titles: stored history first, then today's live visits
+  const titles = new Map();
+  const nodes  = [...chain];
+  (function walk(n) { nodes.push(n); n.children.forEach(walk); })(root);
+  const urls = [...new Set(nodes.map(n => n.url))];
+  if (await _useIdb()) {
+    for (const u of urls) { const e = await EhIdb.getByUrl(u); if (e?.title) titles.set(u, e.title); }
+  } else {
+    const want = new Set(urls);
+    for (const e of await getAll()) if (want.has(e.url) && e.title && !titles.has(e.url)) titles.set(e.url, e.title);
+  }
+  if (urls.some(u => !titles.has(u))) {
+    for (const e of await getTodayFromChromeApi()) if (e.title && !titles.has(e.url)) titles.set(e.url, e.title);
+  }
+  for (const n of nodes) n.title = titles.get(n.url) || '';
+
+  return { found: true, ancestors: chain, node: root };
+}
+
+chrome.webNavigation.onCommitted.addListener(async details => {
+  if (details.frameId!==0||!isTrackable(details.url)) return;
+  if (['auto_subframe','manual_subframe'].includes(details.transitionType)) return;
+  let title='';
+  const url = details.url;
+  // Check ignore list FIRST - before Chrome commits to history
+  if (await shouldIgnoreUrl(url)) {
+    await cleanupIgnoredUrlFromNativeHistory(url);
+    return; // Don't record in extension
+  }
+  recordTrail(details.tabId, url, details.timeStamp, details.transitionType);
+  try { const tab=await chrome.tabs.get(details.tabId); title=tab?.title||''; } catch {}
+  await recordVisit(details.url, title, details.tabId, details.transitionType);
+});
+
+chrome.webNavigation.onCompleted.addListener(async details => {
   if (details.frameId!==0||!isTrackable(details.url)) return;
   if (await shouldIgnoreUrl(details.url)) {
     await cleanupIgnoredUrlFromNativeHistory(details.url);
@@ -1222,17 +3189,28 @@ chrome.webNavigation.onCompleted.addListener(async details => {
 chrome.webNavigation.onHistoryStateUpdated.addListener(async details => {
   if (details.frameId !== 0 || !isTrackable(details.url)) return;
   if (await shouldIgnoreUrl(details.url)) return;
-  await recordVisit(details.url, '', details.tabId);
+  recordTrail(details.tabId, details.url, details.timeStamp, details.transitionType);
+  await recordVisit(details.url, '', details.tabId, details.transitionType);
   // Title will arrive via tabs.onUpdated
 });
 
 // ── Message API ──────────────────────────────────────────────────────────────
-chrome.runtime.onMessage.addListener((msg,_s,respond)=>{ handle(msg).then(respond).catch(err=>respond({error:err.message})); return true; });
+chrome.runtime.onMessage.addListener((msg,sender,respond)=>{
+  // Only real input on an extension page counts as use for the vault's idle lock —
+  // a page left open keeps polling, and that must not keep history unlocked
+  if (msg.type === 'VAULT_ACTIVITY') {
+    if (sender.url && sender.url.startsWith(chrome.runtime.getURL(''))) EhVault.touch().catch(()=>{});
+    respond({ success: true }); return false;
+  }
+  handle(msg).then(respond).catch(err=>respond({error:err.message})); return true;
+});
 
 async function handle(msg) {
   switch(msg.type) {
     case 'SEARCH': {
-      const {query='',mode='all',startDate,endDate,limit=5000,offset=0}=msg;
+      const {query='',mode='all',sort='time',limit=5000,offset=0}=msg;
+      const q = EhQuery.compile(query, mode);
+      const { startDate, endDate } = narrowRange(msg.startDate, msg.endDate, q);
 
       // Split source: today live from Chrome API, past days from local storage.
       // This ensures today's entries are always current (no per-visit storage writes)
@@ -1240,94 +3218,63 @@ async function handle(msg) {
       const todayStart = new Date(); todayStart.setHours(0,0,0,0);
       const todayMs = todayStart.getTime();
 
-      const [todayEntries, allStored] = await Promise.all([
-        getTodayFromChromeApi(),
-        getAll(),
-      ]);
-      // Only keep past days from local storage — today comes from Chrome API
-      const pastEntries = allStored.filter(e => e.visitTime < todayMs);
-      let entries = [...todayEntries, ...pastEntries];
-
-      if (startDate) entries=entries.filter(e=>e.visitTime>=startDate);
-      if (endDate)   entries=entries.filter(e=>e.visitTime<=endDate);
-      if (query) {
-        const words=query.toLowerCase().split(/\s+/).filter(Boolean);
-        entries=entries.filter(e=>{
-          const hay = (mode==='title')  ? (e.title||'').toLowerCase()
-                    : (mode==='url')    ? e.url.toLowerCase()
-                    : (mode==='domain') ? (e.domain||'').toLowerCase()
-                    : (e.url+' '+(e.title||'')+' '+(e.domain||'')).toLowerCase();
-          return words.every(w => hay.includes(w));
-        });
+      let todayEntries = [];
+      if (!endDate || endDate >= todayMs) {
+        todayEntries = (await getTodayFromChromeApi())
+          .filter(e => (!startDate || e.visitTime >= startDate) && (!endDate || e.visitTime <= endDate) && (!q || q.test(e)))
+          .sort((a,b)=>b.visitTime-a.visitTime);
       }
-      entries.sort((a,b)=>b.visitTime-a.visitTime);
-      return {total:entries.length,entries:entries.slice(offset,offset+limit)};
-    }
-    case 'DELETE_IDS': {
-      const s = new Set(msg.ids);
-
-      // 1. Remove from local storage
-      const all = await getAll();
-      const removed = all.filter(e => s.has(e.id));
-      await setAll(all.filter(e => !s.has(e.id)));
-
-      // 2. Delete from Chrome history — every URL variant we know about:
-      //    - urls passed directly from the UI (covers today's live entries)
-      //    - url + rawUrl from local storage entries
-      const urlsToDelete = new Set([
-        ...(msg.urls || []),
-        ...removed.flatMap(e => [e.url, e.rawUrl]),
-      ].filter(Boolean));
-      for (const url of urlsToDelete) {
-        try { await chrome.history.deleteUrl({ url }); } catch {}
+      // Today's rows always sort ahead of stored ones, so the page splits cleanly:
+      // first whatever part of it falls inside today, then the stored remainder.
+      const fromToday = todayEntries.slice(offset, offset + limit);
+      const pastEnd   = Math.min(endDate || Infinity, todayMs - 1);
+      const storedOffset = Math.max(0, offset - todayEntries.length);
+      const past = await searchStored({
+        start:  startDate,
+        end:    pastEnd,
+        q, sort,
+        offset: storedOffset,
+        limit:  limit - fromToday.length,
+      });
+      // The archive only holds older rows, so it continues where the hot store
+      // runs out — the same split again
+      let archived = { total: 0, hasMore: false, entries: [] };
+      if (!past.hasMore) {
+        archived = await searchArchive({
+          start:  startDate,
+          end:    pastEnd,
+          q, sort,
+          offset: Math.max(0, storedOffset - past.total),
+          limit:  limit - fromToday.length - past.entries.length,
+        });
       }
-      return { success: true };
-    }
+      // Relevance results are one row per URL — don't repeat what today already shows
+      const todayUrls = sort === 'relevance' ? new Set(todayEntries.map(e => e.url)) : null;
+      const pastRows  = [...past.entries, ...archived.entries];
+      const pastPage  = todayUrls ? pastRows.filter(e => !todayUrls.has(e.url)) : pastRows;
+      return {
+        total:   todayEntries.length + past.total + archived.total,
+        hasMore: past.hasMore || archived.hasMore,
+        entries: [...fromToday, ...pastPage],
+        locked:  archived.locked,
+      };
+    }
+    case 'EXPORT_SEARCH': {
+      return { success: true, ...await exportSearch(msg) };
+    }
+    case 'GET_TRAIL': {
+      if (!msg.url || !msg.visitTime) return { found: false };
+      return buildTrail(msg.url, msg.visitTime);
+    }
+    case 'DELETE_IDS':
+      return journaled('deleteEntries', { ids: msg.ids || [], urls: msg.urls || [] });
     case 'DELETE_MATCHING': {
-      const {query='',mode='all',startDate,endDate}=msg;
-      const q=query.toLowerCase();
-      const words=q?q.split(/\s+/).filter(Boolean):[];
-
-      function matchesFilter(e) {
-        const ms=!startDate||e.visitTime>=startDate; const me=!endDate||e.visitTime<=endDate;
-        let mq=true; if(words.length){
-          const hay=(mode==='title')?(e.title||'').toLowerCase()
-                   :(mode==='url')?e.url.toLowerCase()
-                   :(mode==='domain')?(e.domain||'').toLowerCase()
-                   :(e.url+' '+(e.title||'')+' '+(e.domain||'')).toLowerCase();
-          mq=words.every(w=>hay.includes(w));
-        }
-        return ms&&me&&mq;
-      }
-
-      // 1. Remove matching entries from local storage
-      const allStored = await getAll();
-      const toDelete = allStored.filter(matchesFilter);
-      await setAll(allStored.filter(e => !toDelete.find(d => d.id === e.id)));
-
-      // 2. Also match today's live entries from Chrome API
-      const todayLive = await getTodayFromChromeApi();
-      const toDeleteToday = todayLive.filter(matchesFilter);
-
-      // 3. Delete every URL variant from Chrome history (covers both past + today)
-      const urlsToDelete = new Set(
-        [...toDelete, ...toDeleteToday].flatMap(e => [e.url, e.rawUrl]).filter(Boolean)
-      );
-      for (const url of urlsToDelete) {
-        try { await chrome.history.deleteUrl({ url }); } catch {}
-      }
-      return { success: true, deleted: toDelete.length + toDeleteToday.length };
+      const { query = '', mode = 'all', startDate, endDate } = msg;
+      return journaled('deleteMatching', { query, mode, startDate, endDate });
     }
     case 'DELETE_HISTORY_RANGE': {
       const { startTime, endTime, clearCookies, clearCache } = msg;
-      // Delete from extension storage
-      let entries = await getAll();
-      const before = entries.length;
-      entries = entries.filter(e => !(e.visitTime >= startTime && e.visitTime <= endTime));
-      await setAll(entries);
-      const deleted = before - entries.length;
-      // Delete from Chrome native history
-      try { await chrome.history.deleteRange({ startTime, endTime }); } catch {}
+      const r = await journaled('deleteRange', { startTime, endTime });
       // Optionally clear cookies and cache
       if (clearCookies || clearCache) {
         const since = startTime;
@@ -1338,42 +3285,76 @@ async function handle(msg) {
       }
       // Update today's history
       await updateTodayHistory();
-      return { success: true, deleted };
+      return r;
     }
     case 'CLEAR_ALL': {
-      await setAll([]);
-      try { await chrome.history.deleteAll(); } catch {}
+      const r = await journaled('clearAll', {});
       // Update today's history
       await updateTodayHistory();
-      return { success: true };
+      return r;
     }
     case 'GET_STATS': {
-      const entries=await getAll(); const used=await chrome.storage.local.getBytesInUse(HISTORY_KEY);
-      const oldest = entries.length ? entries.reduce((min, e) => e.visitTime < min ? e.visitTime : min, entries[0].visitTime) : null;
+      // Visits, not rows: a row merged from duplicates counts its `visits`
       const now=Date.now(); const daily={};
       for(let i=89;i>=0;i--) daily[new Date(now-i*86400000).toLocaleDateString('en-CA')]=0;
-      for(const e of entries){const d=new Date(e.visitTime).toLocaleDateString('en-CA'); if(d in daily) daily[d]++;}
-      return {totalEntries:entries.length,storageMB:(used/1048576).toFixed(1),oldestEntry:oldest,dailyActivity:daily};
+      // Archive figures come from the per-month meta rows — nothing is inflated
+      const [arch, archMonths] = await Promise.all([EhArchive.stats(), EhArchive.months()]);
+      const archOldest = archMonths.length ? archMonths[archMonths.length - 1].start : null;
+      const withArchive = (total, hotBytes, oldest) => ({
+        totalEntries:    total + arch.visits,
+        storageMB:       ((hotBytes + arch.bytes) / 1048576).toFixed(1),
+        hotMB:           (hotBytes / 1048576).toFixed(1),
+        archivedMB:      (arch.bytes / 1048576).toFixed(1),
+        archivedEntries: arch.visits,
+        oldestEntry:     archOldest != null && (oldest == null || archOldest < oldest) ? archOldest : oldest,
+        dailyActivity:   daily,
+      });
+      if (await _useIdb()) {
+        // Index counts only — just the merged rows are deserialized, for their extra visits
+        const [rows, first, estimate, merged] = await Promise.all([EhIdb.count(), EhIdb.oldest(), navigator.storage.estimate(), EhIdb.merged()]);
+        await Promise.all(Object.keys(daily).map(async d => {
+          const from = new Date(d + 'T00:00:00').getTime();
+          daily[d] = await EhIdb.countRange(from, from + 86400000 - 1);
+        }));
+        let total = rows;
+        for (const e of merged) {
+          const d = new Date(e.visitTime).toLocaleDateString('en-CA');
+          total += e.visits - 1;
+          if (d in daily) daily[d] += e.visits - 1;
+        }
+        // The usage estimate covers every database of the extension, the archive included
+        return withArchive(total, Math.max(0, (estimate.usage||0) - arch.bytes), first ? first.visitTime : null);
+      }
+      const entries=await getAll(); const used=await chrome.storage.local.getBytesInUse(HISTORY_KEY);
+      const oldest = entries.length ? entries.reduce((min, e) => e.visitTime < min ? e.visitTime : min, entries[0].visitTime) : null;
+      let total=0;
+      for(const e of entries){const n=e.visits||1; total+=n; const d=new Date(e.visitTime).toLocaleDateString('en-CA'); if(d in daily) daily[d]+=n;}
+      return withArchive(total, used, oldest);
     }
     case 'GET_TIME_DATA': {
-      const {days=30}=msg; const r=await chrome.storage.local.get(TIME_KEY); const map=r[TIME_KEY]||{};
+      // dailyMap / idleMap / audibleMap: date → domain → ms, active, idle and playing sound;
+      // topSites by active + playing time
+      const {days=30}=msg; const r=await chrome.storage.local.get([TIME_KEY, IDLE_TIME_KEY, AUDIBLE_TIME_KEY]);
       const now=Date.now(); const dateSet=new Set();
       for(let i=0;i<days;i++) dateSet.add(new Date(now-i*86400000).toLocaleDateString('en-CA'));
-      const totals={};
-      for(const [domain,dayMap] of Object.entries(map)){
-        let t=0; for(const [date,ms] of Object.entries(dayMap)){if(dateSet.has(date)) t+=ms;} if(t>0) totals[domain]=t;
-      }
-      const sorted=Object.entries(totals).sort((a,b)=>b[1]-a[1]).slice(0,20)
-      .map(([domain,ms])=>({domain,ms,minutes:Math.round(ms/60000),hours:(ms/3600000).toFixed(1)}));
-      const dailyMap={};
-      for(const [domain,dayMap] of Object.entries(map)){
-        for(const [date,ms] of Object.entries(dayMap)){
-          if(!dateSet.has(date)) continue;
-          if(!dailyMap[date]) dailyMap[date]={};
-          dailyMap[date][domain]=(dailyMap[date][domain]||0)+ms;
+      const sum=map=>{
+        const totals={}, daily={};
+        for(const [domain,dayMap] of Object.entries(map)){
+          for(const [date,ms] of Object.entries(dayMap)){
+            if(!dateSet.has(date)||!ms) continue;
+            totals[domain]=(totals[domain]||0)+ms;
+            if(!daily[date]) daily[date]={};
+            daily[date][domain]=(daily[date][domain]||0)+ms;
+          }
         }
-      }
-      return {topSites:sorted,dailyMap};
+        return {totals,daily};
+      };
+      const active=sum(r[TIME_KEY]||{}), idle=sum(r[IDLE_TIME_KEY]||{}), audible=sum(r[AUDIBLE_TIME_KEY]||{});
+      const domains=new Set([...Object.keys(active.totals),...Object.keys(audible.totals)]);
+      const sorted=[...domains].map(domain=>[domain,active.totals[domain]||0,audible.totals[domain]||0])
+      .sort((a,b)=>(b[1]+b[2])-(a[1]+a[2])).slice(0,20)
+      .map(([domain,ms,audibleMs])=>({domain,ms,minutes:Math.round(ms/60000),hours:(ms/3600000).toFixed(1),idleMs:idle.totals[domain]||0,audibleMs}));
+      return {topSites:sorted,dailyMap:active.daily,idleMap:idle.daily,audibleMap:audible.daily};
     }
     case 'GET_DEVICES': { try{return {devices:await chrome.sessions.getDevices()};}catch{return {devices:[]};} }
     case 'GET_TODAY_HISTORY': {
@@ -1458,37 +3439,40 @@ async function handle(msg) {
       return { success: true };
     }
     case 'GET_SETTINGS': { return await getSettings(); }
+    case 'PREVIEW_RETENTION': {
+      const settings = { ...await getSettings(), ...(msg.settings || {}) };
+      return { success: true, ...await applyRetentionRules({ dryRun: true, settings }) };
+    }
     case 'SAVE_SETTINGS': {
       const cur=await getSettings(); 
       const next={...cur,...msg.settings};
       //console.log('[EH] SAVE_SETTINGS:', { current: cur, incoming: msg.settings, merged: next });
       await chrome.storage.local.set({[SETTINGS_KEY]:next});
-      // Update in-memory cache so event listeners pick it up immediately
-      if (next.timeTrackingEnabled !== undefined) _timeTrackingEnabled = next.timeTrackingEnabled !== false;
-      if (next.autoStoreEnabled !== undefined)    _autoStoreEnabled    = next.autoStoreEnabled !== false;
-      if (next.autoStoreHours   !== undefined)    _autoStoreHours      = typeof next.autoStoreHours === 'number' ? next.autoStoreHours : 6;
+      applySettings(next, cur);
       return {success:true,settings:next};
     }
     case 'EXPORT': {
-      const entries=await getAll(); const tr=await chrome.storage.local.get(TIME_KEY); const sess=await getSessions();
-      return {exportedAt:new Date().toISOString(),totalEntries:entries.length,entries,timeData:tr[TIME_KEY]||{},sessions:sess};
+      return await exportProfile(msg.sections || (msg.full ? PROFILE_SECTIONS : ['history', 'timeData', 'sessions']));
+    }
+    case 'IMPORT_PROFILE': {
+      return { success: true, ...await importProfile(msg.data || {}, msg.plan || {}, { ignorePassword: msg.ignorePassword, historyFilter: msg.historyFilter }) };
+    }
+    case 'GET_BACKUP_STATUS': {
+      return await backupStatus();
+    }
+    case 'BACKUP_NOW': {
+      const file = await runBackup({ force: true });
+      if (!file) return { success: false, error: 'A backup is already running' };
+      return { success: true, file, status: await backupStatus() };
+    }
+    case 'BACKUP_SET_PASSWORD': {
+      await setBackupPassword(msg.password || null);
+      return { success: true };
     }
     case 'IMPORT_HISTORY': {
       const {entries:imported}=msg;
       if(!Array.isArray(imported)||!imported.length) return {success:false,error:'No entries'};
-      const existing=await getAll(); const settings=await getSettings();
-      const cutoff=Date.now()-settings.retentionDays*86400000;
-      const existingSet=new Set(existing.map(e=>`${e.url}|${Math.floor(e.visitTime/5000)}`));
-      let count=0;
-      for(const e of imported){
-        if(!e.url||!isTrackable(e.url)) continue;
-        if(e.visitTime&&e.visitTime<cutoff) continue;
-        const norm=normalizeUrl(e.url); const key=`${norm}|${Math.floor((e.visitTime||Date.now())/5000)}`;
-        if(existingSet.has(key)) continue;
-        existing.push({id:`imp_${Date.now()}_${Math.random().toString(36).slice(2,6)}`,url:norm,rawUrl:e.url,title:e.title||'',visitTime:e.visitTime||Date.now(),domain:domainOf(e.url),tabId:null,source:'import'});
-        existingSet.add(key); count++;
-      }
-      existing.sort((a,b)=>b.visitTime-a.visitTime); await setAll(existing);
+      const count=(await importEntries(imported, msg.filter)).added;
       // Update today's history
       await updateTodayHistory();
 
@@ -1499,7 +3483,7 @@ async function handle(msg) {
         const domainCounts = {};
         for (const e of allEntries) {
           const d = e.domain || domainOf(e.url);
-          if (d) domainCounts[d] = (domainCounts[d] || 0) + 1;
+          if (d) domainCounts[d] = (domainCounts[d] || 0) + (e.visits || 1);
         }
         const topDomains = Object.entries(domainCounts)
           .sort((a, b) => b[1] - a[1])
@@ -1542,27 +3526,58 @@ async function handle(msg) {
 
       return {success:true,imported:count};
     }
+    case 'FIND_DUPLICATES': {
+      const { by = 'url', windowMs = 600000 } = msg;
+      return { success: true, ...await findDuplicates({ by, windowMs }) };
+    }
+    case 'RESOLVE_DUPLICATES':
+      return journaled('resolveDuplicates', { choices: msg.choices || [] });
+    case 'VAULT_STATUS': { return await vaultStatus(); }
+    case 'VAULT_SETUP': {
+      checkVaultPassphrase(msg.passphrase);
+      await EhVault.setup(msg.passphrase);
+      await mutateHistory(resealArchive);
+      await archiveOldHistory({ force: true });
+      broadcastVaultState();
+      return { success: true };
+    }
+    case 'VAULT_UNLOCK': {
+      if (!await EhVault.unlock(msg.passphrase || '')) return { success: false, error: 'Wrong passphrase' };
+      broadcastVaultState();
+      // Segments archived while locked are merged into their months now
+      mutateHistory(resealArchive).catch(e => console.warn('[EH] archive reseal failed:', e.message));
+      return { success: true };
+    }
+    case 'VAULT_LOCK': {
+      await EhVault.lock();
+      broadcastVaultState();
+      return { success: true };
+    }
+    case 'VAULT_CHANGE_PASSPHRASE': {
+      checkVaultPassphrase(msg.passphrase);
+      if (!await EhVault.changePassphrase(msg.oldPassphrase || '', msg.passphrase)) return { success: false, error: 'Wrong passphrase' };
+      return { success: true };
+    }
+    case 'VAULT_DISABLE': {
+      if (!await EhVault.unlock(msg.passphrase || '')) return { success: false, error: 'Wrong passphrase' };
+      await mutateHistory(async () => {
+        _vaultUnsealing = true;
+        try { await resealArchive(); await EhVault.remove(); }
+        finally { _vaultUnsealing = false; }
+      });
+      broadcastVaultState();
+      return { success: true };
+    }
+    case 'RECANONICALIZE': {
+      return { success: true, ...await recanonicalizeHistory() };
+    }
     case 'RE_BACKFILL': {
       try {
         await chrome.storage.local.remove(BACKFILL_KEY);
-        const items = await chrome.history.search({ text: '', startTime: 0, maxResults: 100000 });
-        const entries = items.filter(i => isTrackable(i.url)).map(i => ({
-          id:        `bf_${i.lastVisitTime}_${Math.random().toString(36).slice(2, 6)}`,
-          url:       normalizeUrl(i.url),
-          rawUrl:    i.url,
-          title:     i.title || '',
-          visitTime: i.lastVisitTime || Date.now(),
-          domain:    domainOf(i.url),
-          tabId:     null,
-          source:    'backfill',
-        }));
-        const existing    = await getAll();
-        const existingSet = new Set(existing.map(e => `${e.url}|${Math.floor(e.visitTime / 5000)}`));
-        const newOnes     = entries.filter(e => !existingSet.has(`${e.url}|${Math.floor(e.visitTime / 5000)}`));
-        if (newOnes.length) await setAll([...existing, ...newOnes].sort((a, b) => b.visitTime - a.visitTime));
+        const imported = await backfillFromChrome();
         await chrome.storage.local.set({ [BACKFILL_KEY]: true });
         await updateTodayHistory();
-        return { success: true, imported: newOnes.length };
+        return { success: true, imported };
       } catch (e) { return { error: e.message }; }
     }
     case 'GET_BOOKMARKS': { try{return {tree:await chrome.bookmarks.getTree()};}catch{return {tree:[]};} }
@@ -1600,6 +3615,18 @@ async function handle(msg) {
     case 'GET_IGNORE_LIST': {
       return { list: await getIgnoreList(), enabled: await isIgnoreListEnabled() };
     }
+    case 'IGNORE_LOCK_STATUS': { return await ignoreLockStatus(); }
+    case 'IGNORE_SET_PASSWORD': {
+      if (!msg.password) return { success: false, error: 'Please enter a password.' };
+      if ((await ignoreLockStatus()).protected) return { success: false, error: 'A password is already set' };
+      await protectIgnoreList(msg.password, await getIgnoreList());
+      return { success: true };
+    }
+    case 'IGNORE_UNLOCK': { return await unlockIgnoreList(msg.password || ''); }
+    case 'IGNORE_RESET': {
+      await resetIgnoreList();
+      return { success: true };
+    }
     case 'ADD_IGNORE_PATTERN': {
       const result = await addIgnorePattern(msg.pattern);
       if (!result.success) return result;
@@ -1639,69 +3666,89 @@ async function handle(msg) {
     }
     case 'FLUSH_TIME': {
       // Commit whatever is running (if anything), then restart
-      if (activeDomain && segmentStart && windowFocused) {
-        await commitSegment();
-        segmentStart = Date.now();
-      }
+      if (activeDomain && (segmentStart || idleStart) && windowFocused) await flushSegment();
       return {success:true};
     }
     case 'CLEAR_TIME_DATA': {
-      await chrome.storage.local.remove(TIME_KEY);
+      await chrome.storage.local.remove([TIME_KEY, IDLE_TIME_KEY, AUDIBLE_TIME_KEY]);
       return {success:true};
     }
-    case 'MIGRATE_TO_IDB': {
-      try {
-        // Read from localStorage, write to IDB, then switch flag
-        const r = await chrome.storage.local.get(HISTORY_KEY);
-        const entries = r[HISTORY_KEY] || [];
-        await EhIdb.setAll(entries);
-        await chrome.storage.local.set({ [IDB_STORAGE_KEY]: true });
-        return { success: true, migrated: entries.length };
-      } catch(e) { return { error: e.message }; }
-    }
+    case 'MIGRATE_TO_IDB':
     case 'MIGRATE_TO_LOCAL': {
       try {
-        // Read from IDB, write to localStorage, then switch flag
-        const entries = await EhIdb.getAll();
-        await chrome.storage.local.set({ [HISTORY_KEY]: entries, [IDB_STORAGE_KEY]: false });
-        await EhIdb.clear();
-        return { success: true, migrated: entries.length };
+        const r = await migrateBackend(msg.type === 'MIGRATE_TO_IDB' ? 'idb' : 'local');
+        return { success: true, migrated: r.migrated };
       } catch(e) { return { error: e.message }; }
     }
+    case 'ROLLBACK_MIGRATION': {
+      // Abandon an unfinished (failed) copy; only possible before the flag flipped
+      const r = await chrome.storage.local.get(BACKEND_MIGRATION_KEY);
+      const st = r[BACKEND_MIGRATION_KEY];
+      if (!st) return { success: true };
+      if (_backendRun) return { error: 'Migration is still running' };
+      if (st.phase === 'cleanup') return { error: 'Migration already switched backends — retry to finish it' };
+      if (st.target === 'idb') await EhIdb.clear();
+      else await chrome.storage.local.remove(Array.from({ length: st.chunks }, (_, n) => BACKEND_STAGE_PREFIX + n));
+      await chrome.storage.local.remove(BACKEND_MIGRATION_KEY);
+      return { success: true };
+    }
+    case 'GET_SCHEMA_STATUS': {
+      return { latest: SCHEMA_VERSION, ...await getSchemaState() };
+    }
     case 'GET_STORAGE_BACKEND': {
-      const r = await chrome.storage.local.get(IDB_STORAGE_KEY);
-      return { backend: r[IDB_STORAGE_KEY] === true ? 'idb' : 'local' };
+      const r = await chrome.storage.local.get([IDB_STORAGE_KEY, BACKEND_MIGRATION_KEY]);
+      return { backend: r[IDB_STORAGE_KEY] === true ? 'idb' : 'local', migration: r[BACKEND_MIGRATION_KEY] || null };
     }
         case 'GET_MOST_VISITED': {
       const {viewType='url',period='all'}=msg;
-      const entries=await getAll();
       const now=Date.now();
       let cutoffTime=0;
       if(period==='10') cutoffTime=now-10*86400000;
       else if(period==='30') cutoffTime=now-30*86400000;
-      
-      const filtered=period==='all'?entries:entries.filter(e=>e.visitTime>=cutoffTime);
-      const counts={};
-      
-      for(const e of filtered){
-        let key;
-        if(viewType==='domain'){
-          try{key=new URL(e.url).hostname.replace(/^www\./,'');}catch{continue;}
-        }else{
-          key=e.url;
-        }
-        if(!counts[key]){
-          counts[key]={identifier:key,count:0,title:viewType==='url'?e.title:key};
+
+      if (await _useIdb()) {
+        if (period === 'all') {
+          // Key-only cursor over the url/domain index; titles fetched for the top 50 only
+          const keyCounts = await EhIdb.countBy(viewType === 'domain' ? 'domain' : 'url');
+          const top = [...keyCounts].filter(([k]) => k).sort((a, b) => b[1] - a[1]).slice(0, 50);
+          const items = await Promise.all(top.map(async ([key, count]) => ({
+            identifier: key, count,
+            title: viewType === 'url' ? ((await EhIdb.getByUrl(key))?.title || '') : key,
+          })));
+          return {items};
         }
-        counts[key].count++;
+        const {entries:recent} = await EhIdb.query({ start: cutoffTime });
+        return {items:countVisits(recent, viewType)};
       }
-      
-      const sorted=Object.values(counts).sort((a,b)=>b.count-a.count).slice(0,50);
-      return {items:sorted};
+
+      const entries=await getAll();
+      const filtered=period==='all'?entries:entries.filter(e=>e.visitTime>=cutoffTime);
+      return {items:countVisits(filtered, viewType)};
     }
     default: return {error:`Unknown: ${msg.type}`};
   }
 }
+
+// Aggregates visit counts per URL or per domain, top 50 first. Rows merged
+// from duplicates count the visits folded into them.
+function countVisits(filtered, viewType) {
+  const counts={};
+
+  for(const e of filtered){
+    let key;
+    if(viewType==='domain'){
+      try{key=new URL(e.url).hostname.replace(/^www\./,'');}catch{continue;}
+    }else{
+      key=e.url;
+    }
+    if(!counts[key]){
+      counts[key]={identifier:key,count:0,title:viewType==='url'?e.title:key};
+    }
+    counts[key].count += e.visits || 1;
+  }
+
+  return Object.values(counts).sort((a,b)=>b.count-a.count).slice(0,50);
+}
 // ══ EXTERNAL MESSAGING ══════════════════════════════════════════════════════
 // Allows the "Extended Page" new-tab extension to query history data.
 // The sender's ID must be listed in manifest.json > externally_connectable > ids.
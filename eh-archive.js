@@ -0,0 +1,176 @@
+/**
+ * eh-archive.js — compressed cold storage for old history
+ *
+ * Loaded by background.js:
+ *   importScripts('eh-idb.js', 'eh-query.js', 'eh-index.js', 'eh-trail.js', 'eh-archive.js');
+ *
+ * Entries older than the archive age leave the hot store (chrome.storage.local
+ * or EhIdb) and are packed into one gzip-compressed JSON block per calendar
+ * month (local time), kept in their own IndexedDB database. A small meta row
+ * per month lets readers pick the months a date range touches without
+ * decompressing anything; only those blocks are ever inflated.
+ *
+ * With a codec configured (encryption at rest, see eh-vault.js) compressed
+ * blocks are sealed before they are stored, and opened again on read. A
+ * sealed month can't be read back while the codec is locked, so new rows go
+ * to a separate sealed segment ('YYYY-MM~<stamp>') that the caller merges
+ * into its month once unlocked.
+ *
+ *   meta: { month, start, end, count, visits, bytes, raw, sealed }
+ *     month  'YYYY-MM', or 'YYYY-MM~<stamp>' for a segment
+ *     start  oldest visitTime in the block, end newest
+ *     visits rows weighted by `visits` (rows merged from duplicates); older blocks lack it
+ *     bytes  stored size, raw uncompressed JSON size
+ *
+ *   codec: { seal(bytes) → Promise<{ data, iv, key }|null>, open({ data, iv, key }) → Promise<bytes> }
+ *     seal returning null stores the block unsealed
+ *
+ *   EhArchive.configure(codec)           → void
+ *   EhArchive.monthOf(time)              → 'YYYY-MM'
+ *   EhArchive.baseOf(month)              → 'YYYY-MM'  the month a segment belongs to
+ *   EhArchive.months(start, end)         → Promise<meta[]>  overlapping months and segments, newest first
+ *   EhArchive.read(month)                → Promise<entry[]>  (rejects from codec.open when locked)
+ *   EhArchive.write(month, entries)      → Promise<meta|null>  replaces the block (removed when empty)
+ *   EhArchive.append(month, entries)     → Promise<meta|null>  adds a segment, never reads
+ *   EhArchive.stats()                    → Promise<{ months, entries, visits, bytes, raw }>
+ *   EhArchive.clear()                    → Promise<void>
+ */
+
+const EhArchive = (() => {
+  const DB_NAME    = 'eh_archive';
+  const DB_VERSION = 1;
+  const META       = 'meta';
+  const BLOCKS     = 'blocks';
+
+  let _db    = null;
+  let _codec = null;
+
+  function _open() {
+    if (_db) return Promise.resolve(_db);
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = e => {
+        const db = e.target.result;
+        if (!db.objectStoreNames.contains(META))   db.createObjectStore(META,   { keyPath: 'month' });
+        if (!db.objectStoreNames.contains(BLOCKS)) db.createObjectStore(BLOCKS, { keyPath: 'month' });
+      };
+      req.onsuccess = e => { _db = e.target.result; resolve(_db); };
+      req.onerror   = e => reject(e.target.error);
+      req.onblocked = () => reject(new Error('IDB blocked — close other tabs'));
+    });
+  }
+
+  function _tx(stores, mode, fn) {
+    return _open().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      const result = fn(tx);
+      tx.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('IDB transaction aborted'));
+    }));
+  }
+
+  async function _pack(entries) {
+    const json   = JSON.stringify(entries);
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+    return { data: await new Response(stream).arrayBuffer(), raw: json.length };
+  }
+
+  async function _unpack(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return JSON.parse(await new Response(stream).text());
+  }
+
+  function configure(codec) {
+    _codec = codec || null;
+  }
+
+  function monthOf(time) {
+    return new Date(time).toLocaleDateString('en-CA').slice(0, 7);
+  }
+
+  function baseOf(month) {
+    return month.split('~')[0];
+  }
+
+  function _allMeta() {
+    return _tx(META, 'readonly', tx => {
+      const req = tx.objectStore(META).getAll();
+      return () => req.result || [];
+    });
+  }
+
+  async function months(start = null, end = null) {
+    return (await _allMeta())
+      .filter(m => (start == null || m.end >= start) && (end == null || m.start <= end))
+      .sort((a, b) => b.start - a.start);
+  }
+
+  async function read(month) {
+    const block = await _tx(BLOCKS, 'readonly', tx => {
+      const req = tx.objectStore(BLOCKS).get(month);
+      return () => req.result;
+    });
+    if (!block) return [];
+    if (!block.sealed) return _unpack(block.data);
+    if (!_codec) throw new Error(`Archive block ${month} is encrypted`);
+    return _unpack(await _codec.open(block));
+  }
+
+  async function write(month, entries) {
+    if (!entries.length) {
+      await _tx([META, BLOCKS], 'readwrite', tx => {
+        tx.objectStore(META).delete(month);
+        tx.objectStore(BLOCKS).delete(month);
+      });
+      return null;
+    }
+    const sorted = [...entries].sort((a, b) => b.visitTime - a.visitTime);
+    const { data, raw } = await _pack(sorted);
+    const sealed = _codec ? await _codec.seal(data) : null;
+    const block  = sealed ? { month, ...sealed, sealed: true } : { month, data };
+    const meta = {
+      month,
+      start: sorted[sorted.length - 1].visitTime,
+      end:   sorted[0].visitTime,
+      count: sorted.length,
+      visits: sorted.reduce((n, e) => n + (e.visits || 1), 0),
+      bytes: block.data.byteLength,
+      raw,
+      sealed: !!sealed,
+    };
+    // Compressed before the transaction opens — it would auto-commit across the await
+    await _tx([META, BLOCKS], 'readwrite', tx => {
+      tx.objectStore(META).put(meta);
+      tx.objectStore(BLOCKS).put(block);
+    });
+    return meta;
+  }
+
+  async function append(month, entries) {
+    if (!entries.length) return null;
+    return write(`${month}~${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, entries);
+  }
+
+  async function stats() {
+    const all = await _allMeta();
+    return {
+      months:  all.length,
+      entries: all.reduce((n, m) => n + m.count, 0),
+      visits:  all.reduce((n, m) => n + (m.visits ?? m.count), 0),
+      bytes:   all.reduce((n, m) => n + m.bytes, 0),
+      raw:     all.reduce((n, m) => n + m.raw, 0),
+    };
+  }
+
+  async function clear() {
+    return _tx([META, BLOCKS], 'readwrite', tx => {
+      tx.objectStore(META).clear();
+      tx.objectStore(BLOCKS).clear();
+    });
+  }
+
+  return { configure, monthOf, baseOf, months, read, write, append, stats, clear };
+})();
+
+if (typeof window !== 'undefined') window.EhArchive = EhArchive;
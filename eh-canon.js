@@ -0,0 +1,126 @@
+/**
+ * eh-canon.js — URL canonicalization for Extended History
+ *
+ * Loaded by background.js (and by history.js for the settings preview):
+ *   importScripts('eh-idb.js', ..., 'eh-canon.js');
+ *   <script src="eh-canon.js"></script>
+ *
+ * Turns the many spellings of one page into a single stored URL, so tracking
+ * parameters and mobile/AMP mirrors don't create near-duplicate entries.
+ * Built-in steps, in order:
+ *   - drop the #fragment (always — this is what normalizeUrl did before)
+ *   - lowercase the host
+ *   - unwrap AMP cache / Google AMP viewer URLs to the publisher's URL
+ *   - collapse mobile and AMP hosts: a mirror label inside the host
+ *     (en.m.wikipedia.org → en.wikipedia.org) and a few well-known mobile
+ *     sites (m.youtube.com → www.youtube.com). Other leading labels stay —
+ *     m.example.com need not have a www. twin; add a host alias for those
+ *   - drop the AMP query markers ?amp, ?amp=1 and ?outputType=amp
+ *   - map youtu.be/<id> to www.youtube.com/watch?v=<id>
+ *   - apply user host aliases (from → to)
+ *   - strip tracking/session parameters, built-in list plus user patterns
+ *     (`name`, or `prefix*`)
+ *   - drop a trailing slash (also what normalizeUrl did before)
+ * Everything except the first and last step can be switched off with
+ * `enabled: false`. Non-http(s) URLs only lose their fragment.
+ *
+ *   EhCanon.TRACKING_PARAMS                → string[]  built-in strip patterns
+ *   EhCanon.compile({ enabled, stripParams, hostAliases })
+ *                                          → (url) → string  (idempotent)
+ *     stripParams   extra patterns: 'ref', 'ref_*'
+ *     hostAliases   [{ from, to }] exact host rewrites, applied after collapsing
+ */
+
+const EhCanon = (() => {
+  const TRACKING_PARAMS = [
+    'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid',
+    'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id',
+    'vero_id', 'ref_src', 'ref_url', 'spm', 'si',
+    // per-session ids that make every visit of a page look unique
+    'sid', 'sessionid', 'session_id', 'phpsessid', 'jsessionid', 'aspsessionid', 'cfid', 'cftoken',
+  ];
+
+  // Host labels that only mark a mobile or AMP mirror of the same site
+  const MIRROR_LABELS = new Set(['m', 'mobile', 'amp']);
+
+  // Mobile sites whose desktop host is known
+  const MOBILE_HOSTS = new Map([
+    ['m.youtube.com', 'www.youtube.com'], ['m.facebook.com', 'www.facebook.com'],
+    ['mobile.twitter.com', 'twitter.com'], ['mobile.x.com', 'x.com'], ['m.imdb.com', 'www.imdb.com'],
+    ['m.reddit.com', 'www.reddit.com'], ['m.twitch.tv', 'www.twitch.tv'], ['m.vk.com', 'vk.com'],
+  ]);
+
+  function _matcher(patterns) {
+    const exact = new Set(), prefixes = [];
+    for (const p of patterns) {
+      const v = String(p || '').trim().toLowerCase();
+      if (!v) continue;
+      if (v.endsWith('*')) prefixes.push(v.slice(0, -1)); else exact.add(v);
+    }
+    return name => { const n = name.toLowerCase(); return exact.has(n) || prefixes.some(p => n.startsWith(p)); };
+  }
+
+  // https://example-com.cdn.ampproject.org/c/s/example.com/a → https://example.com/a
+  // https://www.google.com/amp/s/example.com/a               → https://example.com/a
+  function _unwrapAmp(u) {
+    const m = u.hostname.endsWith('.cdn.ampproject.org')
+      ? /^\/[a-z]\/(s\/)?(.+)$/.exec(u.pathname)
+      : /^(www\.)?google\.[a-z.]+$/.test(u.hostname) ? /^\/amp\/(s\/)?(.+)$/.exec(u.pathname) : null;
+    if (!m) return u;
+    try { return new URL(`${m[1] ? 'https' : 'http'}://${m[2]}${u.search}`); } catch { return u; }
+  }
+
+  // Only drops a mirror label that has another label in front of it and the
+  // registrable part (last two labels) behind it, so the result is the same
+  // site's own subdomain; a leading one is only mapped through MOBILE_HOSTS.
+  function _collapseHost(host) {
+    if (MOBILE_HOSTS.has(host)) return MOBILE_HOSTS.get(host);
+    const labels = host.split('.');
+    return labels.filter((l, i) => i === 0 || i >= labels.length - 2 || !MIRROR_LABELS.has(l)).join('.');
+  }
+
+  function compile({ enabled = true, stripParams = [], hostAliases = [] } = {}) {
+    const strip   = _matcher([...TRACKING_PARAMS, ...stripParams]);
+    const aliases = new Map(hostAliases
+      .filter(a => a && a.from && a.to)
+      .map(a => [String(a.from).trim().toLowerCase(), String(a.to).trim().toLowerCase()]));
+
+    return function canonicalize(url) {
+      let u;
+      try { u = new URL(url); } catch { return url; }
+      u.hash = '';
+      if (enabled && (u.protocol === 'http:' || u.protocol === 'https:')) {
+        u = _unwrapAmp(u);
+        u.hostname = _collapseHost(u.hostname.toLowerCase());
+        if (u.hostname === 'youtu.be' && u.pathname.length > 1) {
+          const id = u.pathname.slice(1).split('/')[0];
+          const t  = u.searchParams.get('t');
+          u = new URL('https://www.youtube.com/watch');
+          u.searchParams.set('v', id);
+          if (t) u.searchParams.set('t', t);
+        }
+        if (aliases.has(u.hostname)) u.hostname = aliases.get(u.hostname);
+        // AMP markers in the query: ?amp, ?amp=1, ?outputType=amp. A /amp path
+        // segment is left alone — it is just as often a real name (ampproject/amp)
+        // Filter the raw pairs — going through searchParams would re-encode the rest
+        if (u.search) {
+          const kept = u.search.slice(1).split('&').filter(pair => {
+            if (!pair) return false;
+            const [rawName, value = ''] = pair.split('=');
+            let name;
+            try { name = decodeURIComponent(rawName.replace(/\+/g, ' ')); } catch { name = rawName; }
+            return !(strip(name) || (name === 'amp' && (value === '' || value === '1')) || (name.toLowerCase() === 'outputtype' && value === 'amp'));
+          });
+          u.search = kept.join('&');
+        }
+        // jsessionid and friends also come as a path parameter: /page;jsessionid=…
+        u.pathname = u.pathname.replace(/;[a-z_]*sessionid=[^/]*$/i, '');
+      }
+      return u.toString().replace(/\?$/, '').replace(/\/$/, '');
+    };
+  }
+
+  return { TRACKING_PARAMS, compile };
+})();
+
+if (typeof window !== 'undefined') window.EhCanon = EhCanon;
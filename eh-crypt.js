@@ -0,0 +1,215 @@
+/**
+ * eh-crypt.js — password-encrypted export files for Extended History
+ *
+ * Loaded by history.js (export, import, reading mode):
+ *   <script src="eh-crypt.js"></script>
+ *
+ * v1 (up to 4.1.2) — one JSON object, everything fixed:
+ *   { "__eh_encrypted": true, salt, iv, ct }   PBKDF2-SHA-256 100k → AES-GCM-256, base64
+ *
+ * v2 — a JSON header line that records how the key and cipher were set up,
+ * then the ciphertext as binary frames, so a big export never has to exist
+ * as one string on either side:
+ *   {"__eh_encrypted":2,"kdf":{name,hash,iterations,salt},"cipher":{name,chunkSize,iv}}\n
+ *   [uint32 BE length][AES-GCM chunk] [uint32 BE length][AES-GCM chunk] …
+ * Chunk n is encrypted with iv = cipher.iv (8 bytes) ‖ n (uint32 BE) and the
+ * additional data [1] for the last chunk, [0] for the others — reordered,
+ * dropped or truncated chunks fail to decrypt. Readers take the KDF and cipher
+ * from the header, so the work factor can go up without breaking old files.
+ *
+ * Scheduled backups are written without the password (see BackupVault in
+ * background.js): their header adds
+ *   "sealed":{"privateKey":{iv,ct},"key":{data,iv,key}}
+ * and the password-derived key opens the RSA-OAEP private key (pkcs8, AES-GCM),
+ * which unwraps the block key, which decrypts the random key of the chunks —
+ * the EhVault format, so the file opens anywhere with the password alone.
+ *
+ *   EhCrypt.EXTENSION                        → '.ehenc'  file name suffix for v2
+ *   EhCrypt.DecryptError                     wrong password or damaged file
+ *   EhCrypt.jsonParts(object)                → Iterable<string>  JSON text in pieces, arrays in batches
+ *   EhCrypt.encrypt(parts, password, opts)   → Promise<Blob>  v2; parts: (async) iterable of string | Uint8Array;
+ *                                              password may be a sealed key { key, kdf, privateKey, sealedKey }
+ *                                              (key: the raw AES key, base64) for a file without one
+ *     opts  { iterations, chunkSize }
+ *   EhCrypt.version(blob)                    → Promise<0|1|2>  0 = not encrypted (or not JSON)
+ *   EhCrypt.sealed(blob)                     → Promise<boolean>  a v2 file, whatever it holds — cheap,
+ *                                              reads the header only (v1 only ever held JSON)
+ *   EhCrypt.decrypt(blob, password)          → Promise<Blob>  plaintext, v1 or v2
+ *   EhCrypt.readJson(blob, askPassword)      → Promise<any|null>  parsed file, decrypted if need be;
+ *                                              askPassword() → string|null, null result = cancelled
+ */
+
+const EhCrypt = (() => {
+  const EXTENSION      = '.ehenc';
+  const V2_PREFIX      = '{"__eh_encrypted":2';
+  const ITERATIONS     = 600000;
+  const MAX_ITERATIONS = 10000000;   // refuse headers that would hang the page
+  const CHUNK_SIZE     = 1 << 20;
+  const JSON_BATCH     = 1000;
+
+  class DecryptError extends Error {
+    constructor() { super('Wrong password or corrupted file'); this.name = 'DecryptError'; }
+  }
+
+  function _b64(buf) {
+    // Cannot spread large arrays — chunk to avoid "maximum call stack" errors
+    const bytes = new Uint8Array(buf);
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 8192) bin += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    return btoa(bin);
+  }
+  function _unb64(s) { return Uint8Array.from(atob(s), c => c.charCodeAt(0)); }
+
+  async function _deriveKey(password, kdf, usages) {
+    if (kdf.name !== 'PBKDF2' || !(kdf.iterations > 0 && kdf.iterations <= MAX_ITERATIONS)) {
+      throw new Error('Unsupported encryption settings in file');
+    }
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: _unb64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+      material, { name: 'AES-GCM', length: 256 }, false, usages
+    );
+  }
+
+  function _newKdf(iterations) {
+    return { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: _b64(crypto.getRandomValues(new Uint8Array(16))) };
+  }
+
+  // The chunk key of a backup, through the private key sealed in its header.
+  // AES-GCM authentication fails on a wrong password — that is the check
+  async function _openSealedKey({ privateKey, key }, password, kdf) {
+    const kek = await _deriveKey(password, kdf, ['decrypt']);
+    try {
+      const pkcs8 = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: _unb64(privateKey.iv) }, kek, _unb64(privateKey.ct));
+      const priv  = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']);
+      const block = await crypto.subtle.unwrapKey('raw', _unb64(key.key), priv, { name: 'RSA-OAEP' }, { name: 'AES-GCM' }, false, ['decrypt']);
+      const raw   = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: _unb64(key.iv) }, block, _unb64(key.data));
+      return await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['decrypt']);
+    } catch {
+      throw new DecryptError();
+    }
+  }
+
+  function _chunkParams(prefix, n, last) {
+    const iv = new Uint8Array(12);
+    iv.set(prefix);
+    new DataView(iv.buffer).setUint32(8, n);
+    return { name: 'AES-GCM', iv, additionalData: new Uint8Array([last ? 1 : 0]) };
+  }
+
+  function* jsonParts(obj) {
+    let sep = '{';
+    for (const [k, v] of Object.entries(obj)) {
+      if (v === undefined) continue;
+      yield `${sep}${JSON.stringify(k)}:`;
+      sep = ',';
+      if (!Array.isArray(v)) { yield JSON.stringify(v); continue; }
+      if (!v.length) { yield '[]'; continue; }
+      for (let i = 0; i < v.length; i += JSON_BATCH) {
+        yield (i ? ',' : '[') + v.slice(i, i + JSON_BATCH).map(x => JSON.stringify(x) ?? 'null').join(',');
+      }
+      yield ']';
+    }
+    yield sep === '{' ? '{}' : '}';
+  }
+
+  async function encrypt(parts, password, { iterations = ITERATIONS, chunkSize = CHUNK_SIZE } = {}) {
+    const prepared = typeof password === 'object' ? password : null;
+    const kdf    = prepared ? prepared.kdf : _newKdf(iterations);
+    const prefix = crypto.getRandomValues(new Uint8Array(8));
+    const header = { __eh_encrypted: 2, kdf, cipher: { name: 'AES-GCM', chunkSize, iv: _b64(prefix) } };
+    if (prepared) header.sealed = { privateKey: prepared.privateKey, key: prepared.sealedKey };
+    const key    = prepared
+      ? await crypto.subtle.importKey('raw', _unb64(prepared.key), 'AES-GCM', false, ['encrypt'])
+      : await _deriveKey(password, kdf, ['encrypt']);
+    const enc    = new TextEncoder();
+    const out    = [JSON.stringify(header) + '\n'];
+    let buf = new Uint8Array(chunkSize), fill = 0, n = 0;
+
+    const seal = async (bytes, last) => {
+      const ct  = await crypto.subtle.encrypt(_chunkParams(prefix, n++, last), key, bytes);
+      const len = new Uint8Array(4);
+      new DataView(len.buffer).setUint32(0, ct.byteLength);
+      out.push(len, ct);
+    };
+
+    for await (const part of parts) {
+      let bytes = typeof part === 'string' ? enc.encode(part) : part;
+      while (bytes.length) {
+        const take = Math.min(chunkSize - fill, bytes.length);
+        buf.set(bytes.subarray(0, take), fill);
+        fill += take;
+        bytes = bytes.subarray(take);
+        if (fill === chunkSize) { await seal(buf, false); buf = new Uint8Array(chunkSize); fill = 0; }
+      }
+    }
+    // Always one last chunk, possibly empty — it carries the end marker
+    await seal(buf.subarray(0, fill), true);
+    return new Blob(out, { type: 'application/octet-stream' });
+  }
+
+  async function sealed(blob) {
+    return await blob.slice(0, V2_PREFIX.length).text() === V2_PREFIX;
+  }
+
+  async function version(blob) {
+    const head = await blob.slice(0, V2_PREFIX.length).text();
+    if (head === V2_PREFIX) return 2;
+    // v1 files are plain JSON objects — only a parse tells them apart
+    try { return JSON.parse(await blob.text()).__eh_encrypted ? 1 : 0; } catch { return 0; }
+  }
+
+  async function _decryptV1({ salt, iv, ct }, password) {
+    const key = await _deriveKey(password, { name: 'PBKDF2', hash: 'SHA-256', iterations: 100000, salt }, ['decrypt']);
+    try {
+      return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: _unb64(iv) }, key, _unb64(ct));
+    } catch {
+      throw new DecryptError();
+    }
+  }
+
+  async function _decryptV2(blob, password) {
+    const head = await blob.slice(0, 4096).text();
+    const nl   = head.indexOf('\n');
+    if (nl < 0) throw new DecryptError();
+    const { kdf, cipher, sealed } = JSON.parse(head.slice(0, nl));
+    if (!cipher || cipher.name !== 'AES-GCM') throw new Error('Unsupported encryption settings in file');
+    const key    = sealed ? await _openSealedKey(sealed, password, kdf) : await _deriveKey(password, kdf, ['decrypt']);
+    const prefix = _unb64(cipher.iv);
+    const out    = [];
+    // The header is ASCII, so its length in characters is its length in bytes
+    let pos = nl + 1, n = 0;
+    for (;;) {
+      if (pos + 4 > blob.size) throw new DecryptError();
+      const len  = new DataView(await blob.slice(pos, pos + 4).arrayBuffer()).getUint32(0);
+      const ct   = await blob.slice(pos + 4, pos + 4 + len).arrayBuffer();
+      pos += 4 + len;
+      const last = pos >= blob.size;
+      try { out.push(await crypto.subtle.decrypt(_chunkParams(prefix, n++, last), key, ct)); }
+      catch { throw new DecryptError(); }
+      if (last) return new Blob(out, { type: 'application/json' });
+    }
+  }
+
+  async function decrypt(blob, password) {
+    if (await blob.slice(0, V2_PREFIX.length).text() === V2_PREFIX) return _decryptV2(blob, password);
+    return new Blob([await _decryptV1(JSON.parse(await blob.text()), password)], { type: 'application/json' });
+  }
+
+  async function readJson(blob, askPassword) {
+    if (await blob.slice(0, V2_PREFIX.length).text() === V2_PREFIX) {
+      const pw = await askPassword();
+      if (!pw) return null;
+      return JSON.parse(await (await _decryptV2(blob, pw)).text());
+    }
+    const raw = JSON.parse(await blob.text());
+    if (!raw || !raw.__eh_encrypted) return raw;
+    const pw = await askPassword();
+    if (!pw) return null;
+    return JSON.parse(new TextDecoder().decode(await _decryptV1(raw, pw)));
+  }
+
+  return { EXTENSION, DecryptError, jsonParts, encrypt, sealed, version, decrypt, readJson };
+})();
+
+if (typeof window !== 'undefined') window.EhCrypt = EhCrypt;
@@ -0,0 +1,123 @@
+/**
+ * eh-export.js — history export formats besides the JSON bundle
+ *
+ * Loaded by history.js (Export dialog):
+ *   <script src="eh-export.js"></script>
+ *
+ * Writers yield the file in pieces, so they feed EhCrypt.encrypt() or a Blob
+ * without one giant string. All but json write data.entries only.
+ *
+ *   json    the export bundle as is (see PROFILE_SECTIONS in background.js)
+ *   csv     time, url, title, domain, transition, source — UTF-8 with BOM for spreadsheets
+ *   ndjson  one entry object per line
+ *   html    static report grouped by day, with a search box, like the auto-saved session page
+ *
+ *   EhExport.FORMATS                 → { id: { label, ext, type } }
+ *   EhExport.parts(format, data)     → Iterable<string>
+ */
+
+const EhExport = (() => {
+  const FORMATS = {
+    json:   { label: 'JSON (full, re-importable)',     ext: '.json',   type: 'application/json' },
+    csv:    { label: 'CSV (spreadsheets)',             ext: '.csv',    type: 'text/csv' },
+    ndjson: { label: 'NDJSON (one visit per line)',    ext: '.ndjson', type: 'application/x-ndjson' },
+    html:   { label: 'HTML report (open in a browser)', ext: '.html',  type: 'text/html' },
+  };
+  const BATCH = 1000;
+
+  const esc = s => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const domainOf = url => { try { return new URL(url).hostname.replace(/^www\./, ''); } catch { return ''; } };
+
+  // Quoted when needed; a leading = + - @ would run as a formula in a spreadsheet
+  function _csvField(v) {
+    let s = String(v ?? '');
+    if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function* _batches(entries, fn) {
+    for (let i = 0; i < entries.length; i += BATCH) yield entries.slice(i, i + BATCH).map(fn).join('');
+  }
+
+  function* csv({ entries = [] }) {
+    yield '\ufefftime,url,title,domain,transition,source\r\n';
+    yield* _batches(entries, e => [
+      e.visitTime ? new Date(e.visitTime).toISOString() : '', e.url, e.title, e.domain || domainOf(e.url), e.transition, e.source,
+    ].map(_csvField).join(',') + '\r\n');
+  }
+
+  function* ndjson({ entries = [] }) {
+    yield* _batches(entries, e => JSON.stringify(e) + '\n');
+  }
+
+  const CSS = ':root{--accent:#3b9eff}'
+    + '*{box-sizing:border-box;margin:0;padding:0}'
+    + 'body{font-family:system-ui,sans-serif;background:#0d0d10;color:#f0eee8;padding:32px}'
+    + 'h1{font-size:1.3rem;font-weight:700;color:var(--accent);margin-bottom:4px}'
+    + '.meta{font-size:.78rem;color:#a09eb0;margin-bottom:16px}'
+    + '#q{width:100%;max-width:480px;padding:8px 12px;margin-bottom:16px;background:#18181f;border:1px solid rgba(255,255,255,.12);border-radius:8px;color:#f0eee8;font-size:.85rem;outline:none}'
+    + 'h2{font-size:.78rem;font-weight:700;color:var(--accent);padding:18px 0 6px;border-bottom:1px solid rgba(59,158,255,.2);margin-bottom:4px}'
+    + 'a{display:flex;align-items:center;gap:10px;padding:7px 12px;border-radius:8px;text-decoration:none;color:#f0eee8;margin-bottom:2px}'
+    + 'a:hover{background:#1f1f28}'
+    + '.time{font-size:.72rem;color:#a09eb0;font-family:monospace;flex-shrink:0}'
+    + '.fav{width:16px;height:16px;border-radius:3px;flex-shrink:0}'
+    + '.title{flex:1;font-size:.86rem;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}'
+    + '.domain{font-size:.7rem;color:#a09eb0;flex-shrink:0;font-family:monospace}'
+    + '.hide{display:none}'
+    + 'footer{padding:24px 0 0;font-size:.7rem;color:#5a5870}';
+
+  // Hides rows not matching the search box, then days left empty
+  const SCRIPT = '(function(){'
+    + 'var q=document.getElementById("q");'
+    + 'q.addEventListener("input",function(){'
+    +   'var t=q.value.toLowerCase();'
+    +   'document.querySelectorAll("section").forEach(function(s){'
+    +     'var any=false;'
+    +     's.querySelectorAll("a").forEach(function(a){var m=!t||a.textContent.toLowerCase().indexOf(t)>=0||a.href.toLowerCase().indexOf(t)>=0;a.classList.toggle("hide",!m);any=any||m;});'
+    +     's.classList.toggle("hide",!any);'
+    +   '});'
+    + '});'
+    + '})();';
+
+  function* html({ entries = [], exportedAt }) {
+    const sorted = [...entries].sort((a, b) => b.visitTime - a.visitTime);
+    yield '<!DOCTYPE html>\n<html lang="en"><head><meta charset="utf-8"/>'
+      + '<title>Extended History – ' + sorted.length + ' visits</title>'
+      + '<style>' + CSS + '</style></head>\n<body>\n'
+      + '<h1>🕒 Extended History</h1>'
+      + '<div class="meta">' + sorted.length + ' visits · exported ' + esc(new Date(exportedAt || Date.now()).toLocaleString()) + '</div>'
+      + '<input id="q" type="search" placeholder="Filter…"/>\n';
+    let day = null;
+    yield* _batches(sorted, e => {
+      const d   = new Date(e.visitTime);
+      const key = d.toLocaleDateString('en-CA');
+      const dom = e.domain || domainOf(e.url);
+      let out = '';
+      if (key !== day) {
+        out += (day ? '</section>\n' : '') + '<section><h2>'
+          + esc(d.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })) + '</h2>';
+        day = key;
+      }
+      return out + '<a href="' + esc(e.url) + '">'
+        + '<span class="time">' + esc(d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })) + '</span>'
+        + '<img class="fav" src="https://www.google.com/s2/favicons?sz=16&domain=' + encodeURIComponent(dom) + '" loading="lazy" onerror="this.style.display=\'none\'"/>'
+        + '<span class="title">' + esc(e.title || e.url) + '</span>'
+        + '<span class="domain">' + esc(dom) + '</span></a>';
+    });
+    yield (day ? '</section>\n' : '')
+      + '<footer>Exported by Extended History</footer>\n'
+      + '<script>' + SCRIPT + '<\/script>\n'
+      + '</body></html>';
+  }
+
+  const WRITERS = { json: data => EhCrypt.jsonParts(data), csv, ndjson, html };
+
+  function parts(format, data) {
+    if (!WRITERS[format]) throw new Error(`Unknown export format: ${format}`);
+    return WRITERS[format](data);
+  }
+
+  return { FORMATS, parts };
+})();
+
+if (typeof window !== 'undefined') window.EhExport = EhExport;
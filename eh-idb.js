@@ -12,11 +12,33 @@
  *   EhIdb.setAll(entries)    → Promise<void>
  *   EhIdb.clear()            → Promise<void>
  *   EhIdb.count()            → Promise<number>
+ *
+ * Incremental writes (touch only the rows involved, never the whole store):
+ *   EhIdb.put(entry)               → Promise<void>
+ *   EhIdb.putMany(entries)         → Promise<void>
+ *   EhIdb.deleteByIds(ids)         → Promise<number>   (rows actually removed)
+ *   EhIdb.updateTitle(id, title)   → Promise<boolean>  (false if id not found)
+ *
+ * Index queries (cursor-based, newest first, stop as soon as the page is full):
+ *   EhIdb.query({ start, end, domains, filter, offset, limit })
+ *                                  → Promise<{ entries, hasMore, matched }>
+ *        matched: rows accepted so far — the exact match count once hasMore is
+ *        false (with `filter` or `domains`; unfiltered walks skip unread rows)
+ *   EhIdb.deleteWhere({ start, end, filter })  → Promise<entry[]>  (removed rows, oldest first)
+ *   EhIdb.scan({ start, end }, fn) → Promise<void>  (read-only, oldest first — fn(entry) per row)
+ *   EhIdb.countRange(start, end)   → Promise<number>
+ *   EhIdb.countBy(indexName)       → Promise<Map<key, number>>  (key cursor; merged rows count `visits` times)
+ *   EhIdb.merged()                 → Promise<entry[]>  (rows merged from duplicates, those with `visits`)
+ *   EhIdb.domains()                → Promise<string[]>  (distinct domains)
+ *   EhIdb.oldest()                 → Promise<entry|null>
+ *   EhIdb.getByUrl(url)            → Promise<entry|null>
+ *   EhIdb.getByIds(ids)            → Promise<entry[]>  (input order, missing ids skipped)
+ *   EhIdb.page(afterId, limit)     → Promise<entry[]>  (id order, for resumable chunked walks)
  */
 
 const EhIdb = (() => {
   const DB_NAME    = 'eh_history_idb';
-  const DB_VERSION = 1;
+  const DB_VERSION = 3;
   const STORE      = 'entries';
 
   let _db = null;
@@ -27,12 +49,23 @@ const EhIdb = (() => {
       const req = indexedDB.open(DB_NAME, DB_VERSION);
       req.onupgradeneeded = e => {
         const db = e.target.result;
+        let store;
         if (!db.objectStoreNames.contains(STORE)) {
-          const store = db.createObjectStore(STORE, { keyPath: 'id' });
+          store = db.createObjectStore(STORE, { keyPath: 'id' });
           // Index by visitTime for fast date-range queries
           store.createIndex('visitTime', 'visitTime', { unique: false });
           store.createIndex('url', 'url', { unique: false });
           store.createIndex('domain', 'domain', { unique: false });
+        } else {
+          store = e.target.transaction.objectStore(STORE);
+        }
+        // v2: per-domain rows in time order, so domain searches can page newest-first
+        if (!store.indexNames.contains('domain_visitTime')) {
+          store.createIndex('domain_visitTime', ['domain', 'visitTime'], { unique: false });
+        }
+        // v3: only merged rows carry `visits`, so this index holds just those
+        if (!store.indexNames.contains('visits')) {
+          store.createIndex('visits', 'visits', { unique: false });
         }
       };
       req.onsuccess  = e => { _db = e.target.result; resolve(_db); };
@@ -73,6 +106,239 @@ const EhIdb = (() => {
     });
   }
 
+  // Runs fn(store) inside one readwrite transaction and resolves once the
+  // transaction commits, so callers never observe a half-applied batch.
+  async function _write(fn) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, 'readwrite');
+      let result;
+      try { result = fn(tx.objectStore(STORE)); } catch (err) { tx.abort(); reject(err); return; }
+      tx.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('IDB transaction aborted'));
+    });
+  }
+
+  async function put(entry) {
+    if (!entry) return;
+    return _write(store => { store.put(entry); });
+  }
+
+  async function putMany(entries) {
+    if (!entries || !entries.length) return;
+    return _write(store => { for (const e of entries) store.put(e); });
+  }
+
+  async function deleteByIds(ids) {
+    if (!ids || !ids.length) return 0;
+    let removed = 0;
+    return _write(store => {
+      for (const id of ids) {
+        // count first so the caller gets an accurate number back
+        const req = store.count(id);
+        req.onsuccess = () => {
+          if (!req.result) return;
+          removed++;
+          store.delete(id);
+        };
+      }
+      return () => removed;
+    });
+  }
+
+  async function updateTitle(id, title) {
+    let found = false;
+    return _write(store => {
+      const req = store.get(id);
+      req.onsuccess = () => {
+        const entry = req.result;
+        if (!entry) return;
+        found = true;
+        entry.title = title;
+        store.put(entry);
+      };
+      return () => found;
+    });
+  }
+
+  function _timeRange(start, end) {
+    return IDBKeyRange.bound(start ?? 0, end ?? Infinity);
+  }
+
+  // Walks `indexName` newest-first and collects up to `max` rows that pass
+  // `filter`. Without a filter the first `skip` rows are jumped over with
+  // cursor.advance() instead of being deserialized.
+  function _collect(db, indexName, range, filter, max, skip = 0) {
+    return new Promise((resolve, reject) => {
+      const out = [];
+      if (max <= 0) { resolve(out); return; }
+      const tx  = db.transaction(STORE, 'readonly');
+      const req = tx.objectStore(STORE).index(indexName).openCursor(range, 'prev');
+      let advanced = !skip || !!filter;
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) { resolve(out); return; }
+        if (!advanced) { advanced = true; cur.advance(skip); return; }
+        if (!filter || filter(cur.value)) out.push(cur.value);
+        if (out.length >= max) { resolve(out); return; }
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function query({ start, end, domains = null, filter = null, offset = 0, limit = Infinity } = {}) {
+    const db   = await _open();
+    const want = offset + limit;
+    if (domains) {
+      // Each domain is read newest-first from the compound index and stops once
+      // it alone could fill the page; the per-domain lists are then merged.
+      const lists = await Promise.all(domains.map(d => _collect(
+        db, 'domain_visitTime', IDBKeyRange.bound([d, start ?? 0], [d, end ?? Infinity]), filter, want + 1
+      )));
+      const merged = lists.flat().sort((a, b) => b.visitTime - a.visitTime);
+      return { entries: merged.slice(offset, want), hasMore: merged.length > want, matched: merged.length };
+    }
+    // Unfiltered pages skip straight to `offset`; filtered ones must test each row
+    const skip = filter ? 0 : offset;
+    const rows = await _collect(db, 'visitTime', _timeRange(start, end), filter, want - skip + 1, skip);
+    const page = filter ? rows.slice(offset, want) : rows.slice(0, limit);
+    return { entries: page, hasMore: rows.length > want - skip, matched: skip + rows.length };
+  }
+
+  async function deleteWhere({ start, end, filter = null } = {}) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const removed = [];
+      const tx  = db.transaction(STORE, 'readwrite');
+      const req = tx.objectStore(STORE).index('visitTime').openCursor(_timeRange(start, end));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) return;
+        if (!filter || filter(cur.value)) { removed.push(cur.value); cur.delete(); }
+        cur.continue();
+      };
+      tx.oncomplete = () => resolve(removed);
+      tx.onerror    = () => reject(tx.error);
+    });
+  }
+
+  // Same walk as deleteWhere without the deletes — lets callers preview it
+  async function scan({ start, end } = {}, fn) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('visitTime').openCursor(_timeRange(start, end));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) { resolve(); return; }
+        fn(cur.value);
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function countRange(start, end) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('visitTime').count(_timeRange(start, end));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  async function countBy(indexName) {
+    const db = await _open();
+    const counts = await new Promise((resolve, reject) => {
+      const counts = new Map();
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index(indexName).openKeyCursor();
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) { resolve(counts); return; }
+        counts.set(cur.key, (counts.get(cur.key) || 0) + 1);
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+    // The key cursor saw each merged row once — add the visits folded into it
+    for (const e of await merged()) {
+      const key = e[indexName];
+      if (counts.has(key)) counts.set(key, counts.get(key) + e.visits - 1);
+    }
+    return counts;
+  }
+
+  async function merged() {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('visits').getAll();
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  async function domains() {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const out = [];
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('domain').openKeyCursor(null, 'nextunique');
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) { resolve(out); return; }
+        out.push(cur.key);
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function oldest() {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('visitTime').openCursor(null, 'next');
+      req.onsuccess = () => resolve(req.result ? req.result.value : null);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  async function getByUrl(url) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, 'readonly').objectStore(STORE).index('url').get(url);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  async function getByIds(ids) {
+    if (!ids || !ids.length) return [];
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const out   = new Array(ids.length);
+      const store = db.transaction(STORE, 'readonly').objectStore(STORE);
+      let pending = ids.length;
+      ids.forEach((id, i) => {
+        const req = store.get(id);
+        req.onsuccess = () => {
+          out[i] = req.result;
+          if (--pending === 0) resolve(out.filter(Boolean));
+        };
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  async function page(afterId, limit) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      const range = afterId == null ? null : IDBKeyRange.lowerBound(afterId, true);
+      const req   = db.transaction(STORE, 'readonly').objectStore(STORE).getAll(range, limit);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
   async function clear() {
     const db = await _open();
     return new Promise((resolve, reject) => {
@@ -93,7 +359,10 @@ const EhIdb = (() => {
     });
   }
 
-  return { getAll, setAll, clear, count };
+  return {
+    getAll, setAll, clear, count, put, putMany, deleteByIds, updateTitle,
+    query, deleteWhere, scan, countRange, countBy, merged, domains, oldest, getByUrl, getByIds, page,
+  };
 })();
 
 // Available as EhIdb in service worker scope (importScripts) or window.EhIdb in pages
@@ -0,0 +1,184 @@
+/**
+ * eh-import.js — reads history files from other browsers into import entries
+ *
+ * Loaded by history.js (Import, reading mode), after eh-crypt.js and eh-sqlite.js:
+ *   <script src="eh-import.js"></script>
+ *
+ * Every reader returns what an export of this extension holds, so the import
+ * dialog treats them alike: a bundle object, or { source, entries, wal? } where
+ * each entry is { url, title, visitTime, transition? } and `wal` marks a
+ * database in WAL mode, whose newest visits may sit in the unread -wal file.
+ *
+ *   Google Takeout   BrowserHistory.json  { "Browser History": [{ url, title, time_usec, page_transition }] }
+ *   Chrome / Edge    History (SQLite)     urls + visits, µs since 1601
+ *   Firefox          places.sqlite        moz_places + moz_historyvisits, µs since 1970
+ *   Safari           History.db (SQLite)  history_items + history_visits, s since 2001
+ *   CSV              any columns, mapped by the caller
+ *   NDJSON           one entry per line, as this extension exports it
+ *
+ * Encrypted exports of any format (name.csv.ehenc …) are decrypted first and
+ * read by their inner name.
+ *
+ *   EhImport.read(file, { askPassword, askCsvColumns }) → Promise<object|array|null>  null = cancelled
+ *     askPassword()                    → string|null        for encrypted exports (see EhCrypt)
+ *     askCsvColumns(header, rows)      → Promise<{ url, title, time }|null>  column indexes, title/time may be -1
+ *   EhImport.parseCsv(text)            → string[][]
+ *   EhImport.guessCsvColumns(header)   → { url, title, time }  -1 where nothing fits
+ *   EhImport.parseTime(value)          → ms | null  µs / ms / s since 1970 or a date string
+ */
+
+const EhImport = (() => {
+  const CHROME_EPOCH_US = 11644473600000000;   // 1601-01-01 → 1970-01-01
+  const SAFARI_EPOCH_S  = 978307200;           // 1970-01-01 → 2001-01-01
+
+  // Chrome's core transition types (the low byte) as chrome.history names them
+  const CHROME_TRANSITIONS = ['link', 'typed', 'auto_bookmark', 'auto_subframe', 'manual_subframe',
+    'generated', 'auto_toplevel', 'form_submit', 'reload', 'keyword', 'keyword_generated'];
+  // Firefox visit_type → the nearest Chrome name; embeds, downloads and frames aren't page visits
+  const FIREFOX_TRANSITIONS = { 1: 'link', 2: 'typed', 3: 'auto_bookmark', 5: 'link', 6: 'link', 9: 'reload' };
+  const FIREFOX_SKIPPED     = new Set([4, 7, 8]);
+
+  function _byId(rows, key = 'id') {
+    const map = new Map();
+    for (const r of rows) map.set(r[key], r);
+    return map;
+  }
+
+  function fromTakeout(json) {
+    return json['Browser History'].filter(v => v.url).map(v => ({
+      url:        v.url,
+      title:      v.title || '',
+      visitTime:  Math.round(v.time_usec / 1000),
+      transition: v.page_transition ? String(v.page_transition).toLowerCase() : undefined,
+    }));
+  }
+
+  function fromChrome(db) {
+    const urls = _byId(db.rows('urls'));
+    const out  = [];
+    for (const v of db.rows('visits')) {
+      const u    = urls.get(v.url);
+      const core = CHROME_TRANSITIONS[v.transition & 0xff];
+      if (!u || !u.url || core === 'auto_subframe' || core === 'manual_subframe') continue;
+      out.push({ url: u.url, title: u.title || '', visitTime: Math.round((v.visit_time - CHROME_EPOCH_US) / 1000), transition: core });
+    }
+    return out;
+  }
+
+  function fromFirefox(db) {
+    const places = _byId(db.rows('moz_places'));
+    const out    = [];
+    for (const v of db.rows('moz_historyvisits')) {
+      const p = places.get(v.place_id);
+      if (!p || !p.url || FIREFOX_SKIPPED.has(v.visit_type) || !(v.visit_date > 0)) continue;
+      out.push({ url: p.url, title: p.title || '', visitTime: Math.round(v.visit_date / 1000), transition: FIREFOX_TRANSITIONS[v.visit_type] });
+    }
+    return out;
+  }
+
+  function fromSafari(db) {
+    const items = _byId(db.rows('history_items'));
+    const out   = [];
+    for (const v of db.rows('history_visits')) {
+      const item = items.get(v.history_item);
+      if (!item || !item.url) continue;
+      out.push({ url: item.url, title: v.title || '', visitTime: Math.round((v.visit_time + SAFARI_EPOCH_S) * 1000) });
+    }
+    return out;
+  }
+
+  // RFC 4180: quoted fields may hold commas, newlines and "" for a quote
+  function parseCsv(text) {
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"') quoted = true;
+      else if (c === ',') { row.push(field); field = ''; }
+      else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); rows.push(row); row = []; field = '';
+      } else field += c;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(f => f.trim()));
+  }
+
+  function guessCsvColumns(header) {
+    const find = re => header.findIndex(h => re.test(h.trim()));
+    return { url: find(/^(url|link|address|location)/i), title: find(/^(title|name|page)/i), time: find(/(time|date|visited|when)/i) };
+  }
+
+  // Epoch numbers by size: µs, ms or s since 1970; anything else Date.parse
+  function parseTime(value) {
+    const s = String(value ?? '').trim();
+    if (!s) return null;
+    if (/^-?\d+(\.\d+)?$/.test(s)) {
+      const n = Number(s);
+      return Math.round(n > 1e14 ? n / 1000 : n > 1e11 ? n : n * 1000);
+    }
+    const t = Date.parse(s);
+    return isNaN(t) ? null : t;
+  }
+
+  function fromCsv(rows, { url, title, time }) {
+    const out = [];
+    for (const r of rows) {
+      if (!/^[a-z][a-z0-9+.-]*:/i.test(r[url] || '')) continue;
+      const visitTime = time >= 0 ? parseTime(r[time]) : null;
+      // Our own CSV export guards formula-like titles with a leading '
+      const t = title >= 0 ? (r[title] || '').replace(/^'(?=[=+\-@\t\r])/, '') : '';
+      out.push({ url: r[url].trim(), title: t, ...(visitTime ? { visitTime } : {}) });
+    }
+    return out;
+  }
+
+  function fromSqlite(buffer) {
+    const db     = EhSqlite.open(buffer);
+    const tables = new Set(db.tables());
+    const wal    = db.wal ? { wal: true } : {};
+    if (tables.has('urls') && tables.has('visits'))                 return { source: 'chrome',  entries: fromChrome(db), ...wal };
+    if (tables.has('moz_places') && tables.has('moz_historyvisits')) return { source: 'firefox', entries: fromFirefox(db), ...wal };
+    if (tables.has('history_items') && tables.has('history_visits')) return { source: 'safari',  entries: fromSafari(db), ...wal };
+    throw new Error('Not a browser history database');
+  }
+
+  function fromNdjson(text) {
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)).filter(e => e && e.url);
+  }
+
+  async function read(file, { askPassword, askCsvColumns }) {
+    let name = file.name;
+    if (await EhCrypt.sealed(file)) {
+      const pw = await askPassword();
+      if (!pw) return null;
+      file = await EhCrypt.decrypt(file, pw);
+      if (name.toLowerCase().endsWith(EhCrypt.EXTENSION)) name = name.slice(0, -EhCrypt.EXTENSION.length);
+    }
+
+    const head = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+    if (EhSqlite.isSqlite(head)) return fromSqlite(await file.arrayBuffer());
+
+    if (/\.html?$/i.test(name)) throw new Error('HTML reports are for reading only — use JSON, CSV or NDJSON to import');
+    if (/\.(ndjson|jsonl)$/i.test(name)) return { source: 'ndjson', entries: fromNdjson(await file.text()) };
+
+    if (/\.csv$/i.test(name)) {
+      const [header, ...rows] = parseCsv((await file.text()).replace(/^\ufeff/, ''));
+      if (!header) throw new Error('Empty CSV file');
+      const columns = await askCsvColumns(header, rows);
+      return columns ? { source: 'csv', entries: fromCsv(rows, columns) } : null;
+    }
+
+    const data = await EhCrypt.readJson(file, askPassword);
+    if (data && Array.isArray(data['Browser History'])) return { source: 'takeout', entries: fromTakeout(data) };
+    return data;
+  }
+
+  return { read, parseCsv, guessCsvColumns, parseTime };
+})();
+
+if (typeof window !== 'undefined') window.EhImport = EhImport;
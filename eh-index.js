@@ -0,0 +1,216 @@
+/**
+ * eh-index.js — persistent full-text token index for Extended History
+ *
+ * Loaded by background.js after eh-query.js, whose tokenizer it shares:
+ *   importScripts('eh-idb.js', 'eh-query.js', 'eh-index.js');
+ *
+ * Works with either history backend: the index lives in its own IndexedDB
+ * database with one row per (token, entry id), so adding or deleting history
+ * entries only touches their own rows — nothing is rewritten wholesale.
+ *
+ * Tokens are title words, URL path segments and domain labels, lowercased.
+ * A query word matches when it is a prefix of one of the entry's tokens.
+ *
+ *   EhIndex.isIndexable(word)            → boolean  (word can be looked up)
+ *   EhIndex.isBuilt()                    → Promise<boolean>
+ *   EhIndex.rebuild(getEntries)          → Promise<number>
+ *   EhIndex.add(entries)                 → Promise<void>
+ *   EhIndex.remove(ids)                  → Promise<void>
+ *   EhIndex.clear()                      → Promise<void>
+ *   EhIndex.invalidate()                 → Promise<void>  (forces a rebuild)
+ *   EhIndex.lookup(words, { start, end })
+ *        → Promise<Map<id, { t, u }>|null>  null when no word is indexable
+ *   EhIndex.rank(hits, now)              → [{ id, t, u, count, score }]
+ */
+
+const EhIndex = (() => {
+  const DB_NAME       = 'eh_search_index';
+  const DB_VERSION    = 1;
+  const POSTINGS      = 'postings';
+  const META          = 'meta';
+  const INDEX_VERSION = 1;   // bump when tokenizing changes — forces a rebuild
+  const MIN_PREFIX    = 2;   // shorter words are only checked in memory
+  const MAX_TOKENS    = 48;  // per entry; keeps huge titles/paths from bloating the index
+  const REBUILD_CHUNK = 2000;
+
+  // Labels on almost every URL — indexing them would make the hottest posting
+  // ranges useless. They are still honoured when verifying matches in memory.
+  const STOP = new Set(['www', 'com', 'org', 'net', 'http', 'https', 'html', 'htm', 'php', 'index', 'amp']);
+
+  let _db = null;
+
+  function _open() {
+    if (_db) return Promise.resolve(_db);
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = e => {
+        const db = e.target.result;
+        if (!db.objectStoreNames.contains(POSTINGS)) {
+          const store = db.createObjectStore(POSTINGS, { keyPath: ['token', 'id'] });
+          // Lets an entry's postings be dropped without knowing its tokens
+          store.createIndex('id', 'id', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'key' });
+      };
+      req.onsuccess = e => { _db = e.target.result; resolve(_db); };
+      req.onerror   = e => reject(e.target.error);
+      req.onblocked = () => reject(new Error('IDB blocked — close other tabs'));
+    });
+  }
+
+  function isIndexable(word) {
+    return word.length >= MIN_PREFIX && !STOP.has(word);
+  }
+
+  function _tokenize(entry) {
+    const out = new Set();
+    for (const t of EhQuery.fieldTokens(entry, 'all')) {
+      if (out.size >= MAX_TOKENS) break;
+      if (isIndexable(t)) out.add(t);
+    }
+    return [...out];
+  }
+
+  function _tx(stores, mode, fn) {
+    return _open().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(stores, mode);
+      let result;
+      try { result = fn(tx); } catch (err) { tx.abort(); reject(err); return; }
+      tx.oncomplete = () => resolve(typeof result === 'function' ? result() : result);
+      tx.onerror    = () => reject(tx.error);
+      tx.onabort    = () => reject(tx.error || new Error('IDB transaction aborted'));
+    }));
+  }
+
+  async function add(entries) {
+    if (!entries || !entries.length) return;
+    return _tx(POSTINGS, 'readwrite', tx => {
+      const store = tx.objectStore(POSTINGS);
+      for (const e of entries) {
+        if (!e || !e.id) continue;
+        for (const token of _tokenize(e)) store.put({ token, id: e.id, t: e.visitTime, u: e.url });
+      }
+    });
+  }
+
+  async function remove(ids) {
+    if (!ids || !ids.length) return;
+    return _tx(POSTINGS, 'readwrite', tx => {
+      const idx = tx.objectStore(POSTINGS).index('id');
+      for (const id of ids) {
+        const req = idx.openCursor(IDBKeyRange.only(id));
+        req.onsuccess = () => {
+          const cur = req.result;
+          if (!cur) return;
+          cur.delete();
+          cur.continue();
+        };
+      }
+    });
+  }
+
+  async function clear() {
+    return _tx([POSTINGS, META], 'readwrite', tx => {
+      tx.objectStore(POSTINGS).clear();
+      tx.objectStore(META).put({ key: 'version', value: INDEX_VERSION });
+    });
+  }
+
+  async function invalidate() {
+    return _tx(META, 'readwrite', tx => { tx.objectStore(META).delete('version'); });
+  }
+
+  async function isBuilt() {
+    try {
+      const meta = await _tx(META, 'readonly', tx => {
+        const req = tx.objectStore(META).get('version');
+        return () => req.result;
+      });
+      return !!meta && meta.value === INDEX_VERSION;
+    } catch {
+      return false;
+    }
+  }
+
+  // Drops everything and re-indexes the whole history. The version marker is
+  // only written at the end, so a service worker killed mid-way rebuilds again.
+  // Entries are read after the wipe: writes racing the rebuild are either in
+  // that read or index themselves afterwards.
+  async function rebuild(getEntries) {
+    await invalidate();
+    await _tx(POSTINGS, 'readwrite', tx => { tx.objectStore(POSTINGS).clear(); });
+    const entries = await getEntries();
+    for (let i = 0; i < entries.length; i += REBUILD_CHUNK) {
+      await add(entries.slice(i, i + REBUILD_CHUNK));
+    }
+    await _tx(META, 'readwrite', tx => { tx.objectStore(META).put({ key: 'version', value: INDEX_VERSION }); });
+    return entries.length;
+  }
+
+  function _prefixRange(word) {
+    return IDBKeyRange.bound([word], [word + '\uffff']);
+  }
+
+  function _countPrefix(db, word) {
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(POSTINGS, 'readonly').objectStore(POSTINGS).count(_prefixRange(word));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  // Entries with a token starting with `word`, narrowed to `within` when given
+  function _scanPrefix(db, word, start, end, within) {
+    return new Promise((resolve, reject) => {
+      const hits = new Map();
+      const req = db.transaction(POSTINGS, 'readonly').objectStore(POSTINGS).openCursor(_prefixRange(word));
+      req.onsuccess = () => {
+        const cur = req.result;
+        if (!cur) { resolve(hits); return; }
+        const { id, t, u } = cur.value;
+        if ((!within || within.has(id)) && (!start || t >= start) && (!end || t <= end)) hits.set(id, { t, u });
+        cur.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function lookup(words, { start, end } = {}) {
+    const usable = words.filter(isIndexable);
+    if (!usable.length) return null;
+    const db = await _open();
+    // Rarest word first — its hit set bounds the work for every other word
+    const counts = await Promise.all(usable.map(w => _countPrefix(db, w)));
+    const order  = usable.map((w, i) => [w, counts[i]]).sort((a, b) => a[1] - b[1]).map(([w]) => w);
+    let hits = null;
+    for (const w of order) {
+      hits = await _scanPrefix(db, w, start, end, hits);
+      if (!hits.size) break;
+    }
+    return hits;
+  }
+
+  // Collapses hits to the newest visit per URL and scores them: more visits
+  // and more recent visits both rank higher (recency halves roughly weekly).
+  function rank(hits, now = Date.now()) {
+    const byUrl = new Map();
+    for (const [id, { t, u }] of hits) {
+      const cur = byUrl.get(u);
+      if (!cur) byUrl.set(u, { id, t, u, count: 1 });
+      else {
+        cur.count++;
+        if (t > cur.t) { cur.t = t; cur.id = id; }
+      }
+    }
+    const out = [...byUrl.values()];
+    for (const h of out) {
+      const ageDays = Math.max(0, now - h.t) / 86400000;
+      h.score = (1 + Math.log2(h.count)) / (1 + ageDays / 7);
+    }
+    return out.sort((a, b) => b.score - a.score);
+  }
+
+  return { isIndexable, isBuilt, rebuild, add, remove, clear, invalidate, lookup, rank };
+})();
+
+if (typeof window !== 'undefined') window.EhIndex = EhIndex;
@@ -0,0 +1,246 @@
+/**
+ * eh-query.js — search query language for Extended History
+ *
+ * Shared by background.js (SEARCH / DELETE_MATCHING), the reading-mode filter
+ * in history.js and, through SEARCH, the popup:
+ *   importScripts('eh-idb.js', 'eh-query.js', 'eh-index.js');
+ *   <script src="eh-query.js"></script>
+ *
+ * Grammar — terms are ANDed, OR binds tighter than the implicit AND:
+ *   word              plain word, matched according to the search mode
+ *   "some phrase"     substring of title or URL
+ *   site:github.com   domain or any subdomain of it
+ *   title:word        title word prefix  (title:"release notes" for a phrase)
+ *   url:/docs/        substring of the URL
+ *   source:import     how the entry got stored (live, flush, backfill, import)
+ *   before:2025-01-01 before that day   (also YYYY-MM and YYYY)
+ *   after:2024-03     after that period (after the whole of March 2024)
+ *   /regex/flags      tested against title and URL, case-insensitive by default
+ *   -term             excludes anything matching term
+ *   a OR b            either term
+ *
+ * Plain words keep the behaviour of the mode dropdown: in "all" and "title"
+ * every word must prefix a word of the title (and, for "all", a URL path
+ * segment or domain label); in "url" and "domain" they are substrings.
+ *
+ *   EhQuery.words(text)                   → string[]   (unique, lowercased)
+ *   EhQuery.fieldTokens(entry, mode)      → string[]
+ *   EhQuery.matchesWords(entry, words, mode) → boolean
+ *   EhQuery.compile(query, mode)          → Compiled | null  (null when empty)
+ *
+ * Compiled: { test(entry), start, end, words, exact, domain }
+ *   start/end  visitTime bounds implied by before:/after: (null if none)
+ *   words      plain words every match must contain — usable with EhIndex
+ *              (only filled in "all" / "title" mode)
+ *   exact      true when `words` alone decide the match in "all" mode
+ *   domain     (domain) → boolean that every match's domain passes, or null —
+ *              from a top-level site: term (or OR of them), or plain words
+ *              in "domain" mode
+ *
+ * compile() throws on an invalid date or regular expression.
+ */
+
+const EhQuery = (() => {
+  const FIELDS = new Set(['site', 'title', 'url', 'source', 'before', 'after']);
+
+  function _split(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  function words(text) {
+    return [...new Set(_split(text))];
+  }
+
+  // "https://www.github.com/foo" → "github.com" (entry domains have no www.)
+  function _site(value) {
+    return value.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+  }
+
+  // Every token of the field(s) searched in `mode`
+  function fieldTokens(entry, mode = 'all') {
+    if (mode === 'title') return _split(entry.title);
+    const out = _split(entry.title);
+    try {
+      const u = new URL(entry.url);
+      out.push(..._split(u.hostname), ..._split(decodeURIComponent(u.pathname)));
+    } catch {
+      out.push(..._split(entry.url));
+    }
+    return out;
+  }
+
+  function matchesWords(entry, list, mode = 'all') {
+    if (mode === 'url' || mode === 'domain') {
+      const hay = ((mode === 'url' ? entry.url : entry.domain) || '').toLowerCase();
+      return list.every(w => hay.includes(w));
+    }
+    const tokens = fieldTokens(entry, mode);
+    return list.every(w => tokens.some(t => t.startsWith(w)));
+  }
+
+  // ── Tokenizer ──────────────────────────────────────────────────────────────
+  // Produces { type:'or' } and atoms { type, value, neg } where type is
+  // 'word' | 'phrase' | 'regex' | one of FIELDS.
+  function _lex(query) {
+    const out = [];
+    const s = String(query || '');
+    let i = 0;
+
+    const readQuoted = () => {           // s[i] === '"'
+      const close = s.indexOf('"', i + 1);
+      const end   = close < 0 ? s.length : close;
+      const text  = s.slice(i + 1, end);
+      i = close < 0 ? s.length : close + 1;
+      return text;
+    };
+    const readBare = () => {
+      const start = i;
+      while (i < s.length && !/\s/.test(s[i])) i++;
+      return s.slice(start, i);
+    };
+
+    while (i < s.length) {
+      if (/\s/.test(s[i])) { i++; continue; }
+
+      let neg = false;
+      if (s[i] === '-' && i + 1 < s.length && !/\s/.test(s[i + 1])) { neg = true; i++; }
+
+      if (s[i] === '"') {
+        out.push({ type: 'phrase', value: readQuoted(), neg });
+        continue;
+      }
+
+      if (s[i] === '/') {
+        // Closing slash may be followed by flags; no closing slash → plain word
+        let j = i + 1;
+        while (j < s.length && s[j] !== '/') j += s[j] === '\\' ? 2 : 1;
+        if (j < s.length && j > i + 1) {
+          const m = /^[a-z]*/.exec(s.slice(j + 1));
+          out.push({ type: 'regex', value: s.slice(i + 1, j), flags: m[0], neg });
+          i = j + 1 + m[0].length;
+          continue;
+        }
+      }
+
+      const field = /^([a-z]+):/i.exec(s.slice(i));
+      if (field && FIELDS.has(field[1].toLowerCase())) {
+        i += field[0].length;
+        const quoted = s[i] === '"';
+        const value  = quoted ? readQuoted() : readBare();
+        out.push({ type: field[1].toLowerCase(), value, quoted, neg });
+        continue;
+      }
+
+      const word = readBare();
+      if (!neg && (word === 'OR' || word === '|')) out.push({ type: 'or' });
+      else out.push({ type: 'word', value: word, neg });
+    }
+    return out;
+  }
+
+  // ── Dates ──────────────────────────────────────────────────────────────────
+  // YYYY, YYYY-MM or YYYY-MM-DD in local time → [periodStart, nextPeriodStart)
+  function _period(text, op) {
+    const m = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+    if (!m) throw new Error(`Invalid date in "${op}:${text}" — use YYYY-MM-DD, YYYY-MM or YYYY`);
+    const y = +m[1], mo = m[2] ? +m[2] - 1 : 0, d = m[3] ? +m[3] : 1;
+    const start = new Date(y, mo, d);
+    if (start.getMonth() !== mo || start.getDate() !== d) throw new Error(`Invalid date in "${op}:${text}"`);
+    const next = m[3] ? new Date(y, mo, d + 1) : m[2] ? new Date(y, mo + 1, 1) : new Date(y + 1, 0, 1);
+    return [start.getTime(), next.getTime()];
+  }
+
+  // ── Atom predicates ────────────────────────────────────────────────────────
+  function _atomTest(atom, mode) {
+    const v = atom.value.toLowerCase();
+    switch (atom.type) {
+      case 'word': {
+        const list = (mode === 'url' || mode === 'domain') ? [v] : words(v);
+        return list.length ? e => matchesWords(e, list, mode) : null;
+      }
+      case 'phrase':
+        return v ? e => `${e.title || ''} ${e.url || ''}`.toLowerCase().includes(v) : null;
+      case 'regex': {
+        let re;
+        // g/y would make test() stateful across entries
+        try { re = new RegExp(atom.value, (atom.flags || 'i').replace(/[gy]/g, '')); }
+        catch (err) { throw new Error(err.message); }
+        return e => re.test(`${e.title || ''} ${e.url || ''}`);
+      }
+      case 'site': {
+        const site = _site(v);
+        return site ? e => { const d = (e.domain || '').toLowerCase(); return d === site || d.endsWith('.' + site); } : null;
+      }
+      case 'title': {
+        if (atom.quoted) return v ? e => (e.title || '').toLowerCase().includes(v) : null;
+        const list = words(v);
+        return list.length ? e => matchesWords(e, list, 'title') : null;
+      }
+      case 'url':
+        return v ? e => (e.url || '').toLowerCase().includes(v) : null;
+      case 'source':
+        return v ? e => (e.source || '').toLowerCase() === v : null;
+      case 'before': {
+        const [from] = _period(atom.value, 'before');
+        return e => e.visitTime < from;
+      }
+      case 'after': {
+        const [, next] = _period(atom.value, 'after');
+        return e => e.visitTime >= next;
+      }
+    }
+    return null;
+  }
+
+  function compile(query, mode = 'all') {
+    // Group atoms: each group is an OR of atoms, groups are ANDed
+    const groups = [];
+    let joinNext = false;
+    for (const tok of _lex(query)) {
+      if (tok.type === 'or') { joinNext = groups.length > 0; continue; }
+      const test = _atomTest(tok, mode);
+      if (!test) continue;
+      const atom = { ...tok, test: tok.neg ? e => !test(e) : test };
+      if (joinNext) groups[groups.length - 1].push(atom);
+      else groups.push([atom]);
+      joinNext = false;
+    }
+    if (!groups.length) return null;
+
+    const required = groups.filter(g => g.length === 1 && !g[0].neg).map(g => g[0]);
+
+    let start = null, end = null;
+    for (const a of required) {
+      if (a.type === 'after')  start = Math.max(start ?? -Infinity, _period(a.value, 'after')[1]);
+      if (a.type === 'before') end   = Math.min(end ?? Infinity, _period(a.value, 'before')[0] - 1);
+    }
+
+    const indexable = mode === 'all' || mode === 'title';
+    const plainWords = indexable
+      ? [...new Set(required.filter(a => a.type === 'word').flatMap(a => words(a.value)))]
+      : [];
+    const exact = mode === 'all' && groups.every(g => g.length === 1 && !g[0].neg && g[0].type === 'word');
+
+    let domain = null;
+    const siteGroup = groups.find(g => g.every(a => a.type === 'site' && !a.neg));
+    if (siteGroup) {
+      const sites = siteGroup.map(a => _site(a.value));
+      domain = d => sites.some(s => d === s || d.endsWith('.' + s));
+    } else if (mode === 'domain') {
+      const list = required.filter(a => a.type === 'word').map(a => a.value.toLowerCase());
+      if (list.length) domain = d => list.every(w => d.toLowerCase().includes(w));
+    }
+
+    return {
+      test: e => groups.every(g => g.some(a => a.test(e))),
+      start, end,
+      words: plainWords,
+      exact,
+      domain,
+    };
+  }
+
+  return { words, fieldTokens, matchesWords, compile };
+})();
+
+if (typeof window !== 'undefined') window.EhQuery = EhQuery;
@@ -0,0 +1,194 @@
+/**
+ * eh-sqlite.js — read-only reader for SQLite database files
+ *
+ * Loaded by history.js (importing other browsers' history, see eh-import.js):
+ *   <script src="eh-sqlite.js"></script>
+ *
+ * Just enough of the file format (https://www.sqlite.org/fileformat.html) to
+ * walk whole tables: the header, table b-trees (interior and leaf pages),
+ * overflow chains and records. No SQL, no indexes, no writing. A database in
+ * WAL mode keeps its newest changes in the separate -wal file, which is not
+ * read — db.wal tells, so the import can say to copy the file with its
+ * browser closed.
+ * tests/sqlite/check.js reads Chrome, Firefox and Safari files written by
+ * SQLite itself through it.
+ *
+ *   EhSqlite.open(buffer)          → db  (throws on anything that isn't an SQLite 3 file)
+ *   EhSqlite.isSqlite(bytes)       → boolean  from the first 16 bytes
+ *   db.wal                         → boolean  in WAL mode (header bytes 18/19 = 2)
+ *   db.tables()                    → string[]
+ *   db.columns(table)              → string[]  from the table's CREATE statement
+ *   db.rows(table)                 → Iterable<object>  { column: value }, in rowid order;
+ *                                    an INTEGER PRIMARY KEY column holds the rowid
+ *     values: null, number, string or Uint8Array. 64-bit integers become numbers
+ *     (exact up to 2^53 — Chrome's microsecond timestamps lose a microsecond or so)
+ */
+
+const EhSqlite = (() => {
+  const MAGIC = 'SQLite format 3\0';
+  const CONSTRAINTS = /^(constraint|primary|unique|check|foreign)\b/i;
+
+  function isSqlite(bytes) {
+    return bytes.length >= 16 && String.fromCharCode(...bytes.subarray(0, 16)) === MAGIC;
+  }
+
+  // Splits a column list at top-level commas — types like DECIMAL(10,2) stay whole
+  function _splitDefs(body) {
+    const out = [];
+    let depth = 0, start = 0, quote = null;
+    for (let i = 0; i < body.length; i++) {
+      const c = body[i];
+      if (quote) { if (c === quote) quote = null; continue; }
+      if (c === '"' || c === "'" || c === '`' || c === '[') { quote = c === '[' ? ']' : c; continue; }
+      if (c === '(') depth++;
+      else if (c === ')') depth--;
+      else if (c === ',' && !depth) { out.push(body.slice(start, i)); start = i + 1; }
+    }
+    out.push(body.slice(start));
+    return out.map(d => d.trim()).filter(d => d && !CONSTRAINTS.test(d));
+  }
+
+  // SQLite varint at buf[pos] → [value, next position]
+  function _varint(buf, pos) {
+    let v = 0;
+    for (let i = 0; i < 8; i++) {
+      const b = buf[pos + i];
+      v = v * 128 + (b & 0x7f);
+      if (!(b & 0x80)) return [v, pos + i + 1];
+    }
+    return [v * 256 + buf[pos + 8], pos + 9];
+  }
+
+  function _unquote(name) {
+    return /^["'`[]/.test(name) ? name.slice(1, -1) : name;
+  }
+
+  function open(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!isSqlite(bytes)) throw new Error('Not an SQLite database');
+    const view     = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const raw      = view.getUint16(16);
+    const pageSize = raw === 1 ? 65536 : raw;
+    const usable   = pageSize - bytes[20];
+    const encoding = view.getUint32(56);
+    const text     = new TextDecoder(encoding === 2 ? 'utf-16le' : encoding === 3 ? 'utf-16be' : 'utf-8');
+
+    const pageStart = n => (n - 1) * pageSize;
+
+    // The whole payload of a leaf cell, overflow pages joined on
+    function payload(pos, size) {
+      const maxLocal = usable - 35;
+      if (size <= maxLocal) return bytes.subarray(pos, pos + size);
+      const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+      const k        = minLocal + (size - minLocal) % (usable - 4);
+      const local    = k <= maxLocal ? k : minLocal;
+      const out      = new Uint8Array(size);
+      out.set(bytes.subarray(pos, pos + local));
+      let filled = local;
+      let next   = view.getUint32(pos + local);
+      while (next && filled < size) {
+        const at   = pageStart(next);
+        const take = Math.min(usable - 4, size - filled);
+        out.set(bytes.subarray(at + 4, at + 4 + take), filled);
+        filled += take;
+        next = view.getUint32(at);
+      }
+      return out;
+    }
+
+    function record(rec) {
+      const rv = new DataView(rec.buffer, rec.byteOffset, rec.byteLength);
+      const [headerSize, first] = _varint(rec, 0);
+      const types = [];
+      for (let p = first, t; p < headerSize; ) {
+        [t, p] = _varint(rec, p);
+        types.push(t);
+      }
+      const values = [];
+      let pos = headerSize;
+      for (const t of types) {
+        switch (t) {
+          case 0:  values.push(null); break;
+          case 1:  values.push(rv.getInt8(pos)); pos += 1; break;
+          case 2:  values.push(rv.getInt16(pos)); pos += 2; break;
+          case 3:  values.push((rv.getInt8(pos) << 16) | rv.getUint16(pos + 1)); pos += 3; break;
+          case 4:  values.push(rv.getInt32(pos)); pos += 4; break;
+          case 5:  values.push(rv.getInt16(pos) * 4294967296 + rv.getUint32(pos + 2)); pos += 6; break;
+          case 6:  values.push(Number(rv.getBigInt64(pos))); pos += 8; break;
+          case 7:  values.push(rv.getFloat64(pos)); pos += 8; break;
+          case 8:  values.push(0); break;
+          case 9:  values.push(1); break;
+          default: {
+            const len = (t - (t % 2 ? 13 : 12)) / 2;
+            const chunk = rec.subarray(pos, pos + len);
+            values.push(t % 2 ? text.decode(chunk) : chunk.slice());
+            pos += len;
+          }
+        }
+      }
+      return values;
+    }
+
+    // Every row of the table b-tree rooted at `root`: [rowid, values]
+    function* walk(root) {
+      const stack = [root];
+      while (stack.length) {
+        const n   = stack.pop();
+        const at  = pageStart(n) + (n === 1 ? 100 : 0);
+        const kind  = bytes[at];
+        const cells = view.getUint16(at + 3);
+        if (kind === 0x05) {
+          // Interior: children left to right, pushed in reverse so rowids come out in order
+          stack.push(view.getUint32(at + 8));
+          for (let i = cells - 1; i >= 0; i--) stack.push(view.getUint32(pageStart(n) + view.getUint16(at + 12 + i * 2)));
+        } else if (kind === 0x0d) {
+          for (let i = 0; i < cells; i++) {
+            let pos = pageStart(n) + view.getUint16(at + 8 + i * 2);
+            let size, rowid;
+            [size, pos]  = _varint(bytes, pos);
+            [rowid, pos] = _varint(bytes, pos);
+            yield [rowid, record(payload(pos, size))];
+          }
+        } else {
+          throw new Error(`Unexpected page type ${kind} on page ${n}`);
+        }
+      }
+    }
+
+    const schema = new Map();   // table name → { root, sql }
+    for (const [, [type, name, , root, sql]] of walk(1)) {
+      if (type === 'table') schema.set(name, { root, sql: sql || '' });
+    }
+
+    function _table(name) {
+      const t = schema.get(name);
+      if (!t) throw new Error(`No table ${name}`);
+      if (!t.defs) {
+        const body = t.sql.slice(t.sql.indexOf('(') + 1, t.sql.lastIndexOf(')'));
+        t.defs = _splitDefs(body).map(d => {
+          const name = _unquote(d.match(/^("[^"]*"|`[^`]*`|\[[^\]]*\]|\S+)/)[0]);
+          return { name, rowid: /^\S+\s+integer\s+primary\s+key\b/i.test(d) };
+        });
+      }
+      return t;
+    }
+
+    return {
+      wal:     bytes[18] === 2 || bytes[19] === 2,
+      tables:  () => [...schema.keys()],
+      columns: name => _table(name).defs.map(d => d.name),
+      *rows(name) {
+        const { root, defs } = _table(name);
+        for (const [rowid, values] of walk(root)) {
+          const row = {};
+          defs.forEach((d, i) => { row[d.name] = d.rowid ? rowid : (values[i] ?? null); });
+          yield row;
+        }
+      },
+    };
+  }
+
+  return { open, isSqlite };
+})();
+
+if (typeof window !== 'undefined') window.EhSqlite = EhSqlite;
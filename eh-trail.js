@@ -0,0 +1,154 @@
+/**
+ * eh-trail.js — navigation trail store for Extended History
+ *
+ * Loaded by background.js:
+ *   importScripts('eh-idb.js', 'eh-query.js', 'eh-index.js', 'eh-trail.js');
+ *
+ * One record per committed top-level navigation, linked to the page it came
+ * from — the previous page in the same tab, or for the first page of a new
+ * tab, the page its opener tab was showing. Works with either history backend;
+ * records live in their own IndexedDB database and are written one at a time.
+ *
+ *   record: { key, url, t, tab, from, via, tr }
+ *     key   `${url}|${t}`
+ *     from  key of the page this navigation came from, or null
+ *     via   'tab' (same tab) | 'opener' (opened from another tab) | null
+ *     tr    webNavigation transitionType
+ *
+ *   EhTrail.add(record)                  → Promise<void>
+ *   EhTrail.get(key)                     → Promise<record|null>
+ *   EhTrail.near(url, time, within)      → Promise<record|null>  closest visit of url
+ *   EhTrail.children(key)                → Promise<record[]>      pages reached from key
+ *   EhTrail.forget({ urls, start, end }) → Promise<number>        records removed
+ *   EhTrail.forget({ visits, within })   → Promise<number>        the record closest to each
+ *                                                                 { url, t }, within ms (60 s)
+ *   EhTrail.clear()                      → Promise<void>
+ */
+
+const EhTrail = (() => {
+  const DB_NAME    = 'eh_trail';
+  const DB_VERSION = 1;
+  const STORE      = 'visits';
+
+  let _db = null;
+
+  function _open() {
+    if (_db) return Promise.resolve(_db);
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = e => {
+        const db = e.target.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          const store = db.createObjectStore(STORE, { keyPath: 'key' });
+          store.createIndex('url', 'url', { unique: false });
+          store.createIndex('from', 'from', { unique: false });
+          store.createIndex('t', 't', { unique: false });
+        }
+      };
+      req.onsuccess = e => { _db = e.target.result; resolve(_db); };
+      req.onerror   = e => reject(e.target.error);
+      req.onblocked = () => reject(new Error('IDB blocked — close other tabs'));
+    });
+  }
+
+  function _req(mode, fn) {
+    return _open().then(db => new Promise((resolve, reject) => {
+      const tx  = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      if (mode === 'readwrite') {
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror    = () => reject(tx.error);
+      } else {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+      }
+    }));
+  }
+
+  async function add(record) {
+    return _req('readwrite', store => store.put(record));
+  }
+
+  async function get(key) {
+    if (!key) return null;
+    return (await _req('readonly', store => store.get(key))) || null;
+  }
+
+  async function near(url, time, within = 60000) {
+    const rows = await _req('readonly', store => store.index('url').getAll(url));
+    let best = null;
+    for (const r of rows || []) {
+      const d = Math.abs(r.t - time);
+      if (d <= within && (!best || d < Math.abs(best.t - time))) best = r;
+    }
+    return best;
+  }
+
+  async function children(key) {
+    const rows = await _req('readonly', store => store.index('from').getAll(key));
+    return (rows || []).sort((a, b) => a.t - b.t);
+  }
+
+  // Removes records of the given URLs and/or inside [start, end], or of
+  // single visits — other visits of the same URL keep theirs
+  async function forget({ urls = null, start = null, end = null, visits = null, within = 60000 } = {}) {
+    const db = await _open();
+    return new Promise((resolve, reject) => {
+      let removed = 0;
+      const tx    = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+      if (visits) {
+        const byUrl = new Map();
+        for (const v of visits) {
+          if (!byUrl.has(v.url)) byUrl.set(v.url, []);
+          byUrl.get(v.url).push(v.t);
+        }
+        for (const [url, times] of byUrl) {
+          const req = store.index('url').getAll(url);
+          req.onsuccess = () => {
+            const rows = req.result || [];
+            for (const t of times) {
+              let best = -1;
+              rows.forEach((r, i) => {
+                const d = Math.abs(r.t - t);
+                if (d <= within && (best < 0 || d < Math.abs(rows[best].t - t))) best = i;
+              });
+              if (best < 0) continue;
+              store.delete(rows[best].key); removed++;
+              rows.splice(best, 1);
+            }
+          };
+        }
+      } else if (urls) {
+        const idx = store.index('url');
+        for (const url of urls) {
+          const req = idx.openCursor(IDBKeyRange.only(url));
+          req.onsuccess = () => {
+            const cur = req.result;
+            if (!cur) return;
+            if ((start == null || cur.value.t >= start) && (end == null || cur.value.t <= end)) { cur.delete(); removed++; }
+            cur.continue();
+          };
+        }
+      } else {
+        const req = store.index('t').openCursor(IDBKeyRange.bound(start ?? 0, end ?? Infinity));
+        req.onsuccess = () => {
+          const cur = req.result;
+          if (!cur) return;
+          cur.delete(); removed++;
+          cur.continue();
+        };
+      }
+      tx.oncomplete = () => resolve(removed);
+      tx.onerror    = () => reject(tx.error);
+    });
+  }
+
+  async function clear() {
+    return _req('readwrite', store => store.clear());
+  }
+
+  return { add, get, near, children, forget, clear };
+})();
+
+if (typeof window !== 'undefined') window.EhTrail = EhTrail;
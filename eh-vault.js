@@ -0,0 +1,194 @@
+/**
+ * eh-vault.js — passphrase-protected encryption for archived history (and,
+ * through EhVault.create(), the ignore list)
+ *
+ * Loaded by background.js:
+ *   importScripts(..., 'eh-archive.js', 'eh-canon.js', 'eh-vault.js');
+ *
+ * Hybrid scheme, so history can be sealed while the vault is locked:
+ *   - an RSA-OAEP key pair is created when encryption is switched on; the
+ *     public key is stored as is, the private key only encrypted (AES-GCM)
+ *     under a key derived from the passphrase (PBKDF2-SHA-256)
+ *   - every sealed block gets its own random AES-GCM-256 key, wrapped with
+ *     the public key — sealing never needs the passphrase
+ *   - opening a block unwraps its key with the private key, which exists in
+ *     memory only after unlock. It is mirrored to chrome.storage.session
+ *     (memory-only, cleared when the browser closes) so a restarted service
+ *     worker stays unlocked, and dropped again by lock() / lockIfIdle().
+ *
+ *   stored (eh_vault): { v, kdf: { name, hash, iterations, salt }, publicKey, privateKey: { iv, ct } }
+ *   sealed block:      { data, iv, key }  ArrayBuffer ciphertext, IV, wrapped block key
+ *
+ *   EhVault.create(storageKey, sessionKey) → another vault with the same API, kept under other keys
+ *   EhVault.isEnabled()                    → Promise<boolean>
+ *   EhVault.isUnlocked()                   → Promise<boolean>
+ *   EhVault.setup(passphrase)              → Promise<void>     (creates the key pair, unlocked)
+ *   EhVault.unlock(passphrase)             → Promise<boolean>  (false on a wrong passphrase)
+ *   EhVault.lock()                         → Promise<void>
+ *   EhVault.touch()                        → Promise<void>     (records activity for lockIfIdle)
+ *   EhVault.lockIfIdle(minutes)            → Promise<boolean>  (true if it locked now)
+ *   EhVault.changePassphrase(old, next)    → Promise<boolean>
+ *   EhVault.remove()                       → Promise<void>     (forgets the keys — unseal blocks first)
+ *   EhVault.seal(bytes)                    → Promise<sealed>
+ *   EhVault.open(sealed)                   → Promise<ArrayBuffer>  (throws EhVault.LockedError when locked)
+ *   EhVault.toJson(sealed) / fromJson(obj) → base64 form for chrome.storage, and back
+ */
+
+const EhVault = (() => {
+  const ITERATIONS = 600000;
+  const RSA        = { name: 'RSA-OAEP', modulusLength: 3072, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+
+  class LockedError extends Error {
+    constructor(message = 'History is locked — unlock it first') { super(message); this.name = 'LockedError'; }
+  }
+
+  function _b64(buf) {
+    const bytes = new Uint8Array(buf);
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 8192) bin += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    return btoa(bin);
+  }
+  function _unb64(s) { return Uint8Array.from(atob(s), c => c.charCodeAt(0)); }
+
+  function toJson({ data, iv, key }) { return { data: _b64(data), iv: _b64(iv), key: _b64(key) }; }
+  function fromJson({ data, iv, key }) { return { data: _unb64(data), iv: _unb64(iv), key: _unb64(key) }; }
+
+  // VAULT_KEY in chrome.storage.local, SESSION_KEY in chrome.storage.session: { pkcs8, lastActive }
+  function create(VAULT_KEY, SESSION_KEY) {
+    let _private = null;   // CryptoKey while unlocked
+    let _public  = null;   // CryptoKey, cached
+
+    async function _stored() {
+      const r = await chrome.storage.local.get(VAULT_KEY);
+      return r[VAULT_KEY] || null;
+    }
+
+    async function _kek(passphrase, kdf) {
+      const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: _unb64(kdf.salt), iterations: kdf.iterations, hash: kdf.hash },
+        material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+      );
+    }
+
+    async function _wrapPrivate(pkcs8, passphrase) {
+      const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: _b64(crypto.getRandomValues(new Uint8Array(16))) };
+      const iv  = crypto.getRandomValues(new Uint8Array(12));
+      const ct  = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await _kek(passphrase, kdf), pkcs8);
+      return { kdf, privateKey: { iv: _b64(iv), ct: _b64(ct) } };
+    }
+
+    // AES-GCM authentication fails on a wrong passphrase — that is the check
+    async function _unwrapPrivate(vault, passphrase) {
+      try {
+        const key = await _kek(passphrase, vault.kdf);
+        return await crypto.subtle.decrypt({ name: 'AES-GCM', iv: _unb64(vault.privateKey.iv) }, key, _unb64(vault.privateKey.ct));
+      } catch {
+        return null;
+      }
+    }
+
+    async function _hold(pkcs8) {
+      _private = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']);
+      await chrome.storage.session.set({ [SESSION_KEY]: { pkcs8: _b64(pkcs8), lastActive: Date.now() } });
+    }
+
+    async function _privateKey() {
+      if (_private) return _private;
+      const r = await chrome.storage.session.get(SESSION_KEY);
+      if (!r[SESSION_KEY]) return null;
+      _private = await crypto.subtle.importKey('pkcs8', _unb64(r[SESSION_KEY].pkcs8), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['unwrapKey']);
+      return _private;
+    }
+
+    async function _publicKey() {
+      if (_public) return _public;
+      const vault = await _stored();
+      if (!vault) throw new Error('Encryption is not set up');
+      _public = await crypto.subtle.importKey('spki', _unb64(vault.publicKey), { name: 'RSA-OAEP', hash: 'SHA-256' }, false, ['wrapKey']);
+      return _public;
+    }
+
+    async function isEnabled() {
+      return !!await _stored();
+    }
+
+    async function isUnlocked() {
+      return !!await _privateKey();
+    }
+
+    async function setup(passphrase) {
+      if (await _stored()) throw new Error('Encryption is already set up');
+      const pair  = await crypto.subtle.generateKey(RSA, true, ['wrapKey', 'unwrapKey']);
+      const spki  = await crypto.subtle.exportKey('spki', pair.publicKey);
+      const pkcs8 = await crypto.subtle.exportKey('pkcs8', pair.privateKey);
+      const wrapped = await _wrapPrivate(pkcs8, passphrase);
+      await chrome.storage.local.set({ [VAULT_KEY]: { v: 1, ...wrapped, publicKey: _b64(spki) } });
+      _public = null;
+      await _hold(pkcs8);
+    }
+
+    async function unlock(passphrase) {
+      const vault = await _stored();
+      if (!vault) return false;
+      const pkcs8 = await _unwrapPrivate(vault, passphrase);
+      if (!pkcs8) return false;
+      await _hold(pkcs8);
+      return true;
+    }
+
+    async function lock() {
+      _private = null;
+      await chrome.storage.session.remove(SESSION_KEY);
+    }
+
+    async function touch() {
+      const r = await chrome.storage.session.get(SESSION_KEY);
+      if (r[SESSION_KEY]) await chrome.storage.session.set({ [SESSION_KEY]: { ...r[SESSION_KEY], lastActive: Date.now() } });
+    }
+
+    async function lockIfIdle(minutes) {
+      if (!minutes) return false;
+      const r = await chrome.storage.session.get(SESSION_KEY);
+      if (!r[SESSION_KEY] || Date.now() - r[SESSION_KEY].lastActive < minutes * 60000) return false;
+      await lock();
+      return true;
+    }
+
+    async function changePassphrase(oldPassphrase, nextPassphrase) {
+      const vault = await _stored();
+      if (!vault) return false;
+      const pkcs8 = await _unwrapPrivate(vault, oldPassphrase);
+      if (!pkcs8) return false;
+      await chrome.storage.local.set({ [VAULT_KEY]: { ...vault, ...await _wrapPrivate(pkcs8, nextPassphrase) } });
+      return true;
+    }
+
+    async function remove() {
+      await lock();
+      _public = null;
+      await chrome.storage.local.remove(VAULT_KEY);
+    }
+
+    async function seal(bytes) {
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+      const iv  = crypto.getRandomValues(new Uint8Array(12));
+      const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+      const wrapped = await crypto.subtle.wrapKey('raw', key, await _publicKey(), { name: 'RSA-OAEP' });
+      return { data, iv, key: wrapped };
+    }
+
+    async function open({ data, iv, key }) {
+      const priv = await _privateKey();
+      if (!priv) throw new LockedError();
+      const blockKey = await crypto.subtle.unwrapKey('raw', key, priv, { name: 'RSA-OAEP' }, { name: 'AES-GCM' }, false, ['decrypt']);
+      return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, blockKey, data);
+    }
+
+    return { LockedError, create, toJson, fromJson, isEnabled, isUnlocked, setup, unlock, lock, touch, lockIfIdle, changePassphrase, remove, seal, open };
+  }
+
+  return create('eh_vault', 'eh_vault_unlocked');
+})();
+
+if (typeof window !== 'undefined') window.EhVault = EhVault;
@@ -17,43 +17,14 @@ function send(type, extra = {}) {
   });
 }
 
-// ── Crypto helpers (AES-GCM + PBKDF2) ─────────────────────────────────────
-function _u8toB64(buf) {
-  // Cannot spread large Uint8Arrays — chunk to avoid "maximum call stack" error
-  const bytes = new Uint8Array(buf);
-  let binary = '';
-  const CHUNK = 8192;
-  for (let i = 0; i < bytes.length; i += CHUNK) {
-    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
-  }
-  return btoa(binary);
-}
-function _b64toU8(s) { return Uint8Array.from(atob(s), c => c.charCodeAt(0)); }
-
-async function ehEncrypt(plaintext, password) {
-  const enc  = new TextEncoder();
-  const salt = crypto.getRandomValues(new Uint8Array(16));
-  const iv   = crypto.getRandomValues(new Uint8Array(12));
-  const km   = await crypto.subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveKey']);
-  const key  = await crypto.subtle.deriveKey(
-    { name: 'PBKDF2', salt, iterations: 100000, hash: 'SHA-256' },
-    km, { name: 'AES-GCM', length: 256 }, false, ['encrypt']
-  );
-  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, enc.encode(plaintext));
-  return { salt: _u8toB64(salt), iv: _u8toB64(iv), ct: _u8toB64(ct) };
-}
-
-async function ehDecrypt({ salt, iv, ct }, password) {
-  const enc = new TextEncoder();
-  const km  = await crypto.subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveKey']);
-  const key = await crypto.subtle.deriveKey(
-    { name: 'PBKDF2', salt: _b64toU8(salt), iterations: 100000, hash: 'SHA-256' },
-    km, { name: 'AES-GCM', length: 256 }, false, ['decrypt']
-  );
-  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: _b64toU8(iv) }, key, _b64toU8(ct));
-  return new TextDecoder().decode(plain);
-}
-
+// Keeps encrypted history unlocked while the page is really in use: trusted
+// input is reported at most once a minute, messages alone don't count
+let _vaultActivityAt = 0;
+['pointerdown', 'keydown', 'wheel'].forEach(type => addEventListener(type, ev => {
+  if (!ev.isTrusted || Date.now() - _vaultActivityAt < 60000) return;
+  _vaultActivityAt = Date.now();
+  send('VAULT_ACTIVITY').catch(() => {});
+}, { capture: true, passive: true }));
 
 function esc(s) {
   return String(s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
@@ -87,6 +58,29 @@ function tryDomain(url) {
 function fmtTime(ts) {
   return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 }
+// How a visit started (chrome.history transition type) — "link" is the
+// common case and gets no label. Values are [_locales key, English].
+const TRANSITION_LABELS = {
+  typed:             ['via_typed',      'Typed'],
+  auto_bookmark:     ['via_bookmark',   'Bookmark'],
+  reload:            ['via_reload',     'Reload'],
+  form_submit:       ['via_form',       'Form'],
+  generated:         ['via_omnibox',    'Omnibox'],
+  keyword:           ['via_keyword',    'Keyword'],
+  keyword_generated: ['via_keyword',    'Keyword'],
+  start_page:        ['via_start_page', 'Start page'],
+};
+function transitionLabel(transition) {
+  const label = TRANSITION_LABELS[transition];
+  return label ? i18nMsg(...label) : '';
+}
+function transitionBadge(e) {
+  const label = transitionLabel(e.transition);
+  const title = label && i18nMsg('opened_via', `Opened via ${label.toLowerCase()}`, label.toLowerCase());
+  const via   = label ? `<span class="e-via" title="${esc(title)}">${esc(label)}</span>` : '';
+  // Rows merged by the duplicate cleanup stand for several visits
+  return e.visits > 1 ? `${via}<span class="e-via" title="${esc(i18nMsg('visits_merged', `${e.visits} visits merged`, e.visits))}">×${e.visits}</span>` : via;
+}
 function fmtDuration(ms) {
   const m = Math.round(ms / 60000);
   if (m < 60)  return `${m}m`;
@@ -132,7 +126,12 @@ let _curSettings = {};
 const PIE_COLORS = ['#3b9eff','#2dd4a0','#f97316','#a855f7','#ec4899','#eab308','#ef4444','#60a5fa','#34d399','#f472b6'];
 
 // ── Infinite scroll (no spacers — append-only, reset on new search) ──────────
-const PAGE_SIZE = 60;   // entries per page load
+const PAGE_SIZE    = 60;    // entries per page load
+const SEARCH_CHUNK = 2000;  // entries fetched from the background per SEARCH call
+
+let _searchHasMore  = false; // backend has more rows past allResults
+let _searchFetching = false; // SEARCH page request in flight
+let _searchSeq      = 0;     // bumped on every new search — stale pages are dropped
 
 let vsOffset   = 0;
 let vsRendered = [];
@@ -193,6 +192,7 @@ function appendPage() {
     <div class="e-title">${esc(e.title || e.url)}</div>
     <div class="e-url">${esc(e.url)}</div>
     </div>
+    ${transitionBadge(e)}
     <div class="e-time">${fmtTime(e.visitTime)}</div>
     <button class="e-del-btn" data-id="${esc(e.id)}" title="Delete">✕</button>`;
     row.querySelector('.e-fav').addEventListener('error', function(){ this.style.opacity='0'; });
@@ -224,6 +224,27 @@ function appendPage() {
 
   vsOffset += slice.length;
   _vsLoading = false;
+
+  // Running low on fetched rows — pull the next chunk before the user hits the end
+  if (_searchHasMore && allResults.length - vsOffset < PAGE_SIZE * 2) fetchMoreResults();
+}
+
+async function fetchMoreResults() {
+  if (_searchFetching || !_searchHasMore) return;
+  _searchFetching = true;
+  const seq = _searchSeq;
+  try {
+    const r = await send('SEARCH', { ...getFilters(), offset: allResults.length, limit: SEARCH_CHUNK });
+    if (seq !== _searchSeq) return;
+    const prevLen = allResults.length;
+    allResults = allResults.concat(r.entries);
+    _searchHasMore = !!r.hasMore && r.entries.length > 0;
+    if (vsOffset >= prevLen) appendPage(); // everything was already on screen
+  } catch {
+    if (seq === _searchSeq) _searchHasMore = false;
+  } finally {
+    _searchFetching = false;
+  }
 }
 
 // Re-render all currently displayed entries (after select/deselect)
@@ -290,9 +311,14 @@ async function doSearch() {
     
     // (no special fast-path needed: SEARCH now merges live today + past storage in one call)
     
-    // Normal path: query with filters or no today's data
-    const r   = await send('SEARCH', { query, mode, startDate, endDate, limit: 10000 });
+    // Normal path: query with filters or no today's data.
+    // Only the first chunk is fetched here; appendPage pulls the rest on scroll.
+    const seq = ++_searchSeq;
+    _searchFetching = false;
+    const r   = await send('SEARCH', { query, mode, startDate, endDate, offset: 0, limit: SEARCH_CHUNK });
+    if (seq !== _searchSeq) return;
     allResults = r.entries;
+    _searchHasMore = !!r.hasMore;
     buildVirtualList();
   } catch (err) {
     listArea().innerHTML = `<div class="state-msg"><span class="state-msg-icon">⚠</span>${esc(err.message)}</div>`;
@@ -485,6 +511,10 @@ function setupToolbar() {
     doSearch();
   });
 
+  document.getElementById('exportResultsBtn').addEventListener('click', () => {
+    if (!allResults.length) { toast('No results to export'); return; }
+    openProfileModal(null, { scope: 'search' });
+  });
   document.getElementById('deleteResultsBtn').addEventListener('click', deleteMatching);
 }
 
@@ -501,6 +531,7 @@ function setupSelActions() {
     exitSelMode();
   });
 
+  document.getElementById('selExportBtn').addEventListener('click', () => openProfileModal(null, { scope: 'selected' }));
   document.getElementById('selDelBtn').addEventListener('click', () => deleteIds([...selected]));
 }
 
@@ -555,16 +586,18 @@ async function deleteMatching() {
   
   // Check if "all time" is selected (no date filters)
   const isAllTime = !startDate && !endDate;
+  // Results are paged in from the background, so the loaded count may be partial
+  const countLbl = fmtNum(allResults.length) + (_searchHasMore ? '+' : '');
   const confirmMsg = isAllTime 
-   ? chrome.i18n.getMessage("confirm_delete_all_time", fmtNum(allResults.length))
-  : chrome.i18n.getMessage("confirm_delete_filtered", fmtNum(allResults.length));
+   ? chrome.i18n.getMessage("confirm_delete_all_time", countLbl)
+  : chrome.i18n.getMessage("confirm_delete_filtered", countLbl);
   
   if (!confirm(confirmMsg)) return;
   
   try {
     const r = await send('DELETE_MATCHING', { query, mode, startDate, endDate });
     toast(`Deleted ${fmtNum(r.deleted)} items`, 'ok');
-    allResults = []; exitSelMode(); buildVirtualList();
+    allResults = []; _searchHasMore = false; exitSelMode(); buildVirtualList();
   } catch (err) { toast(err.message, 'err'); }
 }
 
@@ -577,7 +610,7 @@ async function loadActivity() {
     document.getElementById('actKpi').innerHTML = `
     <div class="kpi-card"><div class="kpi-label" data-i18n-key="total_visits">Total visits</div><div class="kpi-val">${fmtNum(s.totalEntries)}</div></div>
     <div class="kpi-card"><div class="kpi-label" data-i18n-key="today">Today</div><div class="kpi-val">${fmtNum(todayCt)}</div></div>
-    <div class="kpi-card"><div class="kpi-label" data-i18n-key="storage">Storage</div><div class="kpi-val sm">${s.storageMB} MB</div></div>
+    <div class="kpi-card"><div class="kpi-label" data-i18n-key="storage">Storage</div><div class="kpi-val sm">${s.storageMB} MB</div>${s.archivedEntries ? `<div class="kpi-sub">${s.hotMB} MB hot · ${s.archivedMB} MB archived (${fmtNum(s.archivedEntries)} visits)</div>` : ''}</div>
     <div class="kpi-card"><div class="kpi-label" data-i18n-key="since">Since</div><div class="kpi-val sm">${s.oldestEntry ? new Date(s.oldestEntry).toLocaleDateString(undefined, { month:'short', year:'numeric' }) : '—'}</div></div>
     `;
     // Reapply translations to dynamically added content
@@ -693,9 +726,9 @@ async function loadTimeSpent(days) {
   try {
     await send('FLUSH_TIME');
     const r = await send('GET_TIME_DATA', { days });
-    drawTimeChart(r.dailyMap, days);
+    drawTimeChart(r.dailyMap, days, r.idleMap, r.audibleMap);
     renderHbars(r.topSites);
-    drawPie(r.topSites);
+    drawPie(r.topSites.filter(s => s.minutes > 0));
   } catch (err) { console.error(err); }
 }
 
@@ -703,7 +736,9 @@ document.getElementById('timeFilters').addEventListener('click', ev => {
   if (ev.target.classList.contains('tf-btn')) loadTimeSpent(parseInt(ev.target.dataset.days));
 });
 
-function drawTimeChart(dailyMap, days) {
+// Active time as the filled line with time playing sound stacked on it;
+// open time (active + idle) dashed
+function drawTimeChart(dailyMap, days, idleMap = {}, audibleMap = {}) {
   const svg  = document.getElementById('timeSvg');
   const tip  = document.getElementById('timeTip');
   const wrap = svg.parentElement;
@@ -716,12 +751,13 @@ function drawTimeChart(dailyMap, days) {
   const dates = [];
   for (let i = days - 1; i >= 0; i--) dates.push(new Date(now - i * 86400000).toLocaleDateString('en-CA'));
 
-  const vals = dates.map(d => {
-    const dm = dailyMap[d] || {};
-    return Math.round(Object.values(dm).reduce((s, v) => s + v, 0) / 60000);
-  });
+  const minutesOn = map => dates.map(d => Math.round(Object.values(map[d] || {}).reduce((s, v) => s + v, 0) / 60000));
+  const vals     = minutesOn(dailyMap);
+  const openVals = minutesOn(idleMap).map((v, i) => v + vals[i]);
+  const heard    = minutesOn(audibleMap);
+  const heardTop = heard.map((v, i) => v + vals[i]);
 
-  const maxV = Math.max(...vals, 1);
+  const maxV = Math.max(...openVals, ...heardTop, 1);
   const xOf  = i => p.l + (i / Math.max(dates.length - 1, 1)) * iW;
   const yOf  = v => p.t + (1 - v / maxV) * iH;
 
@@ -734,21 +770,42 @@ function drawTimeChart(dailyMap, days) {
     grid += `<text class="ax-lbl" font-size="9" x="${p.l-5}" y="${y+3}" text-anchor="end">${lbl}</text>`;
   }
 
-  let path = '', area = '';
-  if (vals.some(v => v > 0)) {
-    path = `M ${xOf(0)} ${yOf(vals[0])}`;
+  const curve = vs => {
+    let d = `M ${xOf(0)} ${yOf(vs[0])}`;
     for (let i = 1; i < dates.length; i++) {
       const cx = (xOf(i-1) + xOf(i)) / 2;
-      path += ` C ${cx} ${yOf(vals[i-1])}, ${cx} ${yOf(vals[i])}, ${xOf(i)} ${yOf(vals[i])}`;
+      d += ` C ${cx} ${yOf(vs[i-1])}, ${cx} ${yOf(vs[i])}, ${xOf(i)} ${yOf(vs[i])}`;
     }
+    return d;
+  };
+  // The same curve right to left, continuing a path — closes a band between two series
+  const curveBack = vs => {
+    const n = dates.length;
+    let d = ` L ${xOf(n-1)} ${yOf(vs[n-1])}`;
+    for (let i = n - 1; i > 0; i--) {
+      const cx = (xOf(i) + xOf(i-1)) / 2;
+      d += ` C ${cx} ${yOf(vs[i])}, ${cx} ${yOf(vs[i-1])}, ${xOf(i-1)} ${yOf(vs[i-1])}`;
+    }
+    return d + ' Z';
+  };
+  let path = '', area = '', openPath = '', heardPath = '', heardBand = '';
+  if (vals.some(v => v > 0)) {
+    path = curve(vals);
     area = path + ` L ${xOf(dates.length-1)} ${H} L ${xOf(0)} ${H} Z`;
   }
+  if (openVals.some((v, i) => v > vals[i])) openPath = curve(openVals);
+  if (heard.some(v => v > 0)) {
+    heardPath = curve(heardTop);
+    heardBand = heardPath + curveBack(vals);
+  }
 
   let dots = '';
   const gap = days <= 15 ? 2 : days <= 30 ? 4 : 9;
   dates.forEach((d, i) => {
     if (i % gap !== 0 && i !== dates.length - 1) return;
-    const v = vals[i], lbl = v >= 60 ? `${(v/60).toFixed(1)}h` : `${v}m`;
+    const fmt = v => v >= 60 ? `${(v/60).toFixed(1)}h` : `${v}m`;
+    const v = vals[i], lbl = fmt(v) + (openVals[i] > v || heard[i] ? ' active' : '') +
+      (openVals[i] > v ? ` · ${fmt(openVals[i])} open` : '') + (heard[i] ? ` · ${fmt(heard[i])} playing sound` : '');
     dots += `<circle class="c-dot" cx="${xOf(i)}" cy="${yOf(v)}" r="3.5" fill="var(--accent2)" stroke="var(--bg)" stroke-width="2" data-d="${d}" data-lbl="${lbl}"/>`;
   });
 
@@ -763,7 +820,9 @@ function drawTimeChart(dailyMap, days) {
   </defs>
   ${grid}
   ${area ? `<path d="${area}" fill="url(#lg2)"/>` : ''}
-  ${path ? `<path class="c-path" d="${path}" stroke="var(--accent2)"/>` : `<text x="${W/2}" y="${H/2}" text-anchor="middle" font-size="12" fill="var(--text3)" font-family="var(--font-mono)">No time data yet</text>`}
+  ${heardBand ? `<path d="${heardBand}" fill="var(--accent)" fill-opacity="0.18"/><path class="c-path" d="${heardPath}" stroke="var(--accent)" style="stroke-width:1.5px"/>` : ''}
+  ${openPath ? `<path class="c-path" d="${openPath}" stroke="var(--text3)" stroke-dasharray="4 4" style="stroke-width:1.5px"/>` : ''}
+  ${path ? `<path class="c-path" d="${path}" stroke="var(--accent2)"/>` : openPath || heardPath ? '' : `<text x="${W/2}" y="${H/2}" text-anchor="middle" font-size="12" fill="var(--text3)" font-family="var(--font-mono)">No time data yet</text>`}
   ${dots}`;
 
   svg.querySelectorAll('.c-dot').forEach(dot => {
@@ -790,10 +849,17 @@ function renderHbars(topSites) {
     el.innerHTML = '<div class="state-msg" style="padding:20px 0"><span class="state-msg-icon">⏱</span>No time data yet. Keep browsing!</div>';
     return;
   }
-  const maxM = topSites[0]?.minutes || 1;
+  // Active with time playing sound stacked after it; the lighter bar behind is
+  // open time (active + idle). All on one scale.
+  const maxM = Math.max(...topSites.map(s => s.ms + Math.max(s.idleMs || 0, s.audibleMs || 0))) / 60000 || 1;
   el.innerHTML = topSites.map(s => {
-    const pct = (s.minutes / maxM) * 100;
-    const lbl = parseFloat(s.hours) >= 1 ? `${s.hours}h` : `${s.minutes}m`;
+    const pct      = (s.minutes / maxM) * 100;
+    const openMin  = Math.round((s.ms + (s.idleMs || 0)) / 60000);
+    const heardMin = Math.round((s.audibleMs || 0) / 60000);
+    const fmt      = m => m >= 60 ? `${(m / 60).toFixed(1)}h` : `${m}m`;
+    const lbl      = (parseFloat(s.hours) >= 1 ? `${s.hours}h` : `${s.minutes}m`) +
+      (openMin > s.minutes ? ` <span class="hbar-open-lbl">· ${fmt(openMin)} open</span>` : '') +
+      (heardMin ? ` <span class="hbar-open-lbl">· ${fmt(heardMin)} playing sound</span>` : '');
     return `<div class="hbar-row">
     <div class="hbar-header">
     <div class="hbar-domain">
@@ -802,7 +868,7 @@ function renderHbars(topSites) {
     </div>
     <div class="hbar-time">${lbl}</div>
     </div>
-    <div class="hbar-track"><div class="hbar-fill" style="width:${pct}%"></div></div>
+    <div class="hbar-track"><div class="hbar-open" style="width:${openMin / maxM * 100}%"></div><div class="hbar-fill" style="width:${pct}%"></div><div class="hbar-heard" style="width:${heardMin / maxM * 100}%"></div></div>
     </div>`;
   }).join('');
 
@@ -2209,6 +2275,244 @@ function syncRetChips(days) {
   c.classList.toggle('on', parseInt(c.dataset.d) === days));
 }
 
+// ── Retention rules editor ─────────────────────────────────────────────────
+// Rules are kept in the DOM while editing and read back on save / preview.
+const RET_RULE_PRESETS = {
+  search:   { query: 'site:google.com OR site:bing.com OR site:duckduckgo.com url:q=', action: 'keep', days: 30 },
+  docs:     { query: 'site:developer.mozilla.org OR site:docs.python.org OR url:/docs/', action: 'keep', days: 0 },
+  session:  { query: 'url:?session=', action: 'keep', days: 7 },
+  collapse: { query: '', action: 'collapse', days: 365 },
+};
+
+function retRuleHtml(rule) {
+  return `<div class="ret-rule" data-id="${esc(rule.id)}">
+    <input type="text" class="ret-q" placeholder="${esc(i18nMsg('ph_ret_query', 'Query, e.g. site:example.com'))}" value="${esc(rule.query || '')}"/>
+    <select class="ret-action">
+      <option value="keep"${rule.action !== 'collapse' ? ' selected' : ''}>${esc(i18nMsg('keep_for', 'Keep for'))}</option>
+      <option value="collapse"${rule.action === 'collapse' ? ' selected' : ''}>${esc(i18nMsg('collapse_after', 'Collapse after'))}</option>
+    </select>
+    <input type="number" class="ret-days" min="0" max="999999" value="${Number(rule.days) || 0}"/>
+    <span class="unit" data-i18n-key="days">${esc(i18nMsg('days', 'days'))}</span>
+    <button class="action-btn danger ret-del" title="${esc(i18nMsg('remove_rule', 'Remove rule'))}">✕</button>
+  </div>`;
+}
+
+function renderRetRules(rules) {
+  document.getElementById('retRules').innerHTML = rules.map(retRuleHtml).join('');
+}
+
+function addRetRule(rule) {
+  const id = `r_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  document.getElementById('retRules').insertAdjacentHTML('beforeend', retRuleHtml({ id, ...rule }));
+}
+
+// Reads the rules back; throws with the offending query when one doesn't parse
+function readRetRules() {
+  return [...document.querySelectorAll('#retRules .ret-rule')].map(row => {
+    const query = row.querySelector('.ret-q').value.trim();
+    try { EhQuery.compile(query); }
+    catch (err) { throw new Error(`Retention rule "${query}": ${err.message}`); }
+    return {
+      id:     row.dataset.id,
+      query,
+      action: row.querySelector('.ret-action').value,
+      days:   Math.max(0, parseInt(row.querySelector('.ret-days').value) || 0),
+    };
+  });
+}
+
+async function previewRetention() {
+  const box = document.getElementById('retPreview');
+  let rules;
+  try { rules = readRetRules(); } catch (err) { toast(err.message, 'err'); return; }
+  const retentionDays = parseInt(document.getElementById('retDays').value) || _curSettings.retentionDays;
+  box.style.display = '';
+  box.textContent = i18nMsg('checking', 'Checking…');
+  try {
+    const r = await send('PREVIEW_RETENTION', { settings: { retentionRules: rules, retentionDays } });
+    if (!r.total) { box.textContent = i18nMsg('ret_nothing_pruned', 'Nothing would be pruned with these rules.'); return; }
+    const label = id => {
+      if (id === 'global') return i18nMsg('ret_global', `Keep history for ${fmtNum(retentionDays)} days`, fmtNum(retentionDays));
+      const rule = rules.find(x => x.id === id);
+      if (!rule) return id;
+      const what = rule.query || i18nMsg('ret_everything', 'Everything');
+      if (rule.action === 'collapse') return i18nMsg('ret_collapse_after', `${what} — collapse after ${rule.days} days`, what, rule.days);
+      return rule.days ? i18nMsg('ret_keep_days', `${what} — keep ${rule.days} days`, what, rule.days)
+        : i18nMsg('ret_keep_forever', `${what} — keep forever`, what);
+    };
+    const total = `<strong>${fmtNum(r.total)}</strong>`;
+    box.innerHTML = `<div>${i18nMsg('ret_would_prune', `${total} visits would be pruned on the next run`, total)}</div>
+      <ul>${Object.entries(r.byRule).map(([id, n]) => `<li>${esc(label(id))}: ${fmtNum(n)}</li>`).join('')}</ul>
+      <ul>${r.samples.slice(0, 20).map(e => `<li class="ret-sample">${esc(new Date(e.visitTime).toLocaleDateString())} · ${esc(e.title || e.url)}</li>`).join('')}</ul>`;
+  } catch (err) {
+    box.textContent = err.message;
+  }
+}
+
+document.getElementById('retRules').addEventListener('click', ev => {
+  if (ev.target.closest('.ret-del')) ev.target.closest('.ret-rule').remove();
+});
+document.getElementById('retRulePresets').addEventListener('click', ev => {
+  const preset = RET_RULE_PRESETS[ev.target.closest('[data-preset]')?.dataset.preset];
+  if (preset) addRetRule(preset);
+});
+document.getElementById('addRetRuleBtn').addEventListener('click', () => addRetRule({ query: '', action: 'keep', days: 30 }));
+document.getElementById('previewRetBtn').addEventListener('click', previewRetention);
+
+// ── Encryption at rest (vault) ─────────────────────────────────────────────
+// While the vault is locked the lock screen covers every panel, reading mode
+// included. The background says when that changes (VAULT_STATE).
+let _vault = null;   // { enabled, unlocked } once known
+
+function renderVault(st) {
+  const prev = _vault;
+  _vault = st;
+  const locked = st.enabled && !st.unlocked;
+  document.getElementById('lockScreen').classList.toggle('open', locked);
+  document.getElementById('vaultState').textContent = !st.enabled ? i18nMsg('vault_off', 'Off')
+    : st.unlocked ? i18nMsg('vault_on_unlocked', 'On — unlocked') : i18nMsg('vault_on_locked', 'On — locked');
+  document.getElementById('vaultSetupBtn').style.display  = st.enabled ? 'none' : '';
+  document.getElementById('vaultLockBtn').style.display   = st.unlocked ? '' : 'none';
+  document.getElementById('vaultManageRow').style.display = st.enabled ? '' : 'none';
+  if (locked) {
+    document.getElementById('lockPassInput').value = '';
+    document.getElementById('lockPassInput').focus();
+  }
+  // Drop past rows when locking, bring them back after unlocking
+  if (prev && locked !== (prev.enabled && !prev.unlocked)) doSearch();
+}
+
+function askNewPassphrase(label) {
+  const pw = prompt(`${label} (at least 8 characters):`);
+  if (!pw) return null;
+  if (pw.length < 8) { toast('Passphrase is too short', 'err'); return null; }
+  if (prompt('Confirm passphrase:') !== pw) { toast('Passphrases do not match', 'err'); return null; }
+  return pw;
+}
+
+async function unlockVault() {
+  const input = document.getElementById('lockPassInput');
+  const err   = document.getElementById('lockError');
+  const btn   = document.getElementById('lockUnlockBtn');
+  if (!input.value) return;
+  btn.disabled = true;
+  err.textContent = '';
+  try {
+    await send('VAULT_UNLOCK', { passphrase: input.value });
+    renderVault(await send('VAULT_STATUS'));
+  } catch (e) {
+    err.textContent = e.message;
+    input.select();
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+document.getElementById('lockUnlockBtn').addEventListener('click', unlockVault);
+document.getElementById('lockPassInput').addEventListener('keydown', ev => { if (ev.key === 'Enter') unlockVault(); });
+
+document.getElementById('vaultSetupBtn').addEventListener('click', async () => {
+  if (!confirm('Encrypt all history before today?\n\nYou will need the passphrase to read it. If you lose it, that history is gone for good.')) return;
+  const pw = askNewPassphrase('Choose a passphrase');
+  if (!pw) return;
+  const btn = document.getElementById('vaultSetupBtn');
+  btn.disabled = true;
+  toast('Encrypting past history…');
+  try {
+    await send('VAULT_SETUP', { passphrase: pw });
+    toast('Past history is now encrypted', 'ok');
+    renderVault(await send('VAULT_STATUS'));
+  } catch (e) { toast(e.message, 'err'); }
+  finally { btn.disabled = false; }
+});
+
+document.getElementById('vaultLockBtn').addEventListener('click', () => send('VAULT_LOCK').catch(e => toast(e.message, 'err')));
+
+document.getElementById('vaultPassBtn').addEventListener('click', async () => {
+  const old = prompt('Current passphrase:');
+  if (!old) return;
+  const pw = askNewPassphrase('New passphrase');
+  if (!pw) return;
+  try {
+    await send('VAULT_CHANGE_PASSPHRASE', { oldPassphrase: old, passphrase: pw });
+    toast('Passphrase changed', 'ok');
+  } catch (e) { toast(e.message, 'err'); }
+});
+
+document.getElementById('vaultDisableBtn').addEventListener('click', async () => {
+  const pw = prompt('Turn encryption off and decrypt the archive?\n\nEnter your passphrase:');
+  if (!pw) return;
+  const btn = document.getElementById('vaultDisableBtn');
+  btn.disabled = true;
+  toast('Decrypting archive…');
+  try {
+    await send('VAULT_DISABLE', { passphrase: pw });
+    toast('Encryption turned off', 'ok');
+    renderVault(await send('VAULT_STATUS'));
+  } catch (e) { toast(e.message, 'err'); }
+  finally { btn.disabled = false; }
+});
+
+chrome.runtime.onMessage.addListener(msg => {
+  if (msg.type === 'VAULT_STATE') renderVault(msg);
+});
+send('VAULT_STATUS').then(renderVault).catch(() => {});
+
+// ── URL cleanup (canonicalization) ─────────────────────────────────────────
+function parseCanonParams(text) {
+  return text.split(/[\s,]+/).map(p => p.trim()).filter(Boolean);
+}
+// "from = to" per line (→ and -> work too)
+function parseHostAliases(text) {
+  return text.split('\n').map(line => line.split(/\s*(?:=|->|→)\s*/)).filter(p => p.length === 2 && p[0].trim() && p[1].trim())
+    .map(([from, to]) => ({ from: from.trim().toLowerCase(), to: to.trim().toLowerCase() }));
+}
+function readCanonSettings() {
+  return {
+    canonicalizeUrls: document.getElementById('canonToggle').checked,
+    canonStripParams: parseCanonParams(document.getElementById('canonParams').value),
+    canonHostAliases: parseHostAliases(document.getElementById('canonHosts').value),
+  };
+}
+function populateCanonSettings(s) {
+  document.getElementById('canonToggle').checked = s.canonicalizeUrls === true;
+  document.getElementById('canonParams').value = (s.canonStripParams || []).join('\n');
+  document.getElementById('canonHosts').value = (s.canonHostAliases || []).map(a => `${a.from} = ${a.to}`).join('\n');
+}
+function updateCanonTest() {
+  const url = document.getElementById('canonTestInput').value.trim();
+  const out = document.getElementById('canonTestResult');
+  if (!url) { out.textContent = i18nMsg('canon_test_hint', 'Paste a URL to see how it would be saved'); return; }
+  const c = readCanonSettings();
+  const canon = EhCanon.compile({ enabled: c.canonicalizeUrls, stripParams: c.canonStripParams, hostAliases: c.canonHostAliases })(url);
+  out.textContent = canon === url ? i18nMsg('canon_unchanged', 'Saved unchanged') : i18nMsg('canon_saved_as', `Saved as ${canon}`, canon);
+}
+['canonTestInput', 'canonParams', 'canonHosts'].forEach(id => document.getElementById(id).addEventListener('input', updateCanonTest));
+document.getElementById('canonToggle').addEventListener('change', updateCanonTest);
+
+document.getElementById('recanonBtn').addEventListener('click', async () => {
+  if (!confirm(i18nMsg('recanon_confirm', 'Rewrite all saved history with the current URL cleanup rules and merge the duplicates this creates? This cannot be undone.'))) return;
+  const btn = document.getElementById('recanonBtn');
+  const status = document.getElementById('recanonStatus');
+  btn.disabled = true;
+  status.textContent = i18nMsg('working', 'Working…');
+  document.getElementById('recanonProgress').style.display = '';
+  try {
+    const r = await send('RECANONICALIZE');
+    status.textContent = i18nMsg('recanon_done', `${fmtNum(r.changed)} entries rewritten, ${fmtNum(r.merged)} duplicates merged`, fmtNum(r.changed), fmtNum(r.merged));
+  } catch (err) {
+    status.textContent = '';
+    toast(err.message, 'err');
+  } finally {
+    btn.disabled = false;
+    document.getElementById('recanonProgress').style.display = 'none';
+  }
+});
+chrome.runtime.onMessage.addListener(msg => {
+  if (msg.type !== 'RECANON_PROGRESS' || !msg.total) return;
+  document.getElementById('recanonProgressFill').style.width = `${Math.min(100, Math.round(msg.done / msg.total * 100))}%`;
+});
+
 document.getElementById('fontSel').addEventListener('change', () => {
   document.documentElement.style.setProperty('--font', document.getElementById('fontSel').value);
 });
@@ -2252,6 +2556,13 @@ function syncCps() {
 
 function populateSettings(s) {
   if (s.retentionDays) { document.getElementById('retDays').value = s.retentionDays; syncRetChips(s.retentionDays); }
+  document.getElementById('archiveDays').value = s.archiveAfterDays || 0;
+  document.getElementById('vaultIdle').value = s.vaultIdleMinutes ?? 15;
+  document.getElementById('backupSchedule').value = s.backupSchedule || 'off';
+  document.getElementById('backupKeep').value     = s.backupKeep || 7;
+  document.getElementById('backupFolder').value   = s.backupFolder ?? 'Extended History Backups';
+  renderRetRules(s.retentionRules || []);
+  populateCanonSettings(s);
   if (s.maxSessions)   { const el = document.getElementById('maxSessionsInput'); if (el) el.value = s.maxSessions; }
   if (s.fontSize)       document.getElementById('fontSzInput').value = s.fontSize;
   if (s.font) {
@@ -2308,6 +2619,8 @@ function populateSettings(s) {
   const timeTrackTgl = document.getElementById('timeTrackingToggle');
   if (timeTrackTgl) timeTrackTgl.checked = s.timeTrackingEnabled !== false;
   applyTimeTrackingState(s.timeTrackingEnabled !== false);
+  const idleInput = document.getElementById('idleMinutesInput');
+  if (idleInput) idleInput.value = typeof s.idleMinutes === 'number' ? s.idleMinutes : 2;
   const syncIntervalInput = document.getElementById('syncIntervalInput');
   if (syncIntervalInput) syncIntervalInput.value = typeof s.syncInterval === 'number' ? s.syncInterval : 30;
 
@@ -2364,7 +2677,50 @@ async function loadStorageBackend() {
     const lbl = document.getElementById('storageBackendLabel');
     if (sel) sel.value = backend;
     if (lbl) lbl.textContent = backend === 'idb' ? 'IndexedDB' : 'Local Storage';
-  } catch {}
+    if (r.migration) {
+      if (sel) sel.value = r.migration.target;
+      renderMigrationProgress(r.migration);
+    }
+    return r.migration;
+  } catch { return null; }
+}
+
+const MIGRATION_PHASES = { copy: 'Copying', verify: 'Verifying', cleanup: 'Removing old copy' };
+
+function renderMigrationProgress(st) {
+  const bar    = document.getElementById('migrateProgress');
+  const fill   = document.getElementById('migrateProgressFill');
+  const status = document.getElementById('migrateStorageStatus');
+  const undo   = document.getElementById('rollbackMigrationBtn');
+  if (!bar || !status) return;
+  if (st.phase === 'done') {
+    bar.style.display = 'none';
+    if (undo) undo.style.display = 'none';
+    return;
+  }
+  const pct = st.phase === 'copy' ? (st.total ? Math.round(st.done / st.total * 100) : 0) : 100;
+  bar.style.display = '';
+  fill.style.width  = pct + '%';
+  if (st.error) {
+    status.textContent = `✗ Stopped while ${(MIGRATION_PHASES[st.phase] || st.phase).toLowerCase()}: ${st.error}. Apply again to resume.`;
+  } else {
+    status.textContent = `${MIGRATION_PHASES[st.phase] || st.phase}… ${st.phase === 'copy' ? `${fmtNum(st.done)} / ${fmtNum(st.total)}` : ''}`;
+  }
+  if (undo) undo.style.display = st.error && st.phase !== 'cleanup' ? '' : 'none';
+}
+
+chrome.runtime.onMessage.addListener(msg => {
+  if (msg.type === 'BACKEND_MIGRATION_PROGRESS') renderMigrationProgress(msg);
+});
+
+async function rollbackMigration() {
+  if (!confirm('Discard the unfinished copy and keep the current storage engine?')) return;
+  try {
+    await send('ROLLBACK_MIGRATION');
+    renderMigrationProgress({ phase: 'done' });
+    document.getElementById('migrateStorageStatus').textContent = 'Migration rolled back';
+    loadStorageBackend();
+  } catch (err) { toast(err.message, 'err'); }
 }
 
 async function migrateStorage() {
@@ -2391,20 +2747,24 @@ async function migrateStorage() {
 
   btn.disabled = true;
   btn.textContent = 'Migrating…';
-  if (status) status.textContent = 'Please wait…';
+  renderMigrationProgress({ phase: 'copy', done: 0, total: 0 });
 
   try {
     const type = target === 'idb' ? 'MIGRATE_TO_IDB' : 'MIGRATE_TO_LOCAL';
     const r = await send(type);
     if (r.error) throw new Error(r.error);
     if (lbl) lbl.textContent = target === 'idb' ? 'IndexedDB' : 'Local Storage';
-    if (status) status.textContent = `✓ Migrated ${fmtNum(r.migrated)} entries`;
+    renderMigrationProgress({ phase: 'done' });
+    if (status) status.textContent = `✓ Migrated and verified ${fmtNum(r.migrated)} entries`;
     toast(`Migrated to ${target === 'idb' ? 'IndexedDB' : 'Local Storage'}`, 'ok');
   } catch(err) {
-    if (status) status.textContent = '✗ Migration failed: ' + err.message;
     toast('Migration failed: ' + err.message, 'err');
-    // Revert select to current
-    if (sel) sel.value = currentBackend;
+    // An interrupted copy reports its own state (resume / roll back); a rolled-back one is gone
+    const pending = await loadStorageBackend();
+    if (!pending) {
+      renderMigrationProgress({ phase: 'done' });
+      if (status) status.textContent = '✗ Migration failed: ' + err.message;
+    }
   }
 
   btn.disabled = false;
@@ -2430,10 +2790,19 @@ document.getElementById('saveSettingsBtn').addEventListener('click', async () =>
   const searchAutoFocus = document.getElementById('searchAutoFocusToggle')?.checked !== false;
   
   if (!days || days < 1) { toast('Invalid retention', 'err'); return; }
+  let retentionRules;
+  try { retentionRules = readRetRules(); } catch (err) { toast(err.message, 'err'); return; }
   try {
     const r = await send('SAVE_SETTINGS', { 
       settings: { 
         retentionDays: days, 
+        archiveAfterDays: Math.max(0, parseInt(document.getElementById('archiveDays').value) || 0),
+        vaultIdleMinutes: Math.max(0, Math.min(1440, parseInt(document.getElementById('vaultIdle').value) || 0)),
+        backupSchedule: document.getElementById('backupSchedule').value,
+        backupKeep: Math.max(1, Math.min(100, parseInt(document.getElementById('backupKeep').value) || 7)),
+        backupFolder: document.getElementById('backupFolder').value.trim(),
+        retentionRules,
+        ...readCanonSettings(),
         accentColor: c1, 
         accentColor2: c2, 
         font, 
@@ -2450,6 +2819,7 @@ document.getElementById('saveSettingsBtn').addEventListener('click', async () =>
         faviconResolver,
         searchAutoFocus,
         timeTrackingEnabled: document.getElementById('timeTrackingToggle')?.checked !== false,
+        idleMinutes: Math.max(0, Math.min(60, parseInt(document.getElementById('idleMinutesInput')?.value ?? '2') || 0)),
         syncInterval: Math.max(1, Math.min(1440, parseInt(document.getElementById('syncIntervalInput')?.value || '30') || 30)),
         autoStoreEnabled: document.getElementById('autoStoreToggle')?.checked === true,
         autoStoreHours: Math.max(1, Math.min(168, parseInt(document.getElementById('autoStoreHoursInput')?.value || '6') || 6))
@@ -2481,6 +2851,24 @@ document.getElementById('testAutoSaveBtn')?.addEventListener('click', async () =
   } catch (err) { toast(err.message, 'err'); }
 });
 
+// ── Storage upgrade progress ─────────────────────────────────────────────────
+function renderSchemaProgress(st) {
+  const el  = document.getElementById('schemaBanner');
+  const run = st && st.running;
+  if (!el) return;
+  if (!run) { el.classList.remove('open'); return; }
+  const pct = run.total ? Math.min(100, Math.round(run.done / run.total * 100)) : 0;
+  document.getElementById('schemaBannerText').textContent = run.error
+    ? `Storage upgrade paused at "${run.label}": ${run.error}. It will resume on the next browser start.`
+    : `Upgrading storage (step ${run.version} of ${st.latest}): ${run.label}${run.total ? ` — ${pct}%` : '…'}`;
+  document.getElementById('schemaBannerFill').style.width = pct + '%';
+  el.classList.add('open');
+}
+send('GET_SCHEMA_STATUS').then(renderSchemaProgress).catch(() => {});
+chrome.runtime.onMessage.addListener(msg => {
+  if (msg.type === 'SCHEMA_PROGRESS') renderSchemaProgress(msg);
+});
+
 // Signal SW that this page is loaded and ready to handle downloads
 chrome.runtime.sendMessage({ type: 'AUTO_SAVE_READY' }).catch(() => {});
 
@@ -2497,26 +2885,509 @@ chrome.runtime.onMessage.addListener((msg) => {
   setTimeout(() => { URL.revokeObjectURL(url); a.remove(); }, 3000);
 });
 
-document.getElementById('exportDataBtn').addEventListener('click', async () => {
+// ── Scheduled backups ─────────────────────────────────────────────────────────
+// The SW schedules and rotates; this page writes the file, since blob URLs
+// only exist here. chrome.downloads is an optional permission, asked for when
+// backups are switched on or run by hand.
+function requestDownloads() {
+  return chrome.permissions.request({ permissions: ['downloads'] }).catch(() => false);
+}
+
+function downloadFinished(id) {
+  return new Promise((resolve, reject) => {
+    const done = delta => {
+      if (delta.id !== id || !delta.state) return;
+      if (delta.state.current === 'complete') { chrome.downloads.onChanged.removeListener(done); resolve(); }
+      if (delta.state.current === 'interrupted') { chrome.downloads.onChanged.removeListener(done); reject(new Error('Download was interrupted')); }
+    };
+    chrome.downloads.onChanged.addListener(done);
+    // Small files can finish before the listener is in place
+    chrome.downloads.search({ id }).then(([item]) => item && done({ id, state: { current: item.state } }));
+  });
+}
+
+async function writeBackup({ name, key }) {
+  const data = await send('EXPORT', { full: true });
+  const blob = key
+    ? await EhCrypt.encrypt(EhCrypt.jsonParts(data), key)
+    : new Blob([...EhCrypt.jsonParts(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
   try {
-    const data = await send('EXPORT');
-    const useEncrypt = confirm('Encrypt export with a password?\n\nClick OK to encrypt, Cancel to export as plain JSON.');
-    let blob, filename;
-    if (useEncrypt) {
-      const pw = prompt('Enter encryption password:');
-      if (!pw) { toast('Export cancelled', 'err'); return; }
-      const pw2 = prompt('Confirm password:');
-      if (pw !== pw2) { toast('Passwords do not match', 'err'); return; }
-      const encrypted = await ehEncrypt(JSON.stringify(data), pw);
-      blob = new Blob([JSON.stringify({ __eh_encrypted: true, ...encrypted })], { type: 'application/json' });
-      filename = `extended-history_${new Date().toISOString().slice(0,10)}_enc.json`;
-      toast(`Exported ${fmtNum(data.totalEntries)} entries (encrypted)`, 'ok');
+    const id = await chrome.downloads.download({
+      url, filename: name + (key ? EhCrypt.EXTENSION : '.json'), conflictAction: 'uniquify', saveAs: false,
+    });
+    await downloadFinished(id);
+    const [item] = await chrome.downloads.search({ id });
+    return { id, filename: item?.filename || name, bytes: blob.size };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg, sender, respond) => {
+  if (msg.type !== 'BACKUP_RUN') return;
+  writeBackup(msg).then(respond, err => respond({ error: err.message }));
+  return true;
+});
+
+function renderBackupStatus(st) {
+  const el = document.getElementById('backupStatus');
+  if (!el) return;
+  const parts = [];
+  const line = (key, text, sub) => parts.push(i18nMsg(key, text.replace('$1', sub), sub));
+  if (st.lastAt)    line('backup_last',        'Last backup $1.',         timeAgo(st.lastAt));
+  if (st.lastError) line('backup_last_failed', 'Last attempt failed: $1.', st.lastError);
+  if (st.nextAt)    line('backup_next',        'Next one $1.',            new Date(st.nextAt).toLocaleString());
+  el.textContent = parts.join(' ');
+  document.getElementById('backupCryptState').textContent = st.encrypted ? i18nMsg('encrypted', 'Encrypted') : i18nMsg('not_encrypted', 'Not encrypted');
+  document.getElementById('backupCryptBtn').textContent   = st.encrypted ? i18nMsg('remove_password', 'Remove password') : i18nMsg('set_password', 'Set password');
+}
+
+function loadBackupStatus() {
+  return send('GET_BACKUP_STATUS').then(st => { renderBackupStatus(st); return st; }).catch(() => null);
+}
+
+document.getElementById('backupSchedule')?.addEventListener('change', async e => {
+  if (e.target.value !== 'off' && !await requestDownloads()) {
+    e.target.value = 'off';
+    toast('Backups need permission to save downloads', 'err');
+  }
+});
+
+document.getElementById('backupNowBtn')?.addEventListener('click', async () => {
+  const btn = document.getElementById('backupNowBtn');
+  if (!await requestDownloads()) { toast('Backups need permission to save downloads', 'err'); return; }
+  btn.disabled = true;
+  toast('Backing up…');
+  try {
+    const r = await send('BACKUP_NOW');
+    renderBackupStatus(r.status);
+    toast(`Backup saved to ${r.file.filename}`, 'ok');
+  } catch (err) {
+    toast('Backup failed: ' + err.message, 'err');
+    loadBackupStatus();
+  }
+  btn.disabled = false;
+});
+
+document.getElementById('backupCryptBtn')?.addEventListener('click', async () => {
+  try {
+    const st = await send('GET_BACKUP_STATUS');
+    if (st.encrypted) {
+      if (!confirm('Stop encrypting backups? Backups already saved stay encrypted.')) return;
+      await send('BACKUP_SET_PASSWORD', { password: null });
     } else {
-      blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      filename = `extended-history_${new Date().toISOString().slice(0,10)}.json`;
-      toast(`Exported ${fmtNum(data.totalEntries)} entries`, 'ok');
+      const pw = askNewPassphrase('Backup password');
+      if (!pw) return;
+      toast('Preparing key…');
+      await send('BACKUP_SET_PASSWORD', { password: pw });
+      toast('Backups will be encrypted', 'ok');
     }
-    Object.assign(document.createElement('a'), { href: URL.createObjectURL(blob), download: filename }).click();
+    loadBackupStatus();
+  } catch (err) { toast(err.message, 'err'); }
+});
+
+loadBackupStatus();
+
+// ── Profile export / import ───────────────────────────────────────────────────
+// One dialog for both: a row per section (see PROFILE_SECTIONS in the SW),
+// ticked to include it; on import each row also picks merge or replace.
+// Labels and descriptions are _locales keys, with the English as fallback.
+const PROFILE_SECTIONS = [
+  ['history',    ['history',     'History'],     ['profile_history_desc',   'Every visit, archived ones included']],
+  ['timeData',   ['time_spent',  'Time spent'],  ['profile_time_desc',      'Time per site and day']],
+  ['sessions',   ['sessions',    'Sessions'],    ['profile_sessions_desc',  'Past sessions']],
+  ['tabStorage', ['tab_storage', 'Tab storage'], ['profile_tabs_desc',      'Stored tabs']],
+  ['settings',   ['settings',    'Settings'],    ['profile_settings_desc',  'All settings, sessions to keep and auto-save interval']],
+  ['ignoreList', ['ignore_list', 'Ignore list'], ['profile_ignore_desc',    'Stays encrypted if it has a master password']],
+  ['wallpaper',  ['wallpaper',   'Wallpaper'],   ['profile_wallpaper_desc', 'Custom wallpaper image']],
+];
+let _profileFile = null;   // parsed file while importing, null while exporting
+// Files from elsewhere (see eh-import.js) — their `source`
+const IMPORT_SOURCES = {
+  chrome:  'Chrome / Edge history',
+  firefox: 'Firefox history',
+  safari:  'Safari history',
+  takeout: 'Google Takeout browser history',
+  csv:     'CSV file',
+  ndjson:  'NDJSON export',
+};
+// A database in WAL mode whose -wal file was left behind (EhSqlite reads the main file only)
+const WAL_WARNING = 'This database is in WAL mode: its newest visits may still be in the -wal file beside it and are not read. Copy the file again with that browser closed to get them.';
+
+// A _locales message with its placeholders filled in, or `fallback` without one
+function i18nMsg(key, fallback, ...subs) {
+  return chrome.i18n.getMessage(key, subs.map(String)) || fallback;
+}
+
+// What the file holds of a section, or null when it lacks it
+function profileFileInfo(data, section) {
+  const count = (key, unit, n) => i18nMsg(key, `${fmtNum(n)} ${unit}`, fmtNum(n));
+  const included = () => i18nMsg('included', 'Included');
+  if (Array.isArray(data)) return section === 'history' ? count('n_entries', 'entries', data.length) : null;
+  switch (section) {
+    case 'history':    return Array.isArray(data.entries)    ? count('n_entries', 'entries', data.entries.length) : null;
+    case 'timeData':   return data.timeData                  ? count('n_sites', 'sites', Object.keys(data.timeData).length) : null;
+    case 'sessions':   return Array.isArray(data.sessions)   ? count('n_sessions', 'sessions', data.sessions.length) : null;
+    case 'tabStorage': return Array.isArray(data.tabStorage) ? count('n_tabs', 'tabs', data.tabStorage.length) : null;
+    case 'settings':   return data.settings                  ? included() : null;
+    case 'ignoreList': return data.ignoreListSealed ? i18nMsg('password_protected', 'Password-protected')
+                            : Array.isArray(data.ignoreList) ? count('n_patterns', 'patterns', data.ignoreList.length) : null;
+    case 'wallpaper':  return data.wallpaper                 ? included() : null;
+  }
+  return null;
+}
+
+// The current search in words, or null when nothing narrows it
+function describeFilters({ query, startDate, endDate }) {
+  const parts = [];
+  if (query) parts.push(`“${query}”`);
+  const day = t => new Date(t).toLocaleDateString('en-CA');
+  if (startDate && endDate && endDate - startDate < 86400000) {
+    parts.push(day(startDate) + (filterHour !== null ? ` ${String(filterHour).padStart(2, '0')}:00` : ''));
+  } else if (startDate || endDate) {
+    parts.push(`${startDate ? day(startDate) : '…'} – ${endDate ? day(endDate) : '…'}`);
+  }
+  return parts.length ? parts.join(' · ') : null;
+}
+
+// Exporting, scope picks which history: 'all', 'search' or 'selected' — the latter two
+// start with only history ticked
+function openProfileModal(data = null, { scope = 'all' } = {}) {
+  _profileFile = data;
+  const importing   = !!data;
+  const historyOnly = scope !== 'all';
+  const action = importing ? i18nMsg('import', 'Import') : i18nMsg('export', 'Export');
+  document.getElementById('profileTitle').textContent = '📦 ' + action;
+  document.getElementById('profileSub').textContent = importing
+    ? (data.source ? `${IMPORT_SOURCES[data.source]}. ` : '')
+      + i18nMsg('profile_import_sub', 'Choose what to restore. Merge adds to what is here; replace discards what is here first.')
+      + (data.wal ? ' ' + i18nMsg('import_wal', WAL_WARNING) : '')
+    : i18nMsg('profile_export_sub', 'Choose what goes into the file.');
+  document.getElementById('profileGoBtn').textContent = action;
+  document.getElementById('profileExportOpts').style.display = importing ? 'none' : '';
+  document.getElementById('profileExportHow').style.display  = importing ? 'none' : '';
+  document.getElementById('profileEncrypt').checked = false;
+  if (!importing) {
+    const search = describeFilters(getFilters());
+    const opt    = document.getElementById('exportScopeSearch');
+    const found  = fmtNum(allResults.length) + (_searchHasMore ? '+' : '');
+    opt.textContent = search
+      ? i18nMsg('scope_current_search', `Current search: ${search} (${found})`, search, found)
+      : i18nMsg('scope_current_search_none', 'Current search (nothing filtered)');
+    opt.disabled = !search;
+    const sel = document.getElementById('exportScopeSelected');
+    sel.textContent = i18nMsg('scope_selected', `Selected (${fmtNum(selected.size)})`, fmtNum(selected.size));
+    sel.disabled = !selected.size;
+    if (scope === 'search' && !search) scope = 'all';
+    document.getElementById('exportScope').value  = scope === 'selected' && !selected.size ? 'all' : scope;
+    document.getElementById('exportFormat').value = 'json';
+  }
+  const list = document.getElementById('profileList');
+  list.innerHTML = '';
+  for (const [key, [labelKey, label], [descKey, desc]] of PROFILE_SECTIONS) {
+    const info = importing ? profileFileInfo(data, key) : i18nMsg(descKey, desc);
+    if (importing && !info) continue;
+    const row = document.createElement('label');
+    row.className = 'profile-row';
+    const on = importing || !historyOnly || key === 'history';
+    row.innerHTML = `<input type="checkbox" data-section="${key}"${on ? ' checked' : ''}>
+      <span class="profile-lbl">${esc(i18nMsg(labelKey, label))}</span><span class="profile-meta">${esc(info)}</span>
+      ${importing ? `<select data-mode><option value="merge">${esc(i18nMsg('merge', 'Merge'))}</option><option value="replace">${esc(i18nMsg('replace', 'Replace'))}</option></select>` : ''}`;
+    list.appendChild(row);
+  }
+  const history = importing && profileFileInfo(data, 'history') ? (Array.isArray(data) ? data : data.entries) : null;
+  setupImportFilter(history);
+  if (!importing) syncExportOpts();
+  document.getElementById('profileModal').classList.add('open');
+}
+
+// Only the JSON bundle holds more than history; the others skip the section list
+function syncExportOpts() {
+  const format = document.getElementById('exportFormat').value;
+  const scope  = document.getElementById('exportScope').value;
+  document.getElementById('profileList').style.display = format === 'json' ? '' : 'none';
+  const label  = EhExport.FORMATS[format].label;
+  document.getElementById('profileSub').textContent = format === 'json'
+    ? i18nMsg('profile_export_sub', 'Choose what goes into the file.')
+    : i18nMsg('profile_history_only', `History only — ${label}. Use JSON to import it again later.`, label);
+  const meta = document.querySelector('#profileList input[data-section="history"]')?.closest('.profile-row').querySelector('.profile-meta');
+  if (meta) meta.textContent = scope === 'search'   ? i18nMsg('scope_search_desc', 'Visits matching the current search')
+                             : scope === 'selected' ? i18nMsg('scope_selected_desc', 'The selected visits')
+                             : i18nMsg(...PROFILE_SECTIONS[0][2]);
+}
+
+function closeProfileModal() {
+  document.getElementById('profileModal').classList.remove('open');
+  _profileFile = null;
+  setupImportFilter(null);
+}
+
+// ── Import: which history ─────────────────────────────────────────────────────
+// Date range and sites, shown against a histogram of the file. The count here
+// is of the file alone; the SW applies the ignore list and finds duplicates.
+let _importEntries = null;   // the file's history while the dialog is open
+let _importIndex   = null;   // per entry: { day: 'YYYY-MM-DD', host }
+let _importTimer   = null;
+
+function importHosts(text) {
+  return text.split(/[\s,]+/)
+    .map(h => h.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/[/?#].*$/, '').replace(/^www\./, ''))
+    .filter(Boolean);
+}
+
+function importHostMatch(host, hosts) {
+  return hosts.some(h => host === h || host.endsWith('.' + h));
+}
+
+function readImportFilter() {
+  const from = document.getElementById('importFrom').value;
+  const to   = document.getElementById('importTo').value;
+  return {
+    start:       from ? new Date(from + 'T00:00:00').getTime() : null,
+    end:         to   ? new Date(to + 'T23:59:59.999').getTime() : null,
+    include:     importHosts(document.getElementById('importInclude').value),
+    exclude:     importHosts(document.getElementById('importExclude').value),
+    applyIgnore: document.getElementById('importApplyIgnore').checked,
+  };
+}
+
+function setupImportFilter(entries) {
+  const box = document.getElementById('importFilter');
+  _importEntries = entries;
+  _importIndex   = entries && entries.map(e => {
+    let host = '';
+    try { host = new URL(e.url).hostname.replace(/^www\./, ''); } catch {}
+    return { day: new Date(e.visitTime || Date.now()).toLocaleDateString('en-CA'), host };
+  });
+  box.style.display = entries ? '' : 'none';
+  if (!entries) return;
+  ['importFrom', 'importTo', 'importInclude', 'importExclude'].forEach(id => { document.getElementById(id).value = ''; });
+  document.getElementById('importApplyIgnore').checked = true;
+  const days = _importIndex.map(x => x.day).sort();
+  for (const id of ['importFrom', 'importTo']) {
+    document.getElementById(id).min = days[0] || '';
+    document.getElementById(id).max = days[days.length - 1] || '';
+  }
+  renderImportFilter();
+}
+
+// Consecutive days from first to last — months once that spans over 400 days
+function importBuckets(first, last) {
+  const byMonth = (new Date(last) - new Date(first)) / 86400000 > 400;
+  const d = new Date(first + 'T12:00:00');
+  if (byMonth) d.setDate(1);
+  const keys = [];
+  for (let key = first; key <= last; ) {
+    keys.push(byMonth ? key.slice(0, 7) : key);
+    if (byMonth) d.setMonth(d.getMonth() + 1); else d.setDate(d.getDate() + 1);
+    key = d.toLocaleDateString('en-CA');
+  }
+  return { keys, byMonth };
+}
+
+function renderImportFilter() {
+  const f = readImportFilter();
+  const all = new Map(), kept = new Map();
+  let n = 0;
+  _importEntries.forEach((e, i) => {
+    const { day, host } = _importIndex[i];
+    all.set(day, (all.get(day) || 0) + 1);
+    const t = e.visitTime || Date.now();
+    if ((f.start && t < f.start) || (f.end && t > f.end)) return;
+    if (f.include.length && !importHostMatch(host, f.include)) return;
+    if (importHostMatch(host, f.exclude)) return;
+    kept.set(day, (kept.get(day) || 0) + 1);
+    n++;
+  });
+
+  const svg  = document.getElementById('importHist');
+  const days = [...all.keys()].sort();
+  svg.innerHTML = '';
+  if (days.length) {
+    const { keys, byMonth } = importBuckets(days[0], days[days.length - 1]);
+    const sum = map => { const out = new Map(); for (const [d, c] of map) { const k = byMonth ? d.slice(0, 7) : d; out.set(k, (out.get(k) || 0) + c); } return out; };
+    const allB = sum(all), keptB = sum(kept);
+    const W = svg.clientWidth || 480, H = 60;
+    const bw = W / keys.length, maxV = Math.max(...allB.values(), 1);
+    const bar = (i, v, cls) => v ? `<rect class="${cls}" x="${i * bw}" y="${H - v / maxV * H}" width="${Math.max(bw - (bw > 3 ? 1 : 0), 0.5)}" height="${v / maxV * H}"/>` : '';
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+    svg.innerHTML = keys.map((k, i) =>
+      `<g><title>${k}: ${fmtNum(keptB.get(k) || 0)} of ${fmtNum(allB.get(k) || 0)}</title>${bar(i, allB.get(k), 'ih-all')}${bar(i, keptB.get(k), 'ih-kept')}</g>`
+    ).join('');
+    document.getElementById('importHistFirst').textContent = keys[0];
+    document.getElementById('importHistLast').textContent  = keys[keys.length - 1];
+  }
+  const shown = fmtNum(n), total = fmtNum(_importEntries.length);
+  document.getElementById('importCount').textContent =
+    i18nMsg('import_count', `${shown} of ${total} entries selected`, shown, total) +
+    (f.applyIgnore ? i18nMsg('import_count_ignore', ' — sites on the ignore list are left out on import') : '');
+}
+
+['importFrom', 'importTo', 'importInclude', 'importExclude', 'importApplyIgnore'].forEach(id => {
+  document.getElementById(id).addEventListener('input', () => {
+    clearTimeout(_importTimer);
+    _importTimer = setTimeout(() => { if (_importEntries) renderImportFilter(); }, 200);
+  });
+});
+// The filter only matters while history is ticked
+document.getElementById('profileList').addEventListener('change', ev => {
+  if (ev.target.dataset.section === 'history' && _importEntries) {
+    document.getElementById('importFilter').style.display = ev.target.checked ? '' : 'none';
+  }
+});
+
+// Every entry matching `filters`, paged through SEARCH the way the list loads them
+// format: see EhExport.FORMATS; scope 'search' or 'selected' swaps all history for
+// the current search or the selected rows
+async function runProfileExport(sections, { format = 'json', scope = 'all' } = {}) {
+  let pw = null;
+  if (document.getElementById('profileEncrypt').checked) {
+    pw = prompt('Enter encryption password:');
+    if (!pw) { toast('Export cancelled', 'err'); return; }
+    if (prompt('Confirm password:') !== pw) { toast('Passwords do not match', 'err'); return; }
+  }
+  closeProfileModal();
+  toast(pw ? 'Encrypting…' : 'Exporting…');
+  if (format !== 'json') sections = ['history'];
+  const scoped = scope !== 'all' && sections.includes('history');
+  const data   = await send('EXPORT', { sections: scoped ? sections.filter(s => s !== 'history') : sections });
+  if (scoped) {
+    let entries = allResults.filter(e => selected.has(e.id));
+    if (scope === 'search') {
+      // One pass in the SW; a locked archive would silently shorten it
+      const r = await send('EXPORT_SEARCH', getFilters());
+      if (r.locked && !confirm(i18nMsg('export_search_locked', 'Past history is locked, so its archived months would be left out of this export. Export the rest anyway?'))) {
+        toast('Export cancelled', 'err');
+        return;
+      }
+      entries = r.entries;
+    }
+    data.sections     = sections;
+    data.entries      = entries;
+    data.totalEntries = entries.length;
+  }
+  const { ext, type } = EhExport.FORMATS[format];
+  const name = `extended-history_${new Date().toISOString().slice(0,10)}`;
+  const blob = pw
+    ? await EhCrypt.encrypt(EhExport.parts(format, data), pw)
+    : new Blob([...EhExport.parts(format, data)], { type });
+  // Encrypted JSON is name.ehenc as before; the others keep their format in the name
+  // (name.csv.ehenc), which import and Decrypt file go by
+  const url  = URL.createObjectURL(blob);
+  Object.assign(document.createElement('a'), {
+    href: url, download: name + (!pw ? ext : format === 'json' ? EhCrypt.EXTENSION : ext + EhCrypt.EXTENSION),
+  }).click();
+  setTimeout(() => URL.revokeObjectURL(url), 3000);
+  const what = data.entries ? `${fmtNum(data.totalEntries)} entries` : `${sections.length} sections`;
+  toast(`Exported ${what}${pw ? ' (encrypted)' : ''}`, 'ok');
+}
+
+async function runProfileImport(plan) {
+  const data = _profileFile;
+  if (plan.history === 'replace' && !confirm("Replace all history stored by Extended History with the history in this file? Chrome's own history is left alone. Cannot be undone.")) return;
+  let ignorePassword;
+  if (plan.ignoreList === 'merge' && data.ignoreListSealed) {
+    ignorePassword = prompt('The ignore list in this file is password-protected. Enter its master password to merge it:');
+    if (!ignorePassword) return;
+  }
+  closeProfileModal();
+  toast('Importing…');
+  const historyFilter = plan.history ? readImportFilter() : undefined;
+  const r = await send('IMPORT_PROFILE', { data, plan, ignorePassword, historyFilter });
+  const labels = Object.fromEntries(PROFILE_SECTIONS.map(([key, label]) => [key, i18nMsg(...label)]));
+  const failed = Object.entries(r.errors);
+  const h = r.done.history;
+  if (failed.length) {
+    toast(failed.map(([key, msg]) => `${labels[key]}: ${msg}`).join(' · '), 'err');
+  } else if (h) {
+    toast(`Imported ${fmtNum(h.added)} new entries — ${fmtNum(h.duplicates)} already here` +
+      (h.skipped ? `, ${fmtNum(h.skipped)} left out` : ''), 'ok');
+  } else {
+    toast('Imported', 'ok');
+  }
+  // Settings and wallpaper are applied all over the page — start it afresh
+  if (r.done.settings != null || r.done.wallpaper) { setTimeout(() => location.reload(), 1500); return; }
+  doSearch();
+}
+
+document.getElementById('profileGoBtn').addEventListener('click', async () => {
+  const plan = {};
+  document.querySelectorAll('#profileList .profile-row').forEach(row => {
+    const box = row.querySelector('input[data-section]');
+    if (box.checked) plan[box.dataset.section] = row.querySelector('select[data-mode]')?.value || 'merge';
+  });
+  const format = document.getElementById('exportFormat').value;
+  if (!Object.keys(plan).length && (_profileFile || format === 'json')) { toast('Nothing selected', 'err'); return; }
+  try {
+    if (_profileFile) await runProfileImport(plan);
+    else await runProfileExport(Object.keys(plan), { format, scope: document.getElementById('exportScope').value });
+  } catch (err) { toast(err.message, 'err'); }
+});
+document.getElementById('exportFormat').innerHTML = Object.entries(EhExport.FORMATS)
+  .map(([id, f]) => `<option value="${id}">${esc(f.label)}</option>`).join('');
+['exportFormat', 'exportScope'].forEach(id => document.getElementById(id).addEventListener('change', syncExportOpts));
+document.getElementById('profileCancelBtn').addEventListener('click', closeProfileModal);
+document.getElementById('profileModal').addEventListener('click', ev => {
+  if (ev.target.id === 'profileModal') closeProfileModal();
+});
+
+// CSV import: the user says which column is which, helped by a guess and a preview
+function askCsvColumns(header, rows) {
+  const modal = document.getElementById('csvMapModal');
+  const sels  = { url: 'csvUrlCol', title: 'csvTitleCol', time: 'csvTimeCol' };
+  const guess = EhImport.guessCsvColumns(header);
+  for (const [key, id] of Object.entries(sels)) {
+    const sel = document.getElementById(id);
+    sel.innerHTML = (key === 'url' ? '' : '<option value="-1">(none)</option>') +
+      header.map((h, i) => `<option value="${i}">${esc(h || `Column ${i + 1}`)}</option>`).join('');
+    sel.value = String(guess[key] >= 0 ? guess[key] : key === 'url' ? 0 : -1);
+  }
+  const read = () => Object.fromEntries(Object.entries(sels).map(([key, id]) => [key, parseInt(document.getElementById(id).value)]));
+  const preview = () => {
+    const c = read();
+    document.getElementById('csvPreview').innerHTML = rows.slice(0, 6).map(r => {
+      const t = c.time >= 0 ? EhImport.parseTime(r[c.time]) : null;
+      return `<div>${esc(t ? new Date(t).toLocaleString() : '—')} · ${esc(r[c.url] || '')} · ${esc(c.title >= 0 ? r[c.title] || '' : '')}</div>`;
+    }).join('');
+  };
+  preview();
+  modal.classList.add('open');
+  return new Promise(resolve => {
+    const done = result => {
+      modal.classList.remove('open');
+      modal.removeEventListener('change', preview);
+      document.getElementById('csvOkBtn').onclick = document.getElementById('csvCancelBtn').onclick = null;
+      resolve(result);
+    };
+    modal.addEventListener('change', preview);
+    document.getElementById('csvOkBtn').onclick     = () => done(read());
+    document.getElementById('csvCancelBtn').onclick = () => done(null);
+  });
+}
+
+document.getElementById('exportDataBtn').addEventListener('click', () => openProfileModal());
+
+// Any encrypted export back to the plain file — the way back for HTML reports
+document.getElementById('decryptFileBtn')?.addEventListener('click', () => {
+  document.getElementById('decryptFile')?.click();
+});
+document.getElementById('decryptFile')?.addEventListener('change', async ev => {
+  const file = ev.target.files[0];
+  ev.target.value = '';
+  if (!file) return;
+  try {
+    if (!await EhCrypt.version(file)) { toast('This file is not encrypted', 'err'); return; }
+    const pw = prompt('Enter the password to decrypt:');
+    if (!pw) { toast('Cancelled', 'err'); return; }
+    const blob = await EhCrypt.decrypt(file, pw);
+    let name = file.name;
+    if (name.toLowerCase().endsWith(EhCrypt.EXTENSION)) name = name.slice(0, -EhCrypt.EXTENSION.length);
+    if (!/\.[a-z]+$/i.test(name)) name += '.json';
+    const url = URL.createObjectURL(blob);
+    Object.assign(document.createElement('a'), { href: url, download: name }).click();
+    setTimeout(() => URL.revokeObjectURL(url), 3000);
+    toast(`Decrypted to ${name}`, 'ok');
   } catch (err) { toast(err.message, 'err'); }
 });
 
@@ -2525,28 +3396,20 @@ document.getElementById('importDataBtn')?.addEventListener('click', () => {
 });
 document.getElementById('importDataFile')?.addEventListener('change', async ev => {
   const file = ev.target.files[0];
+  ev.target.value = '';
   if (!file) return;
   try {
-    const raw = JSON.parse(await file.text());
-    let data = raw;
-    if (raw.__eh_encrypted) {
-      const pw = prompt('This file is encrypted. Enter the password to decrypt:');
-      if (!pw) { toast('Import cancelled', 'err'); ev.target.value = ''; return; }
-      try {
-        const decrypted = await ehDecrypt(raw, pw);
-        data = JSON.parse(decrypted);
-      } catch {
-        toast('Wrong password or corrupted file', 'err');
-        ev.target.value = '';
-        return;
-      }
+    toast('Reading file…');
+    const data = await EhImport.read(file, {
+      askPassword: () => prompt('This file is encrypted. Enter the password to decrypt:'),
+      askCsvColumns,
+    });
+    if (!data) { toast('Import cancelled', 'err'); return; }
+    if (typeof data !== 'object' || !PROFILE_SECTIONS.some(([key]) => profileFileInfo(data, key))) {
+      toast('Invalid file format', 'err');
+      return;
     }
-    const entries = data.entries || (Array.isArray(data) ? data : null);
-    if (!entries) { toast('Invalid file format', 'err'); return; }
-    const r = await send('IMPORT_HISTORY', { entries });
-    toast(`Imported ${fmtNum(r.imported)} new entries`, 'ok');
-    doSearch();
-    ev.target.value = '';
+    openProfileModal(data);
   } catch (err) { toast(err.message || 'Import failed', 'err'); }
 });
 
@@ -2593,6 +3456,7 @@ function showCtxMenu(x, y, entry, source) {
   const jumpSep    = document.getElementById('ctx-jump-sep');
   const bmRemove   = document.getElementById('ctx-remove-bookmark');
   const bmRemoveSep= document.getElementById('ctx-bm-remove-sep');
+  const trailEl    = document.getElementById('ctx-show-trail');
   const hasId   = !!entry.id;
   const hasDate = !!entry.visitTime;
   const hasBmId = !!entry.bmId;
@@ -2600,6 +3464,7 @@ function showCtxMenu(x, y, entry, source) {
   if (delSep)       delSep.style.display       = hasId   ? '' : 'none';
   if (jumpEl)       jumpEl.style.display       = hasDate ? '' : 'none';
   if (jumpSep)      jumpSep.style.display      = hasDate ? '' : 'none';
+  if (trailEl)      trailEl.style.display      = hasDate && _ctxSource === 'history' ? '' : 'none';
   if (bmRemove)     bmRemove.style.display     = hasBmId ? '' : 'none';
   if (bmRemoveSep)  bmRemoveSep.style.display  = hasBmId ? '' : 'none';
   menu.style.display = 'block';
@@ -2633,6 +3498,11 @@ document.getElementById('ctx-jump-to-date').addEventListener('click', () => {
     activateDatePill(dateKey);
   }
 });
+document.getElementById('ctx-show-trail').addEventListener('click', () => {
+  const entry = _ctxEntry;
+  hideCtxMenu();
+  if (entry?.url && entry.visitTime) showTrail(entry);
+});
 document.getElementById('ctx-copy-url').addEventListener('click', () => {
   if (_ctxEntry?.url) navigator.clipboard.writeText(_ctxEntry.url).then(() => toast('URL copied', 'ok')); hideCtxMenu();
 });
@@ -2654,6 +3524,141 @@ document.getElementById('ctx-remove-bookmark').addEventListener('click', () => {
   });
 });
 
+// ── Navigation trail ─────────────────────────────────────────────────────────
+// Ancestors are drawn as a single nested chain ending at the chosen visit,
+// which then branches into every page reached from it.
+function trailRowHtml(n, current) {
+  const dom  = tryDomain(n.url);
+  const via  = n.via === 'opener' ? i18nMsg('trail_new_tab', 'New tab') : transitionLabel(n.tr);
+  return `<div class="trail-node${current ? ' current' : ''}" data-url="${esc(n.url)}" title="${esc(n.url)}">
+    <img class="e-fav" src="${favUrl(dom)}" loading="lazy"/>
+    <div class="e-title">${esc(n.title || n.url)}</div>
+    ${via ? `<span class="e-via">${esc(via)}</span>` : ''}
+    <div class="e-time">${esc(dayLabel(n.t))} ${fmtTime(n.t)}</div>
+  </div>`;
+}
+function trailBranchHtml(n, current) {
+  const kids = n.children.length ? `<ul>${n.children.map(c => trailBranchHtml(c, false)).join('')}</ul>` : '';
+  return `<li>${trailRowHtml(n, current)}${kids}</li>`;
+}
+
+async function showTrail(entry) {
+  const modal = document.getElementById('trailModal');
+  const box   = document.getElementById('trailTree');
+  box.innerHTML = `<div class="trail-empty">${esc(i18nMsg('loading', 'Loading…'))}</div>`;
+  modal.classList.add('open');
+  try {
+    const r = await send('GET_TRAIL', { url: entry.url, visitTime: entry.visitTime });
+    if (!r.found) {
+      box.innerHTML = `<div class="trail-empty">${esc(i18nMsg('trail_none', 'No trail was recorded for this visit. Trails are kept for pages visited after this version was installed and follow your history retention setting.'))}</div>`;
+      return;
+    }
+    let html = trailBranchHtml(r.node, true);
+    for (const a of [...r.ancestors].reverse()) html = `<li>${trailRowHtml(a, false)}<ul>${html}</ul></li>`;
+    box.innerHTML = `<ul class="trail-tree">${html}</ul>`;
+    box.querySelectorAll('.e-fav').forEach(img => img.addEventListener('error', function(){ this.style.opacity='0'; }));
+    box.querySelectorAll('.trail-node').forEach(el => el.addEventListener('click', () => {
+      chrome.tabs.create({ url: el.dataset.url, active: false });
+    }));
+    box.querySelector('.trail-node.current')?.scrollIntoView({ block: 'center' });
+  } catch (err) {
+    box.innerHTML = `<div class="trail-empty">${esc(err.message)}</div>`;
+  }
+}
+document.getElementById('trailCloseBtn')?.addEventListener('click', () => {
+  document.getElementById('trailModal').classList.remove('open');
+});
+document.getElementById('trailModal')?.addEventListener('click', ev => {
+  if (ev.target.id === 'trailModal') ev.target.classList.remove('open');
+});
+
+// ── Duplicate cleanup panel ──────────────────────────────────────────────────
+let _dupGroups = [];
+
+function dupGroupHtml(g, i) {
+  const first = g.entries[0], last = g.entries[g.entries.length - 1];
+  const span  = dayLabel(first.visitTime) === dayLabel(last.visitTime)
+    ? `${dayLabel(first.visitTime)} ${fmtTime(first.visitTime)}–${fmtTime(last.visitTime)}`
+    : `${dayLabel(first.visitTime)} – ${dayLabel(last.visitTime)}`;
+  return `<div class="dup-group" data-i="${i}">
+    <div class="dup-head">
+      <img class="e-fav" src="${favUrl(last.domain || tryDomain(last.url))}" loading="lazy"/>
+      <div class="e-body">
+        <div class="e-title">${esc(last.title || last.url)}</div>
+        <div class="e-url">${esc(last.url)}</div>
+      </div>
+      <div class="dup-meta">${fmtNum(g.entries.reduce((n, e) => n + (e.visits || 1), 0))} visits · ${esc(span)}</div>
+      <select class="dup-keep">
+        <option value="newest">Keep newest</option>
+        <option value="first">Keep first</option>
+        <option value="merge">Merge</option>
+        <option value="skip">Skip</option>
+      </select>
+    </div>
+    <details><summary>Show visits</summary><ul>${g.entries.map(e =>
+      `<li>${esc(dayLabel(e.visitTime))} ${fmtTime(e.visitTime)} · ${esc(e.title || e.url)}</li>`).join('')}</ul></details>
+  </div>`;
+}
+
+async function scanDuplicates() {
+  const list    = document.getElementById('dupList');
+  const summary = document.getElementById('dupSummary');
+  const apply   = document.getElementById('dupApplyBtn');
+  apply.disabled = true;
+  list.innerHTML = '';
+  summary.textContent = 'Scanning history…';
+  try {
+    const r = await send('FIND_DUPLICATES', {
+      by:       document.getElementById('dupBy').value,
+      windowMs: parseInt(document.getElementById('dupWindow').value) || 0,
+    });
+    _dupGroups = r.groups;
+    if (!r.totalGroups) { summary.textContent = 'No duplicates found.'; return; }
+    summary.textContent = `${fmtNum(r.totalGroups)} groups, ${fmtNum(r.totalDuplicates)} extra visits`
+      + (r.totalGroups > r.groups.length ? ` — showing the ${fmtNum(r.groups.length)} most recent groups` : '');
+    list.innerHTML = _dupGroups.map(dupGroupHtml).join('');
+    list.querySelectorAll('.e-fav').forEach(img => img.addEventListener('error', function(){ this.style.opacity='0'; }));
+    apply.disabled = false;
+  } catch (err) {
+    summary.textContent = err.message;
+  }
+}
+
+async function applyDuplicates() {
+  const choices = [...document.querySelectorAll('#dupList .dup-group')]
+    .map(el => ({ keep: el.querySelector('.dup-keep').value, ids: _dupGroups[+el.dataset.i].entries.map(e => e.id) }))
+    .filter(c => c.keep !== 'skip');
+  if (!choices.length) { toast('Every group is set to skip', 'err'); return; }
+  const btn = document.getElementById('dupApplyBtn');
+  btn.disabled = true;
+  try {
+    const r = await send('RESOLVE_DUPLICATES', { choices });
+    toast(`Removed ${fmtNum(r.removed)} duplicate visits`, 'ok');
+    await scanDuplicates();
+  } catch (err) {
+    toast(err.message, 'err');
+    btn.disabled = false;
+  }
+}
+
+document.getElementById('findDupBtn')?.addEventListener('click', () => {
+  document.getElementById('dupModal').classList.add('open');
+  scanDuplicates();
+});
+document.getElementById('dupScanBtn')?.addEventListener('click', scanDuplicates);
+document.getElementById('dupApplyBtn')?.addEventListener('click', applyDuplicates);
+document.getElementById('dupAllKeep')?.addEventListener('change', ev => {
+  if (!ev.target.value) return;
+  document.querySelectorAll('#dupList .dup-keep').forEach(sel => { sel.value = ev.target.value; });
+  ev.target.value = '';
+});
+document.getElementById('dupCloseBtn')?.addEventListener('click', () => {
+  document.getElementById('dupModal').classList.remove('open');
+});
+document.getElementById('dupModal')?.addEventListener('click', ev => {
+  if (ev.target.id === 'dupModal') ev.target.classList.remove('open');
+});
+
 // ── Session export as HTML ────────────────────────────────────────────────────
 function exportSessionAsHtml(label, tabs, tabStorageEntries) {
   tabStorageEntries = tabStorageEntries || [];
@@ -2798,28 +3803,21 @@ function rmListArea()  { return document.getElementById('rmListArea'); }
 // ── Load file ────────────────────────────────────────────────────────────────
 async function rmLoadFile(file) {
   try {
-    const text = await file.text();
-    const raw = JSON.parse(text);
-    let data = raw;
-
-    // Auto-detect encrypted export
-    if (raw.__eh_encrypted) {
-      const pw = prompt('This file is encrypted. Enter the password to decrypt:');
-      if (!pw) { toast('Cancelled', 'err'); return; }
-      try {
-        const decrypted = await ehDecrypt(raw, pw);
-        data = JSON.parse(decrypted);
-      } catch {
-        toast('Wrong password or corrupted file', 'err');
-        return;
-      }
-    }
+    // Whatever Import reads: exports (encrypted or not, JSON, CSV, NDJSON) and
+    // other browsers' history files
+    const data = await EhImport.read(file, {
+      askPassword: () => prompt('This file is encrypted. Enter the password to decrypt:'),
+      askCsvColumns,
+    });
+    if (!data) { toast('Cancelled', 'err'); return; }
 
     // Support both raw array and {entries:[...]} exports
     const entries = Array.isArray(data) ? data : (data.entries || []);
     if (!entries.length) { toast('No entries found in file', 'err'); return; }
 
-    _rmEntries = entries.sort((a, b) => b.visitTime - a.visitTime);
+    // CSV rows without a time count as visited now, as they would on import
+    const now = Date.now();
+    _rmEntries = entries.map(e => e.visitTime ? e : { ...e, visitTime: now }).sort((a, b) => b.visitTime - a.visitTime);
     _rmFilterDate = null;
     _rmSearchVal  = '';
 
@@ -2831,6 +3829,7 @@ async function rmLoadFile(file) {
 
     rmBuildDateNav();
     rmDoFilter();
+    if (data.wal) toast(i18nMsg('import_wal', WAL_WARNING), 'err');
   } catch (err) {
     toast('Could not read file: ' + err.message, 'err');
   }
@@ -2925,9 +3924,14 @@ function rmActivateDatePill(key, silent) {
 
 // ── Filter + render ──────────────────────────────────────────────────────────
 function rmDoFilter() {
-  const q     = _rmSearchVal.trim().toLowerCase();
-  const words = q.split(/\s+/).filter(Boolean);
   const mode  = (document.getElementById('rmSearchMode')?.value) || 'all';
+  let q;
+  try {
+    q = EhQuery.compile(_rmSearchVal.trim(), mode);
+  } catch (err) {
+    rmListArea().innerHTML = `<div class="state-msg"><span class="state-msg-icon">⚠</span>${esc(err.message)}</div>`;
+    return;
+  }
 
   // Date range from picker inputs (only used when no pill date is active)
   const fromVal = document.getElementById('rmDateFrom')?.value;
@@ -2943,16 +3947,7 @@ function rmDoFilter() {
       if (fromTs && e.visitTime < fromTs) return false;
       if (toTs   && e.visitTime > toTs)   return false;
     }
-    if (words.length) {
-      const dom = e.domain || tryDomain(e.url);
-      let hay;
-      if      (mode === 'title')  hay = (e.title || '').toLowerCase();
-      else if (mode === 'url')    hay = (e.url   || '').toLowerCase();
-      else if (mode === 'domain') hay = dom.toLowerCase();
-      else                        hay = [e.url, e.title||'', dom].join(' ').toLowerCase();
-      if (!words.every(w => hay.includes(w))) return false;
-    }
-    return true;
+    return !q || q.test(e.domain ? e : { ...e, domain: tryDomain(e.url) });
   });
 
   _rmVsOffset = 0; _rmVsLoading = false;
@@ -3081,19 +4076,12 @@ document.addEventListener('DOMContentLoaded', () => {
 // ══ END READING MODE ═════════════════════════════════════════════════════════
 
 // ── Ignore List Password Gate ─────────────────────────────────────────────────
-const IGNORE_PW_KEY = 'eh_ignore_pw_hash';
-
-async function hashPassword(pw) {
-  const enc = new TextEncoder();
-  const buf = await crypto.subtle.digest('SHA-256', enc.encode('EH_IGNORE:' + pw));
-  return Array.from(new Uint8Array(buf)).map(b => b.toString(16).padStart(2, '0')).join('');
-}
-
+// The background keeps the list sealed under the master password and decides
+// whether a password is right; after repeated wrong ones it answers with
+// `retryAt` and this dialog counts down until then.
 async function handleIgnoreListAccess() {
-  const stored = await chrome.storage.local.get([IGNORE_PW_KEY, 'eh_ignore_list']);
-  const pwHash = stored[IGNORE_PW_KEY];
-  const list   = stored['eh_ignore_list'] || [];
-  const isFirstTime = !pwHash || list.length === 0;
+  const status = await send('IGNORE_LOCK_STATUS');
+  const isFirstTime = !status.protected;
 
   const modal    = document.getElementById('ignorePasswordModal');
   const title    = document.getElementById('ignorePwTitle');
@@ -3109,18 +4097,31 @@ async function handleIgnoreListAccess() {
   errEl.textContent = '';
 
   let mode = isFirstTime ? 'setup' : 'unlock'; // 'setup' | 'unlock' | 'reset-new'
-  let _resolvePw = null;
+  let _backoffTimer = null;
+
+  // Disables OK and counts down while the background refuses attempts
+  function backOff(retryAt) {
+    clearTimeout(_backoffTimer);
+    const left = Math.ceil((retryAt - Date.now()) / 1000);
+    if (left <= 0) { _backoffTimer = null; okBtn.disabled = false; errEl.style.display = 'none'; return; }
+    okBtn.disabled = true;
+    errEl.textContent = `Too many wrong attempts. Try again in ${left < 60 ? `${left} s` : `${Math.ceil(left / 60)} min`}.`;
+    errEl.style.display = '';
+    _backoffTimer = setTimeout(() => backOff(retryAt), 1000);
+  }
 
   function setMode(m) {
     mode = m;
     if (m === 'setup') {
       title.textContent = '🔒 Set Up Ignore List';
-      desc.textContent  = 'No password is set yet. Create a master password to protect your ignore list.';
+      desc.textContent  = 'No password is set yet. Create a master password to protect your ignore list — it is stored encrypted, and after each browser restart it applies once unlocked here.';
       resetBtn.style.display = 'none';
       okBtn.textContent = 'Create Password';
     } else if (m === 'unlock') {
       title.textContent = '🔒 Ignore List Access';
-      desc.textContent  = 'Enter your master password to view the ignore list.';
+      desc.textContent  = status.unlocked
+        ? 'Enter your master password to view the ignore list.'
+        : 'Enter your master password to view the ignore list. It has been locked since the browser started, so only patterns added since then apply — unlocking applies all of them again and removes what was visited meanwhile.';
       resetBtn.style.display = '';
       okBtn.textContent = 'OK';
     } else if (m === 'reset-new') {
@@ -3134,10 +4135,14 @@ async function handleIgnoreListAccess() {
   }
 
   setMode(mode);
+  if (status.retryAt) backOff(status.retryAt);
   modal.classList.add('open');
   setTimeout(() => input.focus(), 50);
 
   function cleanup() {
+    clearTimeout(_backoffTimer);
+    _backoffTimer = null;
+    okBtn.disabled = false;
     modal.classList.remove('open');
     okBtn.removeEventListener('click', onOk);
     resetBtn.removeEventListener('click', onReset);
@@ -3149,33 +4154,44 @@ async function handleIgnoreListAccess() {
     const pw = input.value.trim();
     if (!pw) { errEl.textContent = 'Please enter a password.'; errEl.style.display = ''; return; }
 
-    if (mode === 'setup' || mode === 'reset-new') {
-      // Set new password
-      const hash = await hashPassword(pw);
-      await chrome.storage.local.set({ [IGNORE_PW_KEY]: hash });
-      cleanup();
-      // Now show the ignore list panel
-      _showIgnorePanel();
-    } else {
-      // Verify password
-      const hash = await hashPassword(pw);
-      if (hash !== pwHash) {
-        errEl.textContent = 'Incorrect password. Try again.';
-        errEl.style.display = '';
-        input.value = '';
-        input.focus();
-        return;
+    if (okBtn.disabled) return;
+
+    okBtn.disabled = true;
+    try {
+      if (mode === 'setup' || mode === 'reset-new') {
+        // Set new password — the list is sealed under it
+        await send('IGNORE_SET_PASSWORD', { password: pw });
+      } else {
+        // Verify password
+        const r = await send('IGNORE_UNLOCK', { password: pw });
+        if (!r.success) {
+          input.value = '';
+          input.focus();
+          if (r.retryAt) { backOff(r.retryAt); return; }
+          errEl.textContent = 'Incorrect password. Try again.';
+          errEl.style.display = '';
+          return;
+        }
       }
-      cleanup();
-      _showIgnorePanel();
+    } catch (err) {
+      errEl.textContent = err.message;
+      errEl.style.display = '';
+      return;
+    } finally {
+      if (!_backoffTimer) okBtn.disabled = false;
     }
+    cleanup();
+    // Now show the ignore list panel
+    _showIgnorePanel();
   }
 
   async function onReset() {
     if (!confirm('This will clear your entire ignore list and remove the password. Continue?')) return;
     // Clear ignore list and password
-    await chrome.storage.local.remove([IGNORE_PW_KEY, 'eh_ignore_list']);
-    await send('SET_IGNORE_LIST', { list: [] }).catch(() => {});
+    await send('IGNORE_RESET').catch(() => {});
+    clearTimeout(_backoffTimer);
+    _backoffTimer = null;
+    okBtn.disabled = false;
     setMode('reset-new');
     input.focus();
   }
@@ -3845,6 +4861,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     populateSettings(s);
     loadStorageBackend();
     document.getElementById('migrateStorageBtn')?.addEventListener('click', migrateStorage);
+    document.getElementById('rollbackMigrationBtn')?.addEventListener('click', rollbackMigration);
   } catch {}
 
   // Theme buttons
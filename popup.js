@@ -23,6 +23,15 @@ function favUrl(domain) {
     return `https://www.google.com/s2/favicons?sz=16&domain=${encodeURIComponent(domain)}`;
 }
 
+// ── Vault idle lock ───────────────────────────────────────────────────────────
+// Input here counts as use of encrypted history, as on the history page
+let _vaultActivityAt = 0;
+['pointerdown', 'keydown', 'wheel'].forEach(type => addEventListener(type, ev => {
+    if (!ev.isTrusted || Date.now() - _vaultActivityAt < 60000) return;
+    _vaultActivityAt = Date.now();
+    chrome.runtime.sendMessage({ type: 'VAULT_ACTIVITY' }, () => void chrome.runtime.lastError);
+}, { capture: true, passive: true }));
+
 // ── Theme & Popup Settings ────────────────────────────────────────────────────
 let _popupShowUrl = false; // cached from settings
 
@@ -104,6 +113,16 @@ document.querySelectorAll('.tab').forEach(tab => {
     });
 });
 
+// ── Locked ignore list ────────────────────────────────────────────────────────
+// Until it is unlocked after a browser restart, a protected list ignores nothing
+chrome.runtime.sendMessage({ type: 'IGNORE_LOCK_STATUS' }, st => {
+    if (chrome.runtime.lastError || !st?.inactive) return;
+    document.getElementById('ignoreLockBanner').classList.add('show');
+});
+document.getElementById('ignoreUnlockBtn').addEventListener('click', () => {
+    chrome.tabs.create({ url: 'history.html#ignorelist' });
+});
+
 // ── Footer panel buttons ──────────────────────────────────────────────────────
 document.querySelectorAll('.flink[data-panel]').forEach(btn => {
     btn.addEventListener('click', () => {
@@ -214,12 +233,19 @@ function performSearch(query) {
         type: 'SEARCH',
         query: query,
         mode: 'all',
+        sort: 'relevance',
         limit: 100
     }, (response) => {
         if (chrome.runtime.lastError) {
             resultsEl.innerHTML = '<div class="empty">Search error</div>';
             return;
         }
+        if (response.error) {
+            // Query syntax errors (bad date, bad /regex/) come back as text
+            resultsEl.innerHTML = '<div class="empty"></div>';
+            resultsEl.firstChild.textContent = response.error;
+            return;
+        }
 
         const matches = response.entries || [];
         _srchEntries = matches;
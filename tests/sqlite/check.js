@@ -0,0 +1,55 @@
+/**
+ * check.js — reads browser history files the way Import does and compares the
+ * entries with what SQLite itself wrote into them
+ *
+ *   node tests/sqlite/check.js
+ *
+ * make.py builds Chrome, Firefox and Safari databases in a temporary folder
+ * (python3 with its sqlite3 module), with multi-level interior pages and
+ * overflow chains; eh-crypt.js, eh-sqlite.js and eh-import.js run here as the
+ * history page loads them. Exits non-zero on the first file that differs.
+ */
+
+const { execFileSync } = require('child_process');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const vm     = require('vm');
+const assert = require('assert');
+
+const ROOT    = path.join(__dirname, '..', '..');
+const SCRIPTS = ['eh-crypt.js', 'eh-sqlite.js', 'eh-import.js'];
+
+function loadImport() {
+  const ctx = vm.createContext({ TextDecoder, TextEncoder, Blob, File, Response, crypto, console });
+  for (const name of SCRIPTS) vm.runInContext(fs.readFileSync(path.join(ROOT, name), 'utf8'), ctx, { filename: name });
+  return vm.runInContext('EhImport', ctx);
+}
+
+// Plain data out of the vm, undefined properties dropped as JSON drops them
+const plain = v => JSON.parse(JSON.stringify(v));
+
+async function main() {
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'eh-sqlite-'));
+  try {
+    execFileSync('python3', [path.join(__dirname, 'make.py'), out], { stdio: 'inherit' });
+    const expected = JSON.parse(fs.readFileSync(path.join(out, 'expected.json'), 'utf8'));
+    const EhImport = loadImport();
+    for (const [name, want] of Object.entries(expected)) {
+      const file = new File([fs.readFileSync(path.join(out, name))], name);
+      const got  = plain(await EhImport.read(file, { askPassword: () => null, askCsvColumns: async () => null }));
+      assert.strictEqual(got.source, want.source, `${name}: source`);
+      assert.strictEqual(!!got.wal, want.wal, `${name}: WAL mode`);
+      const i = want.entries.findIndex((e, n) => JSON.stringify(e) !== JSON.stringify(got.entries[n]));
+      if (i >= 0) assert.deepStrictEqual(got.entries[i], want.entries[i], `${name}: entry ${i}`);
+      assert.strictEqual(got.entries.length, want.entries.length, `${name}: entry count`);
+      const shapes = Object.entries(want.shapes)
+        .map(([table, s]) => `${table} ${s.interiorLevels} interior levels, ${s.overflowRows} overflowing`).join('; ');
+      console.log(`ok  ${name}  ${got.entries.length} visits${got.wal ? ', WAL' : ''}  (${shapes})`);
+    }
+  } finally {
+    fs.rmSync(out, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => { console.error(err.message); process.exitCode = 1; });
@@ -0,0 +1,246 @@
+#!/usr/bin/env python3
+"""
+Builds the browser history databases check.js reads with eh-sqlite.js and
+eh-import.js, and expected.json with the entries the import must make of them.
+SQLite itself (Python's sqlite3) writes the files, so they are laid out the
+way real ones are.
+
+  python3 tests/sqlite/make.py <out dir>
+
+Each file has its browser's tables as that browser creates them, 512-byte
+pages so every history table needs interior pages under interior pages, and
+rows too big for one page (long URLs and titles) so overflow chains are
+followed, some over several pages. Both are checked before anything is
+written. places.sqlite is left in WAL mode, as Firefox keeps it. Output is the
+same on every run.
+"""
+
+import json
+import math
+import os
+import random
+import sqlite3
+import struct
+import sys
+
+CHROME_EPOCH_US = 11644473600000000
+SAFARI_EPOCH_S = 978307200
+CHROME_TRANSITIONS = ['link', 'typed', 'auto_bookmark', 'auto_subframe', 'manual_subframe',
+                      'generated', 'auto_toplevel', 'form_submit', 'reload', 'keyword', 'keyword_generated']
+FIREFOX_TRANSITIONS = {1: 'link', 2: 'typed', 3: 'auto_bookmark', 5: 'link', 6: 'link', 9: 'reload'}
+FIREFOX_SKIPPED = {4, 7, 8}
+
+PAGES = 800        # distinct URLs per file
+VISITS = 2000      # visits per file
+START_MS = 1700000000000
+
+
+def js_round(x):
+    return math.floor(x + 0.5)
+
+
+def pages(rng):
+    """URLs and titles: mostly short, some long enough to overflow, a few far longer."""
+    out = []
+    for i in range(PAGES):
+        host = rng.choice(['example.com', 'wikipedia.org', 'github.com', 'пример.рф', 'news.ycombinator.com'])
+        url = f'https://{host}/page/{i}'
+        title = rng.choice(['Home', 'Release notes', 'Ünïcödé — 标题', '', 'Issue #%d' % i])
+        if i % 80 == 7:
+            url += '?q=' + 'x' * rng.randint(500, 1500)
+        if i % 150 == 11:
+            title = 'Long title ' + 'é' * 900
+        out.append((url, title))
+    return out
+
+
+def visit_times(rng):
+    t, out = START_MS, []
+    for _ in range(VISITS):
+        t += rng.randint(1000, 3600000)
+        out.append(t)
+    return out
+
+
+def create(path, sql):
+    if os.path.exists(path):
+        os.remove(path)
+    db = sqlite3.connect(path)
+    db.execute('PRAGMA page_size = 512')
+    db.executescript(sql)
+    return db
+
+
+def finish(db, wal=False):
+    db.commit()
+    db.execute('VACUUM')
+    if wal:
+        db.execute('PRAGMA journal_mode = WAL')
+    db.close()
+
+
+# ── Chrome / Edge: History ───────────────────────────────────────────────────
+CHROME_SQL = """
+CREATE TABLE meta(key LONGVARCHAR NOT NULL UNIQUE PRIMARY KEY, value LONGVARCHAR);
+CREATE TABLE urls(id INTEGER PRIMARY KEY AUTOINCREMENT,url LONGVARCHAR,title LONGVARCHAR,visit_count INTEGER DEFAULT 0 NOT NULL,typed_count INTEGER DEFAULT 0 NOT NULL,last_visit_time INTEGER NOT NULL,hidden INTEGER DEFAULT 0 NOT NULL);
+CREATE TABLE visits(id INTEGER PRIMARY KEY AUTOINCREMENT,url INTEGER NOT NULL,visit_time INTEGER NOT NULL,from_visit INTEGER,external_referrer_url TEXT,transition INTEGER DEFAULT 0 NOT NULL,segment_id INTEGER,visit_duration INTEGER DEFAULT 0 NOT NULL,incremented_omnibox_typed_score BOOLEAN DEFAULT FALSE NOT NULL,opener_visit INTEGER,originator_cache_guid TEXT,originator_visit_id INTEGER,originator_from_visit INTEGER,originator_opener_visit INTEGER,is_known_to_sync BOOLEAN DEFAULT FALSE NOT NULL,consider_for_ntp_most_visited BOOLEAN DEFAULT FALSE NOT NULL,visited_link_id INTEGER DEFAULT 0 NOT NULL,app_id TEXT);
+CREATE INDEX visits_url_index ON visits (url);
+CREATE INDEX visits_time_index ON visits (visit_time);
+CREATE INDEX urls_url_index ON urls (url);
+"""
+
+
+def make_chrome(out, rng):
+    path = os.path.join(out, 'chrome-History')
+    db = create(path, CHROME_SQL)
+    db.execute("INSERT INTO meta VALUES ('version', '68')")
+    urls = pages(rng)
+    for i, (url, title) in enumerate(urls, 1):
+        db.execute('INSERT INTO urls (id, url, title, last_visit_time) VALUES (?, ?, ?, 0)', (i, url, title))
+    expected = []
+    for t in visit_times(rng):
+        uid = rng.randint(1, len(urls))
+        # A microsecond part well away from .5 ms, so rounding past 2^53 can't flip it
+        us = CHROME_EPOCH_US + t * 1000 + 123
+        core = rng.choice([0, 1, 1, 3, 4, 5, 7, 8])
+        transition = core | rng.choice([0, 0x10000000, 0x30000000])
+        db.execute('INSERT INTO visits (url, visit_time, transition) VALUES (?, ?, ?)', (uid, us, transition))
+        name = CHROME_TRANSITIONS[core]
+        if name in ('auto_subframe', 'manual_subframe'):
+            continue
+        url, title = urls[uid - 1]
+        expected.append({'url': url, 'title': title, 'visitTime': js_round((us - CHROME_EPOCH_US) / 1000), 'transition': name})
+    finish(db)
+    return path, 'chrome', ['urls', 'visits'], expected
+
+
+# ── Firefox: places.sqlite ───────────────────────────────────────────────────
+FIREFOX_SQL = """
+CREATE TABLE moz_origins ( id INTEGER PRIMARY KEY, prefix TEXT NOT NULL, host TEXT NOT NULL, frecency INTEGER NOT NULL, recalc_frecency INTEGER NOT NULL DEFAULT 0, alt_frecency INTEGER, recalc_alt_frecency INTEGER NOT NULL DEFAULT 0, UNIQUE (prefix, host) );
+CREATE TABLE moz_places (   id INTEGER PRIMARY KEY, url LONGVARCHAR, title LONGVARCHAR, rev_host LONGVARCHAR, visit_count INTEGER DEFAULT 0, hidden INTEGER DEFAULT 0 NOT NULL, typed INTEGER DEFAULT 0 NOT NULL, frecency INTEGER DEFAULT -1 NOT NULL, last_visit_date INTEGER , guid TEXT, foreign_count INTEGER DEFAULT 0 NOT NULL, url_hash INTEGER DEFAULT 0 NOT NULL , description TEXT, preview_image_url TEXT, site_name TEXT, origin_id INTEGER REFERENCES moz_origins(id), recalc_frecency INTEGER NOT NULL DEFAULT 0, alt_frecency INTEGER, recalc_alt_frecency INTEGER NOT NULL DEFAULT 0);
+CREATE TABLE moz_historyvisits (  id INTEGER PRIMARY KEY, from_visit INTEGER, place_id INTEGER, visit_date INTEGER, visit_type INTEGER, session INTEGER, source INTEGER DEFAULT 0 NOT NULL, triggeringPlaceId INTEGER);
+CREATE INDEX moz_places_url_hashindex ON moz_places (url_hash);
+CREATE INDEX moz_historyvisits_placedateindex ON moz_historyvisits (place_id, visit_date);
+"""
+
+
+def make_firefox(out, rng):
+    path = os.path.join(out, 'firefox-places.sqlite')
+    db = create(path, FIREFOX_SQL)
+    urls = pages(rng)
+    for i, (url, title) in enumerate(urls, 1):
+        # Firefox keeps NULL, not '', for a page without a title
+        db.execute('INSERT INTO moz_places (id, url, title, url_hash, guid) VALUES (?, ?, ?, ?, ?)',
+                   (i, url, title or None, rng.randint(-2**47, 2**47), 'guid%08d' % i))
+    expected = []
+    for t in visit_times(rng):
+        pid = rng.randint(1, len(urls))
+        us = t * 1000 + 321
+        vtype = rng.choice([1, 1, 2, 3, 4, 5, 6, 7, 8, 9])
+        date = 0 if rng.random() < 0.01 else us
+        db.execute('INSERT INTO moz_historyvisits (place_id, visit_date, visit_type, session) VALUES (?, ?, ?, 0)', (pid, date, vtype))
+        if vtype in FIREFOX_SKIPPED or not date > 0:
+            continue
+        url, title = urls[pid - 1]
+        e = {'url': url, 'title': title, 'visitTime': js_round(date / 1000)}
+        if vtype in FIREFOX_TRANSITIONS:
+            e['transition'] = FIREFOX_TRANSITIONS[vtype]
+        expected.append(e)
+    finish(db, wal=True)
+    return path, 'firefox', ['moz_places', 'moz_historyvisits'], expected
+
+
+# ── Safari: History.db ───────────────────────────────────────────────────────
+SAFARI_SQL = """
+CREATE TABLE history_items (id INTEGER PRIMARY KEY AUTOINCREMENT,url TEXT NOT NULL UNIQUE,domain_expansion TEXT NULL,visit_count INTEGER NOT NULL,daily_visit_counts BLOB NOT NULL,weekly_visit_counts BLOB NULL,autocomplete_triggers BLOB NULL,should_recompute_derived_visit_counts INTEGER NOT NULL,visit_count_score INTEGER NOT NULL,status_code INTEGER NOT NULL DEFAULT 0);
+CREATE TABLE history_visits (id INTEGER PRIMARY KEY AUTOINCREMENT,history_item INTEGER NOT NULL REFERENCES history_items(id) ON DELETE CASCADE,visit_time REAL NOT NULL,title TEXT NULL,load_successful BOOLEAN NOT NULL DEFAULT 1,http_non_get BOOLEAN NOT NULL DEFAULT 0,synthesized BOOLEAN NOT NULL DEFAULT 0,redirect_source INTEGER NULL UNIQUE REFERENCES history_visits(id) ON DELETE CASCADE,redirect_destination INTEGER NULL UNIQUE REFERENCES history_visits(id) ON DELETE CASCADE,origin INTEGER NOT NULL DEFAULT 0,generation INTEGER NOT NULL DEFAULT 0,attributes INTEGER NOT NULL DEFAULT 0,score INTEGER NOT NULL DEFAULT 0);
+CREATE INDEX history_visits__last_visit ON history_visits (history_item, visit_time DESC, synthesized ASC);
+CREATE INDEX history_visits__origin ON history_visits (origin, generation);
+"""
+
+
+def make_safari(out, rng):
+    path = os.path.join(out, 'safari-History.db')
+    db = create(path, SAFARI_SQL)
+    urls = pages(rng)
+    for i, (url, _) in enumerate(urls, 1):
+        db.execute('INSERT INTO history_items (id, url, visit_count, daily_visit_counts, should_recompute_derived_visit_counts, visit_count_score) '
+                   'VALUES (?, ?, 1, ?, 0, 100)', (i, url, bytes(rng.randrange(256) for _ in range(8))))
+    expected = []
+    for t in visit_times(rng):
+        iid = rng.randint(1, len(urls))
+        # Seconds since 2001 as a REAL, with a fraction
+        secs = t / 1000 - SAFARI_EPOCH_S + 0.25
+        title = urls[iid - 1][1] or None
+        db.execute('INSERT INTO history_visits (history_item, visit_time, title) VALUES (?, ?, ?)', (iid, secs, title))
+        expected.append({'url': urls[iid - 1][0], 'title': title or '', 'visitTime': js_round((secs + SAFARI_EPOCH_S) * 1000)})
+    finish(db)
+    return path, 'safari', ['history_items', 'history_visits'], expected
+
+
+# ── Shape checks ─────────────────────────────────────────────────────────────
+def shape(path, tables):
+    """Interior levels and overflow pages of each table's b-tree, read straight from the file."""
+    data = open(path, 'rb').read()
+    size = struct.unpack('>H', data[16:18])[0]
+    usable = size - data[20]
+    db = sqlite3.connect(path)
+    roots = dict(db.execute("SELECT name, rootpage FROM sqlite_master WHERE type = 'table'"))
+    db.close()
+    out = {}
+    for name in tables:
+        depth, overflow, page = 0, 0, roots[name]
+        # Depth along the leftmost path; interior pages are 0x05, leaves 0x0d
+        while data[(page - 1) * size] == 0x05:
+            depth += 1
+            at = (page - 1) * size
+            ptr = struct.unpack('>H', data[at + 12:at + 14])[0]
+            page = struct.unpack('>I', data[(page - 1) * size + ptr:(page - 1) * size + ptr + 4])[0]
+        # Every leaf cell whose payload is over the local limit spills
+        max_local = usable - 35
+        stack = [roots[name]]
+        while stack:
+            n = stack.pop()
+            at = (n - 1) * size
+            kind, cells = data[at], struct.unpack('>H', data[at + 3:at + 5])[0]
+            if kind == 0x05:
+                stack.append(struct.unpack('>I', data[at + 8:at + 12])[0])
+                for i in range(cells):
+                    ptr = struct.unpack('>H', data[at + 12 + i * 2:at + 14 + i * 2])[0]
+                    stack.append(struct.unpack('>I', data[at + ptr:at + ptr + 4])[0])
+            else:
+                for i in range(cells):
+                    ptr = struct.unpack('>H', data[at + 8 + i * 2:at + 10 + i * 2])[0]
+                    payload, pos = 0, at + ptr
+                    for _ in range(9):
+                        b = data[pos]
+                        pos += 1
+                        payload = payload * 128 + (b & 0x7f)
+                        if not b & 0x80:
+                            break
+                    overflow += payload > max_local
+        out[name] = {'interiorLevels': depth, 'overflowRows': overflow}
+    return out
+
+
+def main(out):
+    rng = random.Random(20261019)
+    expected = {}
+    for make in (make_chrome, make_firefox, make_safari):
+        path, source, tables, entries = make(out, rng)
+        shapes = shape(path, tables)
+        for table, s in shapes.items():
+            assert s['interiorLevels'] >= 2, f'{path}: {table} has no interior page under an interior page'
+        assert sum(s['overflowRows'] for s in shapes.values()), f'{path}: no row overflows its page'
+        with open(path, 'rb') as f:
+            wal = f.read(20)[18:20] == b'\x02\x02'
+        assert wal == (source == 'firefox'), f'{path}: journal mode'
+        expected[os.path.basename(path)] = {'source': source, 'wal': wal, 'shapes': shapes, 'entries': entries}
+    with open(os.path.join(out, 'expected.json'), 'w', encoding='utf-8') as f:
+        json.dump(expected, f, ensure_ascii=False)
+
+
+if __name__ == '__main__':
+    if len(sys.argv) != 2:
+        sys.exit('usage: make.py <out dir>')
+    main(sys.argv[1])
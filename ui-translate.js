@@ -50,6 +50,9 @@ async function applyTranslations(lang = 'en') {
       { id: 'bmSearch',           key: 'ph_search_bookmarks' },
       { id: 'ignorePatternInput', key: 'ph_ignore_pattern'   },
       { id: 'rmSearchInput',      key: 'ph_search_history'   },
+      { id: 'importInclude',      key: 'ph_import_include'   },
+      { id: 'importExclude',      key: 'ph_import_exclude'   },
+      { id: 'lockPassInput',      key: 'passphrase'          },
     ];
     placeholders.forEach(({ id, key }) => {
       const el = document.getElementById(id);